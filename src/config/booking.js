@@ -0,0 +1,75 @@
+// Booking policies, overridable through environment variables
+
+const list = (value, fallback) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback);
+const number = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Platform scheduling rules, used where a consultant has not set their own
+  rules: {
+    // Minutes kept free before and after every session
+    bufferBeforeMinutes: number(process.env.BOOKING_BUFFER_BEFORE_MINUTES, 0),
+    bufferAfterMinutes: number(process.env.BOOKING_BUFFER_AFTER_MINUTES, 0),
+    // How soon a session can start, in hours from now
+    minNoticeHours: number(process.env.BOOKING_MIN_NOTICE_HOURS, 2),
+    // How far ahead sessions can be booked, in days
+    maxDaysAhead: number(process.env.BOOKING_MAX_DAYS_AHEAD, 180),
+    // Sessions a consultant takes per day; 0 means no limit
+    maxSessionsPerDay: number(process.env.BOOKING_MAX_SESSIONS_PER_DAY, 0)
+  },
+
+  // Platform cancellation policy, used for consultants without their own.
+  // Cancelling at least `hoursBefore` hours ahead costs `feePercent` of the price.
+  cancellation: {
+    tiers: [
+      { hoursBefore: number(process.env.CANCELLATION_FREE_HOURS, 24), feePercent: 0 },
+      { hoursBefore: 0, feePercent: number(process.env.CANCELLATION_LATE_FEE_PERCENT, 50) }
+    ],
+    noShowFeePercent: number(process.env.CANCELLATION_NO_SHOW_FEE_PERCENT, 100)
+  },
+
+  reschedule: {
+    // Booking parties allowed to reschedule; admins always can
+    allowedRoles: list(process.env.RESCHEDULE_ALLOWED_ROLES, ['client', 'consultant']),
+    // Latest a booking can be moved, in hours before its current start
+    minNoticeHours: number(process.env.RESCHEDULE_MIN_NOTICE_HOURS, 24),
+    // How many times a single booking can be moved
+    maxReschedules: number(process.env.RESCHEDULE_MAX_COUNT, 3),
+    // When true, a move proposed by one party waits for the other to accept it
+    requireAcceptance: process.env.RESCHEDULE_REQUIRE_ACCEPTANCE === 'true'
+  },
+
+  completion: {
+    // Minutes after a confirmed session ends before it is completed automatically
+    graceMinutes: number(process.env.SESSION_COMPLETION_GRACE_MINUTES, 30),
+    // Hours the consultant has to report a no-show for an automatically
+    // completed session
+    noShowWindowHours: number(process.env.SESSION_NO_SHOW_WINDOW_HOURS, 48),
+    // How often past sessions are checked
+    sweepIntervalMinutes: number(process.env.SESSION_COMPLETION_INTERVAL_MINUTES, 5)
+  },
+
+  holds: {
+    // Hours a pending booking waits for the consultant to confirm it
+    confirmationHours: number(process.env.BOOKING_HOLD_HOURS, 24),
+    // Minutes a pending booking or group seat is held while its checkout
+    // awaits payment
+    paymentMinutes: number(process.env.BOOKING_PAYMENT_HOLD_MINUTES, 15),
+    // How often expired holds are released
+    sweepIntervalMinutes: number(process.env.BOOKING_HOLD_SWEEP_INTERVAL_MINUTES, 1)
+  },
+
+  packages: {
+    // Days credits from a package stay valid when the package does not say
+    validityDays: number(process.env.PACKAGE_VALIDITY_DAYS, 180)
+  },
+
+  waitlist: {
+    // How long a waitlisted client has to claim a freed slot
+    offerMinutes: number(process.env.WAITLIST_OFFER_MINUTES, 60),
+    // How often unclaimed offers are passed on to the next client
+    sweepIntervalMinutes: number(process.env.WAITLIST_SWEEP_INTERVAL_MINUTES, 1)
+  }
+};
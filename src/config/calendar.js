@@ -0,0 +1,26 @@
+// Calendar exports and feeds
+module.exports = {
+  // Product identifier written into every calendar
+  productId: '-//Zentro//Consulting Platform//EN',
+  // Domain part of event UIDs. It must never change, or calendar apps will
+  // treat every session as a new event.
+  uidDomain: process.env.CALENDAR_UID_DOMAIN || 'zentro.com',
+  // Public base URL of the API for feed links; defaults to the request host
+  publicApiUrl: process.env.PUBLIC_API_URL,
+  // Days of past sessions kept in feeds, so recent changes still reach calendars
+  feedPastDays: parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30,
+
+  // Importing consultants' outside calendars as busy time
+  imports: {
+    // Days ahead for which recurring events are expanded
+    horizonDays: parseInt(process.env.CALENDAR_IMPORT_HORIZON_DAYS, 10) || 365,
+    // Largest accepted calendar file or feed, in bytes
+    maxBytes: parseInt(process.env.CALENDAR_IMPORT_MAX_BYTES, 10) || 2 * 1024 * 1024,
+    fetchTimeoutMs: parseInt(process.env.CALENDAR_IMPORT_TIMEOUT_MS, 10) || 10000,
+    // Directory feeds may be read from as local files. Unset, only http(s)
+    // feeds are allowed.
+    localDirectory: process.env.CALENDAR_IMPORT_DIR,
+    // How often feeds are read again
+    syncIntervalMinutes: parseInt(process.env.CALENDAR_SYNC_INTERVAL_MINUTES, 10) || 60
+  }
+};
@@ -0,0 +1,11 @@
+// Consultant earnings, overridable through environment variables
+
+const number = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Share of every booking's value the platform keeps
+  commissionPercent: number(process.env.PLATFORM_COMMISSION_PERCENT, 20)
+};
@@ -0,0 +1,25 @@
+// Invoice details, overridable through environment variables
+
+const number = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Invoice numbers are the prefix and a zero-padded sequence, e.g. INV-000042
+  numberPrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+
+  // Session prices include tax; invoices show the part of the total that is
+  // tax at this rate
+  tax: {
+    label: process.env.INVOICE_TAX_LABEL || 'VAT',
+    ratePercent: number(process.env.INVOICE_TAX_RATE_PERCENT, 5)
+  },
+
+  // The platform, which issues invoices on behalf of its consultants
+  issuer: {
+    name: process.env.INVOICE_ISSUER_NAME || 'Zentro Consulting',
+    address: process.env.INVOICE_ISSUER_ADDRESS || 'Dubai, United Arab Emirates',
+    taxId: process.env.INVOICE_ISSUER_TAX_ID || ''
+  }
+};
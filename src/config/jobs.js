@@ -0,0 +1,5 @@
+// Background jobs. Instances with JOBS_ENABLED=false never run them, which
+// suits processes that should only serve requests.
+module.exports = {
+  enabled: process.env.JOBS_ENABLED !== 'false'
+};
@@ -0,0 +1,14 @@
+// Meeting links for video and audio sessions
+module.exports = {
+  // Adapter that creates the links: 'builtin', or 'stub', which keeps
+  // meetings in memory and is refused in production
+  provider: process.env.MEETING_PROVIDER || 'builtin',
+
+  // Rooms hosted by the platform's own meeting service
+  builtin: {
+    // Rooms are served from <baseUrl>/<roomId>
+    baseUrl: process.env.MEETING_BASE_URL || 'https://meet.zentro.com/rooms',
+    // Key the room URLs are signed with; required when the provider is used
+    signingSecret: process.env.MEETING_SIGNING_SECRET
+  }
+};
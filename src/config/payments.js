@@ -0,0 +1,13 @@
+// Payment collection for bookings, group seats and packages
+module.exports = {
+  // Adapter payments go through: 'fake' runs entirely locally and is refused
+  // in production. There is no default; without one, checkouts are refused.
+  gateway: process.env.PAYMENT_GATEWAY,
+
+  // Local gateway for development and tests. Checkouts are completed through
+  // /api/payments/fake/:paymentId/complete, which delivers a signed webhook.
+  fake: {
+    // Key its webhooks are signed with; required when the gateway is used
+    webhookSecret: process.env.PAYMENT_FAKE_WEBHOOK_SECRET
+  }
+};
@@ -0,0 +1,33 @@
+// Pricing rules, overridable through environment variables
+
+const number = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+const list = (value, fallback) => (value ? value.split(',').map(item => item.trim().toUpperCase()).filter(Boolean) : fallback);
+
+// The platform's base currency. Exchange rates are kept against it, and
+// amounts in other currencies are compared after converting to it.
+const currency = 'USD';
+
+module.exports = {
+  currency,
+
+  // Currencies consultants can price in and clients can pay in. Any other
+  // than the base currency needs an exchange rate before it can be used.
+  currencies: [...new Set([currency, ...list(process.env.SUPPORTED_CURRENCIES, ['AED', 'EUR', 'GBP', 'SAR'])])],
+
+  // Allowed consultant hourly rates, in the base currency
+  hourlyRate: {
+    min: number(process.env.HOURLY_RATE_MIN, 10),
+    max: number(process.env.HOURLY_RATE_MAX, 1000)
+  },
+
+  // Percentage added to (or, when negative, taken off) the session price per meeting type
+  meetingTypeAdjustments: {
+    video: number(process.env.PRICE_ADJUSTMENT_VIDEO_PERCENT, 0),
+    audio: number(process.env.PRICE_ADJUSTMENT_AUDIO_PERCENT, 0),
+    'in-person': number(process.env.PRICE_ADJUSTMENT_IN_PERSON_PERCENT, 15)
+  }
+};
@@ -0,0 +1,6 @@
+// Scheduling defaults, overridable through environment variables
+
+module.exports = {
+  // Time zone used for users and consultants that have not chosen one
+  defaultTimeZone: process.env.DEFAULT_TIME_ZONE || 'UTC'
+};
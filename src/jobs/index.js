@@ -0,0 +1,45 @@
+// Every background job the API runs
+const { registerJob } = require('./scheduler');
+const { expireHolds } = require('../services/bookingHolds');
+const { expireOffers } = require('../services/waitlist');
+const { expireSeatHolds } = require('../services/groupSessions');
+const { completePastSessions } = require('../services/sessionCompletion');
+const { syncAllFeeds } = require('../services/calendarImport');
+const { imports: calendarImports } = require('../config/calendar');
+const { holds, waitlist, completion } = require('../config/booking');
+
+// Release the slots of pending bookings whose hold has run out
+registerJob({
+  name: 'expire-booking-holds',
+  intervalMinutes: holds.sweepIntervalMinutes,
+  run: async (now) => ({ expired: await expireHolds(now) })
+});
+
+// Release group seats that were not paid for in time
+registerJob({
+  name: 'expire-seat-holds',
+  intervalMinutes: holds.sweepIntervalMinutes,
+  run: async (now) => ({ expired: await expireSeatHolds(now) })
+});
+
+// Pass unclaimed waitlist offers on to the next client in line
+registerJob({
+  name: 'expire-waitlist-offers',
+  intervalMinutes: waitlist.sweepIntervalMinutes,
+  run: (now) => expireOffers(now)
+});
+
+// Complete confirmed sessions once they are over
+registerJob({
+  name: 'complete-past-sessions',
+  intervalMinutes: completion.sweepIntervalMinutes,
+  run: (now) => completePastSessions(now)
+});
+
+// Read consultants' calendar feeds again
+registerJob({
+  name: 'sync-calendar-feeds',
+  intervalMinutes: calendarImports.syncIntervalMinutes,
+  lockMinutes: 30,
+  run: (now) => syncAllFeeds(now)
+});
@@ -0,0 +1,94 @@
+const os = require('os');
+const JobLock = require('../models/JobLock');
+const { enabled } = require('../config/jobs');
+
+// Identifies this process in job locks
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+const jobs = [];
+const timers = [];
+
+// Add a job: `run(now)` is called every `intervalMinutes`. A lock held for at
+// most `lockMinutes` keeps other instances from running it at the same time.
+const registerJob = ({ name, intervalMinutes, lockMinutes = 10, run }) => {
+  jobs.push({ name, intervalMinutes, lockMinutes, run, running: false });
+};
+
+// Take the job's lock unless another instance holds an unexpired one. The
+// unique name index makes the upsert fail when the lock is taken.
+const acquireLock = async (job, now) => {
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      { name: job.name, $or: [{ lockedUntil: { $lte: now } }, { lockedUntil: null }] },
+      {
+        $set: {
+          lockedBy: instanceId,
+          lockedUntil: new Date(now.getTime() + job.lockMinutes * 60000),
+          lastStartedAt: now
+        }
+      },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Run a job once if this instance can take its lock
+const runJob = async (job, now = new Date()) => {
+  // A slow run is not overlapped by the next tick on the same instance
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    if (!(await acquireLock(job, now))) return;
+
+    let result;
+    let failure;
+    try {
+      result = await job.run(now);
+    } catch (error) {
+      failure = error;
+      console.error(`Job ${job.name} failed:`, error);
+    }
+
+    await JobLock.updateOne(
+      { name: job.name, lockedBy: instanceId },
+      {
+        $set: {
+          lockedUntil: new Date(),
+          lastFinishedAt: new Date(),
+          lastResult: result,
+          lastError: failure ? failure.message : null
+        }
+      }
+    );
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start running every registered job on its interval
+const startScheduler = () => {
+  if (!enabled) return;
+
+  jobs.forEach(job => {
+    const timer = setInterval(() => {
+      runJob(job).catch(error => console.error(`Job ${job.name} could not run:`, error));
+    }, job.intervalMinutes * 60000);
+    timers.push(timer);
+  });
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
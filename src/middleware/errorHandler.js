@@ -65,6 +65,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message,
+    ...(err.data && { data: err.data }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -0,0 +1,34 @@
+// Convert each weekday of Consultant.availability from a single
+// { startTime, endTime } pair to a list of windows
+const { DAYS } = require('../utils/time');
+const { normalizeDay } = require('../utils/availability');
+
+const up = async (db) => {
+  const consultants = db.collection('consultants');
+  const cursor = consultants.find({}, { projection: { availability: 1 } });
+
+  let updated = 0;
+  for await (const consultant of cursor) {
+    const availability = consultant.availability || {};
+    const $set = {};
+
+    DAYS.forEach(dayName => {
+      const day = availability[dayName];
+      if (!day || !Array.isArray(day.windows)) {
+        $set[`availability.${dayName}`] = normalizeDay(day);
+      }
+    });
+
+    if (Object.keys($set).length > 0) {
+      await consultants.updateOne({ _id: consultant._id }, { $set });
+      updated++;
+    }
+  }
+
+  return `${updated} consultant schedules converted`;
+};
+
+module.exports = {
+  name: '001-availability-windows',
+  up
+};
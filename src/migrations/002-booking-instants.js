@@ -0,0 +1,51 @@
+// Give users and consultants a time zone, and store every booking as
+// absolute UTC start/end instants. Legacy bookings hold a calendar date
+// plus wall-clock times, which are read in the consultant's time zone.
+const { toDateKey } = require('../utils/time');
+const { zonedTimeToUtc, toZonedDateTime } = require('../utils/timezone');
+const { defaultTimeZone } = require('../config/scheduling');
+
+const up = async (db) => {
+  await db.collection('users').updateMany(
+    { timeZone: { $exists: false } },
+    { $set: { timeZone: defaultTimeZone } }
+  );
+  await db.collection('consultants').updateMany(
+    { timeZone: { $exists: false } },
+    { $set: { timeZone: defaultTimeZone } }
+  );
+
+  const consultants = await db.collection('consultants')
+    .find({}, { projection: { timeZone: 1 } })
+    .toArray();
+  const zones = new Map(consultants.map(consultant => [consultant._id.toString(), consultant.timeZone]));
+
+  const bookings = db.collection('bookings');
+  const cursor = bookings.find({ startAt: { $exists: false } });
+
+  let updated = 0;
+  for await (const booking of cursor) {
+    const timeZone = zones.get(String(booking.consultant)) || defaultTimeZone;
+    const day = toDateKey(booking.date);
+    const startAt = zonedTimeToUtc(day, booking.startTime, timeZone);
+    const endAt = new Date(startAt.getTime() + (booking.duration || 60) * 60000);
+
+    await bookings.updateOne({ _id: booking._id }, {
+      $set: {
+        startAt,
+        endAt,
+        timeZone,
+        date: new Date(`${day}T00:00:00Z`),
+        endTime: toZonedDateTime(endAt, timeZone).time
+      }
+    });
+    updated++;
+  }
+
+  return `${updated} bookings converted to UTC instants`;
+};
+
+module.exports = {
+  name: '002-booking-instants',
+  up
+};
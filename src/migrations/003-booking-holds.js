@@ -0,0 +1,25 @@
+// Give pending bookings made before holds existed a confirmation hold,
+// counted from now so they are not all expired on the first sweep
+const { holds } = require('../config/booking');
+
+const up = async (db) => {
+  const now = Date.now();
+  const bookings = db.collection('bookings');
+  const cursor = bookings.find({ status: 'pending', 'hold.expiresAt': { $exists: false } });
+
+  let updated = 0;
+  for await (const booking of cursor) {
+    const expiresAt = new Date(Math.min(now + holds.confirmationHours * 60 * 60000, booking.startAt.getTime()));
+    await bookings.updateOne({ _id: booking._id }, {
+      $set: { hold: { type: 'confirmation', expiresAt } }
+    });
+    updated++;
+  }
+
+  return `${updated} pending bookings given a hold`;
+};
+
+module.exports = {
+  name: '003-booking-holds',
+  up
+};
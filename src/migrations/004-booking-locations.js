@@ -0,0 +1,15 @@
+// Bookings used to keep their location as free text. Keep that text in
+// legacyLocation so `location` can reference a managed location.
+const up = async (db) => {
+  const result = await db.collection('bookings').updateMany(
+    { location: { $type: 'string' } },
+    { $rename: { location: 'legacyLocation' } }
+  );
+
+  return `${result.modifiedCount} booking locations kept as text`;
+};
+
+module.exports = {
+  name: '004-booking-locations',
+  up
+};
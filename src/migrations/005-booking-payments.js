@@ -0,0 +1,20 @@
+// Bookings made before payments existed were never charged. Only pending
+// ones with a price still have to be paid before they are confirmed.
+const up = async (db) => {
+  const bookings = db.collection('bookings');
+  const unpaid = await bookings.updateMany(
+    { paymentStatus: { $exists: false }, status: 'pending', totalAmount: { $gt: 0 } },
+    { $set: { paymentStatus: 'unpaid' } }
+  );
+  const free = await bookings.updateMany(
+    { paymentStatus: { $exists: false } },
+    { $set: { paymentStatus: 'not-required' } }
+  );
+
+  return `${unpaid.modifiedCount} pending bookings to be paid, ${free.modifiedCount} not charged`;
+};
+
+module.exports = {
+  name: '005-booking-payments',
+  up
+};
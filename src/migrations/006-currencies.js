@@ -0,0 +1,34 @@
+// Everything priced before currencies existed was in the base currency.
+// Bookings were charged in the consultant's currency at a rate of 1.
+const { currency } = require('../config/pricing');
+
+const up = async (db) => {
+  const consultants = await db.collection('consultants').updateMany(
+    { currency: { $exists: false } },
+    [{ $set: { currency, baseHourlyRate: '$hourlyRate' } }]
+  );
+  const services = await db.collection('services').updateMany(
+    { currency: { $exists: false } },
+    { $set: { currency } }
+  );
+  const bookings = await db.collection('bookings').updateMany(
+    { 'pricing.currency': { $exists: true }, 'pricing.native': { $exists: false } },
+    [{
+      $set: {
+        'pricing.exchangeRate': 1,
+        'pricing.native': {
+          currency: '$pricing.currency',
+          subtotal: '$pricing.subtotal',
+          total: '$pricing.total'
+        }
+      }
+    }]
+  );
+
+  return `${consultants.modifiedCount} consultants, ${services.modifiedCount} services and ${bookings.modifiedCount} bookings given a currency`;
+};
+
+module.exports = {
+  name: '006-currencies',
+  up
+};
@@ -0,0 +1,14 @@
+// Seats reserved before seats were paid for were never charged
+const up = async (db) => {
+  const seats = await db.collection('groupseats').updateMany(
+    { paymentStatus: { $exists: false } },
+    { $set: { paymentStatus: 'not-required' } }
+  );
+
+  return `${seats.modifiedCount} existing seats marked as not charged`;
+};
+
+module.exports = {
+  name: '007-group-seat-payments',
+  up
+};
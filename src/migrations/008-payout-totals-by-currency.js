@@ -0,0 +1,16 @@
+// Payout period totals used to be a single row, which was only right while
+// everything was in one currency. They are now one row per currency.
+const up = async (db) => {
+  const periods = db.collection('payoutperiods');
+  const converted = await periods.updateMany(
+    { totals: { $exists: true, $not: { $type: 'array' } } },
+    [{ $set: { totals: { $cond: [{ $ifNull: ['$totals.currency', false] }, ['$totals'], []] } } }]
+  );
+
+  return `${converted.modifiedCount} payout periods converted`;
+};
+
+module.exports = {
+  name: '008-payout-totals-by-currency',
+  up
+};
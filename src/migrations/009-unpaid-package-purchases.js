@@ -0,0 +1,24 @@
+// Packages with a price were once granted without being paid for. Those
+// purchases are removed, and bookings that took a credit from one keep
+// their slot but no longer count against a package.
+const up = async (db) => {
+  const purchases = db.collection('packagepurchases');
+  const unpaid = await purchases
+    .find({ price: { $gt: 0 }, payment: { $exists: false } }, { projection: { _id: 1 } })
+    .toArray();
+  const ids = unpaid.map(purchase => purchase._id);
+  if (ids.length === 0) return 'no unpaid package purchases';
+
+  const bookings = await db.collection('bookings').updateMany(
+    { packagePurchase: { $in: ids } },
+    { $unset: { packagePurchase: '' } }
+  );
+  const removed = await purchases.deleteMany({ _id: { $in: ids } });
+
+  return `${removed.deletedCount} unpaid package purchases removed, ${bookings.modifiedCount} bookings detached`;
+};
+
+module.exports = {
+  name: '009-unpaid-package-purchases',
+  up
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Run every migration in this directory that has not been applied yet.
+// Applied migrations are recorded in the "migrations" collection.
+const runMigrations = async () => {
+  const db = mongoose.connection.db;
+  const applied = db.collection('migrations');
+
+  const files = fs.readdirSync(__dirname)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort();
+
+  for (const file of files) {
+    const migration = require(path.join(__dirname, file));
+    const alreadyApplied = await applied.findOne({ name: migration.name });
+    if (alreadyApplied) continue;
+
+    console.log(`⏳ Running migration ${migration.name}`);
+    const result = await migration.up(db);
+    await applied.insertOne({ name: migration.name, appliedAt: new Date() });
+    console.log(`✅ ${migration.name}${result ? `: ${result}` : ''}`);
+  }
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(runMigrations)
+    .then(() => {
+      console.log('🎉 Migrations complete');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigrations };
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { TIME_REGEX } = require('../utils/time');
+const { isValidTimeZone, toZonedDateTime } = require('../utils/timezone');
+const { defaultTimeZone } = require('../config/scheduling');
+const appendOnly = require('./plugins/appendOnly');
+const { describePolicy } = require('../services/cancellation');
+const { cancellation: platformCancellationPolicy, holds: holdPolicy } = require('../config/booking');
 
 const bookingSchema = new mongoose.Schema({
   client: {
@@ -16,16 +22,35 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Category',
     required: true
   },
-  date: {
+  startAt: {
     type: Date,
-    required: [true, 'Booking date is required'],
+    required: [true, 'Booking start is required'],
     validate: {
       validator: function(value) {
+        // Only new or moved bookings have to start in the future
+        if (!this.isNew && !this.isModified('startAt')) return true;
         return value > new Date();
       },
-      message: 'Booking date must be in the future'
+      message: 'Booking must start in the future'
     }
   },
+  endAt: {
+    type: Date,
+    required: [true, 'Booking end is required']
+  },
+  // Consultant's time zone; date, startTime and endTime are wall-clock values in it
+  timeZone: {
+    type: String,
+    default: defaultTimeZone,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please enter a valid IANA time zone'
+    }
+  },
+  date: {
+    type: Date,
+    required: [true, 'Booking date is required']
+  },
   duration: {
     type: Number,
     required: [true, 'Duration is required'],
@@ -36,16 +61,16 @@ const bookingSchema = new mongoose.Schema({
   startTime: {
     type: String,
     required: [true, 'Start time is required'],
-    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time in HH:MM format']
+    match: [TIME_REGEX, 'Please enter a valid time in HH:MM format']
   },
   endTime: {
     type: String,
     required: [true, 'End time is required'],
-    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time in HH:MM format']
+    match: [TIME_REGEX, 'Please enter a valid time in HH:MM format']
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'no-show'],
+    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'no-show', 'expired'],
     default: 'pending'
   },
   totalAmount: {
@@ -53,6 +78,40 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Total amount is required'],
     min: [0, 'Total amount cannot be negative']
   },
+  // Server-computed price breakdown; totalAmount always equals pricing.total.
+  // Amounts are in the currency charged. `native` is the price in the
+  // consultant's currency, and `exchangeRate` the units of the charged
+  // currency per unit of it that were used.
+  pricing: {
+    currency: { type: String },
+    hourlyRate: { type: Number },
+    exchangeRate: { type: Number },
+    native: {
+      currency: { type: String },
+      subtotal: { type: Number },
+      total: { type: Number }
+    },
+    items: [{
+      _id: false,
+      type: { type: String },
+      description: { type: String },
+      amount: { type: Number }
+    }],
+    subtotal: { type: Number },
+    total: { type: Number }
+  },
+  // Whether totalAmount has been collected. Free bookings and bookings paid
+  // with package credits need no payment.
+  paymentStatus: {
+    type: String,
+    enum: ['not-required', 'unpaid', 'pending', 'paid', 'partially-refunded', 'refunded']
+  },
+  // The payment that settled totalAmount. Set once, so when two payments
+  // succeed for the same booking only this one counts; the other is refunded.
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
   notes: {
     client: {
       type: String,
@@ -63,20 +122,157 @@ const bookingSchema = new mongoose.Schema({
       maxlength: [500, 'Consultant notes cannot exceed 500 characters']
     }
   },
+  // Join link for video and audio sessions. Only the booking's parties and
+  // admins may see it, so it has to be selected explicitly.
   meetingLink: {
     type: String,
-    trim: true
+    trim: true,
+    select: false
+  },
+  // Meeting behind the join link, kept after the link is revoked
+  meeting: {
+    provider: { type: String },
+    externalId: { type: String },
+    createdAt: { type: Date },
+    revokedAt: { type: Date }
   },
   meetingType: {
     type: String,
     enum: ['video', 'audio', 'in-person'],
     default: 'video'
   },
+  // Where an in-person session takes place, one of the consultant's locations
   location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [
+      function() { return this.isNew && this.meetingType === 'in-person'; },
+      'In-person bookings need a location'
+    ]
+  },
+  // Free-text location of bookings made before locations were managed
+  legacyLocation: {
     type: String,
     trim: true,
     maxlength: [200, 'Location cannot exceed 200 characters']
   },
+  // Free time kept around the session, in minutes, copied from the
+  // consultant's rules when the booking is made
+  buffer: {
+    before: { type: Number, default: 0, min: 0 },
+    after: { type: Number, default: 0, min: 0 }
+  },
+  // Recurring series the booking belongs to, and its position in the series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  seriesIndex: {
+    type: Number,
+    min: 0
+  },
+  // Package credit the booking was paid with, instead of totalAmount
+  packagePurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackagePurchase'
+  },
+  // Promo code applied to the price. The discount, in the charged currency,
+  // is also a line in pricing.items.
+  promotion: {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: { type: String },
+    discount: { type: Number }
+  },
+  // Previous times of the booking, oldest first. Entries are never changed.
+  rescheduleHistory: [{
+    previousStartAt: { type: Date, required: true },
+    previousEndAt: { type: Date, required: true },
+    newStartAt: { type: Date, required: true },
+    newEndAt: { type: Date, required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedByRole: { type: String, enum: ['client', 'consultant', 'admin'] },
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reschedule reason cannot exceed 200 characters']
+    },
+    rescheduledAt: { type: Date, default: Date.now }
+  }],
+  // A proposed new time waiting for the other party to accept or decline
+  rescheduleRequest: {
+    startAt: { type: Date },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedByRole: { type: String, enum: ['client', 'consultant', 'admin'] },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reschedule reason cannot exceed 200 characters']
+    },
+    requestedAt: { type: Date }
+  },
+  // Every status change, oldest first. Entries are never changed.
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: ['pending', 'confirmed', 'completed', 'cancelled', 'no-show', 'expired']
+    },
+    to: {
+      type: String,
+      enum: ['pending', 'confirmed', 'completed', 'cancelled', 'no-show', 'expired'],
+      required: true
+    },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: {
+      type: String,
+      enum: ['client', 'consultant', 'admin', 'system'],
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Status change reason cannot exceed 500 characters']
+    },
+    // Set when an admin forced a change the transition table does not allow
+    override: { type: Boolean, default: false },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  // Cancellation terms in force when the booking was made
+  cancellationPolicy: {
+    tiers: [{
+      _id: false,
+      hoursBefore: { type: Number },
+      feePercent: { type: Number }
+    }],
+    noShowFeePercent: { type: Number }
+  },
+  // How long a pending booking holds its slot. 'confirmation' holds wait for
+  // the consultant, 'payment' holds for a checkout to complete.
+  hold: {
+    type: {
+      type: String,
+      enum: ['confirmation', 'payment']
+    },
+    expiresAt: { type: Date },
+    // Set while a sweeper is expiring the booking, so only one does
+    sweepingUntil: { type: Date }
+  },
+  expiredAt: {
+    type: Date
+  },
+  // Why the booking expired, shown to the client
+  expirationReason: {
+    type: String,
+    maxlength: [200, 'Expiration reason cannot exceed 200 characters']
+  },
+  // Fee and refund worked out when the booking was cancelled or missed
+  cancellation: {
+    hoursBeforeStart: { type: Number },
+    feePercent: { type: Number },
+    feeAmount: { type: Number },
+    refundAmount: { type: Number },
+    calculatedAt: { type: Date }
+  },
   cancellationReason: {
     type: String,
     maxlength: [200, 'Cancellation reason cannot exceed 200 characters']
@@ -91,6 +287,14 @@ const bookingSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  // Set when the booking was completed by the system rather than the
+  // consultant, who can then report a no-show until the deadline
+  autoCompletedAt: {
+    type: Date
+  },
+  noShowDeadline: {
+    type: Date
+  },
   rating: {
     score: {
       type: Number,
@@ -114,6 +318,7 @@ const bookingSchema = new mongoose.Schema({
 // Virtual for booking date in readable format
 bookingSchema.virtual('formattedDate').get(function() {
   return this.date.toLocaleDateString('en-US', {
+    timeZone: 'UTC',
     weekday: 'long',
     year: 'numeric',
     month: 'long',
@@ -131,6 +336,14 @@ bookingSchema.virtual('durationHours').get(function() {
   return this.duration / 60;
 });
 
+// Virtual for the cancellation terms of the booking
+bookingSchema.virtual('cancellationTerms').get(function() {
+  const policy = this.cancellationPolicy && this.cancellationPolicy.tiers && this.cancellationPolicy.tiers.length > 0
+    ? this.cancellationPolicy
+    : platformCancellationPolicy;
+  return describePolicy(policy);
+});
+
 // Virtual for status color
 bookingSchema.virtual('statusColor').get(function() {
   const colors = {
@@ -138,11 +351,21 @@ bookingSchema.virtual('statusColor').get(function() {
     confirmed: '#4B8843',
     completed: '#4B8843',
     cancelled: '#FF6B6B',
-    'no-show': '#FF6B6B'
+    'no-show': '#FF6B6B',
+    expired: '#6C757D'
   };
   return colors[this.status] || '#6C757D';
 });
 
+bookingSchema.plugin(appendOnly, { paths: ['rescheduleHistory', 'statusHistory'] });
+
+// Remember the status the booking was loaded or last saved with
+const rememberStatus = function() {
+  this.$locals.originalStatus = this.status;
+};
+bookingSchema.post('init', rememberStatus);
+bookingSchema.post('save', rememberStatus);
+
 // Indexes for better query performance
 bookingSchema.index({ client: 1 });
 bookingSchema.index({ consultant: 1 });
@@ -150,25 +373,29 @@ bookingSchema.index({ date: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ 'consultant.user': 1 });
 bookingSchema.index({ date: 1, startTime: 1, consultant: 1 });
+bookingSchema.index({ consultant: 1, startAt: 1, endAt: 1 });
+bookingSchema.index({ series: 1, seriesIndex: 1 });
+bookingSchema.index({ 'meeting.externalId': 1 }, { sparse: true });
 
-// Pre-save middleware to calculate end time and total amount
-bookingSchema.pre('save', async function(next) {
-  if (this.isModified('startTime') || this.isModified('duration')) {
-    // Calculate end time
-    const startTime = new Date(`2000-01-01T${this.startTime}:00`);
-    const endTime = new Date(startTime.getTime() + this.duration * 60000);
-    this.endTime = endTime.toTimeString().slice(0, 5);
+// Derive the end instant and the wall-clock fields from the start instant
+bookingSchema.pre('validate', function(next) {
+  if (this.startAt && (this.isNew || this.isModified('startAt') || this.isModified('duration') || this.isModified('timeZone'))) {
+    this.endAt = new Date(this.startAt.getTime() + this.duration * 60000);
+
+    const start = toZonedDateTime(this.startAt, this.timeZone);
+    this.date = new Date(`${start.date}T00:00:00Z`);
+    this.startTime = start.time;
+    this.endTime = toZonedDateTime(this.endAt, this.timeZone).time;
   }
-  
-  // Calculate total amount if not set
-  if (!this.totalAmount && this.consultant) {
-    const Consultant = mongoose.model('Consultant');
-    const consultant = await Consultant.findById(this.consultant);
-    if (consultant) {
-      this.totalAmount = (consultant.hourlyRate * this.duration) / 60;
-    }
+
+  if (this.isNew && !this.paymentStatus) {
+    this.paymentStatus = this.totalAmount > 0 ? 'unpaid' : 'not-required';
+  }
+
+  // New pending bookings wait a limited time for the consultant
+  if (this.isNew && this.status === 'pending' && this.startAt && !(this.hold && this.hold.expiresAt)) {
+    this.setHold('confirmation');
   }
-  
   next();
 });
 
@@ -177,11 +404,18 @@ bookingSchema.pre('save', async function(next) {
   if (this.isModified('status')) {
     const Consultant = mongoose.model('Consultant');
     
-    if (this.status === 'completed' && this._original && this._original.status !== 'completed') {
+    if (this.status === 'completed' && !this.isNew && this.$locals.originalStatus !== 'completed') {
       await Consultant.findByIdAndUpdate(this.consultant, {
         $inc: { completedBookings: 1 }
       });
     }
+
+    // A completed session later reported as a no-show no longer counts
+    if (this.status !== 'completed' && this.$locals.originalStatus === 'completed') {
+      await Consultant.findByIdAndUpdate(this.consultant, {
+        $inc: { completedBookings: -1 }
+      });
+    }
   }
   
   if (this.isNew) {
@@ -194,18 +428,54 @@ bookingSchema.pre('save', async function(next) {
   next();
 });
 
+// Time the booking keeps the consultant busy, buffers included. This is the
+// range its slot reservation holds.
+bookingSchema.methods.getTimeInterval = function() {
+  const before = (this.buffer && this.buffer.before) || 0;
+  const after = (this.buffer && this.buffer.after) || 0;
+  return {
+    start: new Date(this.startAt.getTime() - before * 60000),
+    end: new Date(this.endAt.getTime() + after * 60000)
+  };
+};
+
+// Hold the slot of a pending booking for a confirmation or a payment, but
+// never past the start of the session
+bookingSchema.methods.setHold = function(type, now = new Date()) {
+  const length = type === 'payment'
+    ? holdPolicy.paymentMinutes * 60000
+    : holdPolicy.confirmationHours * 60 * 60000;
+  this.hold = {
+    type,
+    expiresAt: new Date(Math.min(now.getTime() + length, this.startAt.getTime()))
+  };
+};
+
+// JSON representation with the booking's times rendered in a viewer's time zone
+bookingSchema.methods.toLocalJSON = function(timeZone) {
+  const zone = timeZone || this.timeZone;
+  const start = toZonedDateTime(this.startAt, zone);
+  const end = toZonedDateTime(this.endAt, zone);
+
+  return {
+    ...this.toJSON(),
+    localTime: {
+      timeZone: zone,
+      date: start.date,
+      startTime: start.time,
+      endDate: end.date,
+      endTime: end.time
+    }
+  };
+};
+
 // Static method to check for booking conflicts
-bookingSchema.statics.checkConflict = async function(consultantId, date, startTime, endTime, excludeBookingId = null) {
+bookingSchema.statics.checkConflict = async function(consultantId, startAt, endAt, excludeBookingId = null) {
   const query = {
     consultant: consultantId,
-    date: date,
-    status: { $nin: ['cancelled', 'no-show'] },
-    $or: [
-      {
-        startTime: { $lt: endTime },
-        endTime: { $gt: startTime }
-      }
-    ]
+    status: { $nin: ['cancelled', 'no-show', 'expired'] },
+    startAt: { $lt: endAt },
+    endAt: { $gt: startAt }
   };
   
   if (excludeBookingId) {
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES, MAX_OCCURRENCES } = require('../utils/recurrence');
+
+// A recurring set of bookings between a client and a consultant. Each
+// occurrence is an ordinary booking that points back to its series.
+const bookingSeriesSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Client is required']
+  },
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: [true, 'Consultant is required']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: [true, 'Frequency is required']
+  },
+  // Start of the first occurrence. Later occurrences keep its wall-clock time
+  // in the consultant's time zone.
+  startAt: {
+    type: Date,
+    required: [true, 'Start is required']
+  },
+  timeZone: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [30, 'Minimum session duration is 30 minutes'],
+    max: [480, 'Maximum session duration is 8 hours']
+  },
+  meetingType: {
+    type: String,
+    enum: ['video', 'audio', 'in-person'],
+    default: 'video'
+  },
+  // Location of in-person sessions
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // The series ends on this day ("YYYY-MM-DD" in the consultant's zone) or
+  // after this many occurrences
+  endDate: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'End date must be in YYYY-MM-DD format']
+  },
+  occurrenceCount: {
+    type: Number,
+    min: [2, 'A series needs at least 2 occurrences'],
+    max: [MAX_OCCURRENCES, `A series can have at most ${MAX_OCCURRENCES} occurrences`]
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+bookingSeriesSchema.pre('validate', function(next) {
+  if (!this.endDate && !this.occurrenceCount) {
+    this.invalidate('endDate', 'Either an end date or an occurrence count is required');
+  }
+  next();
+});
+
+bookingSeriesSchema.index({ client: 1 });
+bookingSeriesSchema.index({ consultant: 1 });
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Time a consultant is busy according to an imported calendar. Blocks are
+// replaced as a whole each time their calendar is imported again.
+const busyBlockSchema = new mongoose.Schema({
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true
+  },
+  calendar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExternalCalendar',
+    required: true
+  },
+  // The import that created the block
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  allDay: {
+    type: Boolean,
+    default: false
+  }
+});
+
+busyBlockSchema.index({ consultant: 1, start: 1, end: 1 });
+busyBlockSchema.index({ calendar: 1, importId: 1 });
+
+// Blocks of a consultant that overlap a time range
+busyBlockSchema.statics.findOverlapping = function(consultantId, start, end) {
+  return this.find({
+    consultant: consultantId,
+    start: { $lt: end },
+    end: { $gt: start }
+  }).select('start end allDay');
+};
+
+module.exports = mongoose.model('BusyBlock', busyBlockSchema);
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { TIME_REGEX, END_TIME_REGEX, DAYS, toDateKey, timeToMinutes } = require('../utils/time');
+const { windowsToIntervals } = require('../utils/availability');
+const { dayAvailabilitySchema } = require('./schemas/availability');
+const { isValidTimeZone } = require('../utils/timezone');
+const { defaultTimeZone } = require('../config/scheduling');
+const { getEffectivePolicy, describePolicy } = require('../services/cancellation');
+const { roundAmount } = require('../services/pricing');
+const ExchangeRate = require('./ExchangeRate');
+const { currency: baseCurrency, currencies, hourlyRate: hourlyRateLimits } = require('../config/pricing');
 
 const consultantSchema = new mongoose.Schema({
   user: {
@@ -23,47 +32,121 @@ const consultantSchema = new mongoose.Schema({
     min: [0, 'Experience cannot be negative'],
     max: [50, 'Experience cannot exceed 50 years']
   },
+  // In the consultant's currency; the allowed range is checked in the base
+  // currency when the rate is set
   hourlyRate: {
     type: Number,
     required: [true, 'Hourly rate is required'],
-    min: [10, 'Hourly rate must be at least $10'],
-    max: [1000, 'Hourly rate cannot exceed $1000']
+    min: [0, 'Hourly rate cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: baseCurrency,
+    enum: { values: currencies, message: 'Currency {VALUE} is not supported' }
+  },
+  // The hourly rate in the base currency, so consultants pricing in
+  // different currencies can be filtered and sorted together. Kept up to
+  // date when exchange rates change.
+  baseHourlyRate: {
+    type: Number
+  },
+  timeZone: {
+    type: String,
+    default: defaultTimeZone,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please enter a valid IANA time zone'
+    }
   },
   availability: {
-    monday: {
-      isAvailable: { type: Boolean, default: false },
-      startTime: { type: String, default: '09:00' },
-      endTime: { type: String, default: '17:00' }
+    monday: { type: dayAvailabilitySchema, default: () => ({}) },
+    tuesday: { type: dayAvailabilitySchema, default: () => ({}) },
+    wednesday: { type: dayAvailabilitySchema, default: () => ({}) },
+    thursday: { type: dayAvailabilitySchema, default: () => ({}) },
+    friday: { type: dayAvailabilitySchema, default: () => ({}) },
+    saturday: { type: dayAvailabilitySchema, default: () => ({}) },
+    sunday: { type: dayAvailabilitySchema, default: () => ({}) }
+  },
+  timeOff: [{
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
     },
-    tuesday: {
-      isAvailable: { type: Boolean, default: false },
-      startTime: { type: String, default: '09:00' },
-      endTime: { type: String, default: '17:00' }
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required']
     },
-    wednesday: {
-      isAvailable: { type: Boolean, default: false },
-      startTime: { type: String, default: '09:00' },
-      endTime: { type: String, default: '17:00' }
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+  }],
+  dateOverrides: [{
+    date: {
+      type: Date,
+      required: [true, 'Date is required']
     },
-    thursday: {
-      isAvailable: { type: Boolean, default: false },
-      startTime: { type: String, default: '09:00' },
-      endTime: { type: String, default: '17:00' }
+    startTime: {
+      type: String,
+      required: [true, 'Start time is required'],
+      match: [TIME_REGEX, 'Please enter a valid time in HH:MM format']
     },
-    friday: {
-      isAvailable: { type: Boolean, default: false },
-      startTime: { type: String, default: '09:00' },
-      endTime: { type: String, default: '17:00' }
+    endTime: {
+      type: String,
+      required: [true, 'End time is required'],
+      match: [END_TIME_REGEX, 'Please enter a valid time in HH:MM format']
+    }
+  }],
+  // Own cancellation terms; without tiers the platform policy applies
+  cancellationPolicy: {
+    tiers: [{
+      _id: false,
+      hoursBefore: {
+        type: Number,
+        required: true,
+        min: [0, 'Hours before cannot be negative']
+      },
+      feePercent: {
+        type: Number,
+        required: true,
+        min: [0, 'Fee cannot be negative'],
+        max: [100, 'Fee cannot exceed 100%']
+      }
+    }],
+    noShowFeePercent: {
+      type: Number,
+      min: [0, 'Fee cannot be negative'],
+      max: [100, 'Fee cannot exceed 100%']
+    }
+  },
+  // Own scheduling rules; unset rules fall back to the platform defaults
+  bookingRules: {
+    bufferBeforeMinutes: {
+      type: Number,
+      min: [0, 'Buffer cannot be negative'],
+      max: [240, 'Buffer cannot exceed 240 minutes']
     },
-    saturday: {
-      isAvailable: { type: Boolean, default: false },
-      startTime: { type: String, default: '09:00' },
-      endTime: { type: String, default: '17:00' }
+    bufferAfterMinutes: {
+      type: Number,
+      min: [0, 'Buffer cannot be negative'],
+      max: [240, 'Buffer cannot exceed 240 minutes']
     },
-    sunday: {
-      isAvailable: { type: Boolean, default: false },
-      startTime: { type: String, default: '09:00' },
-      endTime: { type: String, default: '17:00' }
+    minNoticeHours: {
+      type: Number,
+      min: [0, 'Minimum notice cannot be negative'],
+      max: [720, 'Minimum notice cannot exceed 720 hours']
+    },
+    maxDaysAhead: {
+      type: Number,
+      min: [1, 'Booking horizon must be at least 1 day'],
+      max: [730, 'Booking horizon cannot exceed 730 days']
+    },
+    maxSessionsPerDay: {
+      type: Number,
+      min: [0, 'Sessions per day cannot be negative'],
+      max: [48, 'Sessions per day cannot exceed 48']
     }
   },
   qualifications: [{
@@ -156,18 +239,56 @@ consultantSchema.virtual('completionRate').get(function() {
   return Math.round((this.completedBookings / this.totalBookings) * 100);
 });
 
+// Virtual for the cancellation terms clients agree to when booking
+consultantSchema.virtual('cancellationTerms').get(function() {
+  const policy = getEffectivePolicy(this);
+  return { ...policy, terms: describePolicy(policy) };
+});
+
 // Virtual for availability status
 consultantSchema.virtual('isCurrentlyAvailable').get(function() {
   const now = new Date();
-  const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const dayOfWeek = days[now.getDay()];
-  const currentTime = now.toTimeString().slice(0, 5);
+  return this.isAvailableAt(now, now);
+});
 
-  const dayAvailability = this.availability[dayOfWeek];
-  if (!dayAvailability || !dayAvailability.isAvailable) return false;
+// Working windows (minutes since midnight) for a calendar day in the
+// consultant's time zone. Time off wins
+// over everything, then hours set for that specific date, then the weekly schedule.
+consultantSchema.methods.getAvailabilityWindows = function(date) {
+  const key = toDateKey(date);
 
-  return currentTime >= dayAvailability.startTime && currentTime <= dayAvailability.endTime;
-});
+  const isOff = (this.timeOff || []).some(entry =>
+    toDateKey(entry.startDate) <= key && key <= toDateKey(entry.endDate)
+  );
+  if (isOff) return [];
+
+  const override = (this.dateOverrides || []).find(entry => toDateKey(entry.date) === key);
+  let windows = [];
+  if (override) {
+    windows = [override];
+  } else {
+    const day = this.availability && this.availability[DAYS[new Date(date).getUTCDay()]];
+    windows = day && day.isAvailable ? day.windows || [] : [];
+  }
+
+  return windows
+    .map(window => ({ start: timeToMinutes(window.startTime), end: timeToMinutes(window.endTime) }))
+    .filter(window => window.start < window.end)
+    .sort((a, b) => a.start - b.start);
+};
+
+// Absolute availability intervals overlapping a time range, read in the
+// consultant's time zone
+consultantSchema.methods.getAvailabilityIntervals = function(from, to) {
+  return windowsToIntervals(day => this.getAvailabilityWindows(day), from, to, this.timeZone || defaultTimeZone);
+};
+
+// Check whether the consultant is available for the whole of a time range
+consultantSchema.methods.isAvailableAt = function(start, end) {
+  return this.getAvailabilityIntervals(start, end).some(interval =>
+    interval.start <= new Date(start) && new Date(end) <= interval.end
+  );
+};
 
 // Indexes for better query performance
 consultantSchema.index({ user: 1 });
@@ -176,6 +297,30 @@ consultantSchema.index({ isActive: 1 });
 consultantSchema.index({ isVerified: 1 });
 consultantSchema.index({ 'rating.average': -1 });
 consultantSchema.index({ hourlyRate: 1 });
+consultantSchema.index({ baseHourlyRate: 1 });
+
+// Convert the hourly rate to the base currency and check it is in range
+consultantSchema.pre('validate', async function(next) {
+  if (this.hourlyRate == null || !(this.isNew || this.isModified('hourlyRate') || this.isModified('currency'))) {
+    return next();
+  }
+
+  let rate = 1;
+  if (this.currency !== baseCurrency) {
+    const exchangeRate = await ExchangeRate.findOne({ currency: this.currency });
+    if (!exchangeRate) {
+      this.invalidate('currency', `No exchange rate is set for ${this.currency}`);
+      return next();
+    }
+    rate = exchangeRate.rate;
+  }
+
+  this.baseHourlyRate = roundAmount(this.hourlyRate / rate);
+  if (this.baseHourlyRate < hourlyRateLimits.min || this.baseHourlyRate > hourlyRateLimits.max) {
+    this.invalidate('hourlyRate', `Hourly rate must be between ${baseCurrency} ${hourlyRateLimits.min} and ${baseCurrency} ${hourlyRateLimits.max}, or the equivalent`);
+  }
+  next();
+});
 
 // Pre-save middleware to update category consultant counts
 consultantSchema.pre('save', async function(next) {
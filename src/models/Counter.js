@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. for invoice numbers. Each call to next() hands out
+// the following value exactly once, whichever instance asks.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Take the next value of a sequence, starting from 1
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { currencies } = require('../config/pricing');
+
+// How many units of a currency one unit of the base currency buys, e.g.
+// AED 3.6725 for USD 1. Maintained by admins.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    enum: { values: currencies, message: 'Currency {VALUE} is not supported' }
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    min: [0.000001, 'Exchange rate must be positive']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A consultant's outside calendar whose events block booking time. Uploaded
+// calendars change when a new file is uploaded; feeds are re-read from their
+// source on every sync.
+const externalCalendarSchema = new mongoose.Schema({
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Calendar name is required'],
+    trim: true,
+    maxlength: [100, 'Calendar name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['upload', 'feed'],
+    required: true
+  },
+  // Feed URL, or a file path inside the configured import directory
+  source: {
+    type: String,
+    trim: true
+  },
+  lastImportedAt: {
+    type: Date
+  },
+  lastImportError: {
+    type: String
+  },
+  blockCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+externalCalendarSchema.pre('validate', function(next) {
+  if (this.type === 'feed' && !this.source) {
+    this.invalidate('source', 'A feed needs a source');
+  }
+  next();
+});
+
+externalCalendarSchema.index({ consultant: 1 });
+externalCalendarSchema.index({ type: 1 });
+
+module.exports = mongoose.model('ExternalCalendar', externalCalendarSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A client's seat in a group session. A client has at most one seat per
+// session; cancelling and reserving again reuses it. Seats with a price are
+// held as 'pending' while the client pays, and reserved once paid.
+const groupSeatSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupSession',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'reserved', 'cancelled'],
+    default: 'reserved'
+  },
+  // Whether the price has been collected, as on bookings
+  paymentStatus: {
+    type: String,
+    enum: ['not-required', 'unpaid', 'pending', 'paid', 'partially-refunded', 'refunded'],
+    default: 'not-required'
+  },
+  // A pending seat is given up if it is not paid for by then
+  holdExpiresAt: {
+    type: Date
+  },
+  // Price of the seat when it was reserved
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  attendance: {
+    type: String,
+    enum: ['unmarked', 'attended', 'absent'],
+    default: 'unmarked'
+  },
+  attendanceMarkedAt: {
+    type: Date
+  },
+  reservedAt: {
+    type: Date,
+    default: Date.now
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['client', 'consultant', 'admin', 'system']
+  }
+}, {
+  timestamps: true
+});
+
+groupSeatSchema.index({ session: 1, client: 1 }, { unique: true });
+groupSeatSchema.index({ client: 1, status: 1 });
+groupSeatSchema.index({ status: 1, holdExpiresAt: 1 });
+
+module.exports = mongoose.model('GroupSeat', groupSeatSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { isValidTimeZone, toZonedDateTime } = require('../utils/timezone');
+const { currency } = require('../config/pricing');
+
+// A session a consultant runs for several clients at once, such as a
+// workshop. Clients reserve seats (see GroupSeat) up to the capacity.
+const groupSessionSchema = new mongoose.Schema({
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: [true, 'Consultant is required']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  startAt: {
+    type: Date,
+    required: [true, 'Start is required']
+  },
+  endAt: {
+    type: Date
+  },
+  duration: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [30, 'Minimum session duration is 30 minutes'],
+    max: [480, 'Maximum session duration is 8 hours']
+  },
+  // Consultant's time zone when the session was published
+  timeZone: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please enter a valid IANA time zone'
+    }
+  },
+  meetingType: {
+    type: String,
+    enum: ['video', 'audio', 'in-person'],
+    default: 'video'
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [2, 'A group session needs at least 2 seats'],
+    max: [500, 'A group session cannot have more than 500 seats']
+  },
+  // Reserved seats. Only ever changed with atomic increments that check the
+  // capacity, so it cannot go over it under concurrent reservations.
+  seatsTaken: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  pricePerSeat: {
+    type: Number,
+    required: [true, 'Price per seat is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: currency
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'completed'],
+    default: 'scheduled'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: [200, 'Cancellation reason cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+groupSessionSchema.virtual('seatsLeft').get(function() {
+  return Math.max(0, this.capacity - this.seatsTaken);
+});
+
+groupSessionSchema.pre('validate', function(next) {
+  if (this.startAt && this.duration) {
+    this.endAt = new Date(this.startAt.getTime() + this.duration * 60000);
+  }
+  if (this.capacity < this.seatsTaken) {
+    this.invalidate('capacity', 'Capacity cannot be lower than the seats already reserved');
+  }
+  next();
+});
+
+// JSON representation with the session's times rendered in a viewer's time zone
+groupSessionSchema.methods.toLocalJSON = function(timeZone) {
+  const zone = timeZone || this.timeZone;
+  const start = toZonedDateTime(this.startAt, zone);
+  const end = toZonedDateTime(this.endAt, zone);
+
+  return {
+    ...this.toJSON(),
+    localTime: {
+      timeZone: zone,
+      date: start.date,
+      startTime: start.time,
+      endDate: end.date,
+      endTime: end.time
+    }
+  };
+};
+
+groupSessionSchema.index({ consultant: 1, startAt: 1 });
+groupSessionSchema.index({ category: 1, startAt: 1 });
+groupSessionSchema.index({ status: 1, startAt: 1 });
+
+module.exports = mongoose.model('GroupSession', groupSessionSchema);
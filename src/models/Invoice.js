@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Everything printed on an invoice is copied onto it when it is issued and
+// can never change afterwards, whatever later happens to the booking, the
+// parties or the consultant's rate. A wrong invoice is voided and reissued
+// under a new number.
+const frozen = (type) => ({ type, immutable: true });
+
+const partySchema = new mongoose.Schema({
+  name: frozen(String),
+  email: frozen(String),
+  phone: frozen(String),
+  address: frozen(String),
+  taxId: frozen(String)
+}, { _id: false });
+
+const lineItemSchema = new mongoose.Schema({
+  type: frozen(String),
+  description: frozen(String),
+  quantity: frozen(Number),
+  unitAmount: frozen(Number),
+  amount: frozen(Number)
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    immutable: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+    immutable: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true,
+    immutable: true
+  },
+  issuer: {
+    type: partySchema,
+    immutable: true
+  },
+  billTo: {
+    type: partySchema,
+    immutable: true
+  },
+  provider: {
+    type: partySchema,
+    immutable: true
+  },
+  session: {
+    type: new mongoose.Schema({
+      topic: frozen(String),
+      startAt: frozen(Date),
+      endAt: frozen(Date),
+      timeZone: frozen(String),
+      duration: frozen(Number),
+      meetingType: frozen(String)
+    }, { _id: false }),
+    immutable: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  items: {
+    type: [lineItemSchema],
+    immutable: true
+  },
+  // Prices include tax; taxAmount is the part of the total that is tax and
+  // subtotal the part that is not
+  taxLabel: frozen(String),
+  taxRate: frozen(Number),
+  subtotal: frozen(Number),
+  taxAmount: frozen(Number),
+  total: frozen(Number),
+  // Collected through payments, net of refunds, when the invoice was issued
+  amountPaid: frozen(Number),
+  status: {
+    type: String,
+    enum: ['issued', 'void'],
+    default: 'issued'
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    maxlength: [500, 'Void reason cannot exceed 500 characters']
+  },
+  // The invoice this one corrects, and the one that corrected it
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    immutable: true
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A booking has at most one invoice in force
+invoiceSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { status: 'issued' } });
+invoiceSchema.index({ status: 1, issuedAt: -1 });
+invoiceSchema.index({ client: 1, issuedAt: -1 });
+
+invoiceSchema.virtual('balanceDue').get(function() {
+  return Math.max(0, Math.round(((this.total || 0) - (this.amountPaid || 0)) * 100) / 100);
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
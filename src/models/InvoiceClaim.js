@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// The right to issue one invoice: a booking's first invoice, or the one
+// replacing a given invoice. Only the request holding the claim draws an
+// invoice number, so requests racing to issue the same invoice never use up
+// a number between them. The number is kept on the claim once drawn, so a
+// holder that fails part way leaves it to the next one instead of a gap.
+const invoiceClaimSchema = new mongoose.Schema({
+  // "booking:<id>" or "reissue:<invoice id>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Identifies the current holder
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  claimedAt: {
+    type: Date,
+    required: true
+  },
+  number: {
+    type: String
+  },
+  // Set once the invoice exists
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('InvoiceClaim', invoiceClaimSchema);
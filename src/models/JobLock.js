@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled job. The instance holding an unexpired lock is
+// the only one running the job; the rest skip their turn.
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastStartedAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
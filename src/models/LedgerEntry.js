@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Accounts money moves between. 'customer' is money from clients, 'platform'
+// the platform's commission and 'payouts' money paid out to consultants.
+const ACCOUNTS = ['customer', 'consultant', 'platform', 'payouts'];
+
+// One movement of money in a consultant's earnings, recorded double-entry
+// style: `amount` (always positive) leaves the debit account and enters the
+// credit account. Entries are never changed; corrections are new entries.
+const ledgerEntrySchema = new mongoose.Schema({
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true
+  },
+  period: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutPeriod',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['booking', 'commission', 'refund', 'commission-reversal', 'adjustment', 'payout'],
+    required: true
+  },
+  debit: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  credit: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Ledger amounts must be positive']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // Commission rate applied, on commission entries and their reversals
+  commissionPercent: {
+    type: Number
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // What the entry was posted for, e.g. "payment:<id>:commission", so the
+  // same event is never posted twice
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+ledgerEntrySchema.index({ consultant: 1, occurredAt: -1 });
+ledgerEntrySchema.index({ period: 1, type: 1 });
+
+// The entry's effect on what the consultant is owed
+ledgerEntrySchema.virtual('consultantAmount').get(function() {
+  if (this.credit === 'consultant') return this.amount;
+  if (this.debit === 'consultant') return -this.amount;
+  return 0;
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
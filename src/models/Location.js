@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const { DAYS, timeToMinutes } = require('../utils/time');
+const { windowsToIntervals } = require('../utils/availability');
+const { dayAvailabilitySchema } = require('./schemas/availability');
+
+// A place where a consultant sees clients in person
+const locationSchema = new mongoose.Schema({
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: [true, 'Consultant is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true,
+    maxlength: [100, 'Location name cannot exceed 100 characters']
+  },
+  address: {
+    line1: {
+      type: String,
+      required: [true, 'Street address is required'],
+      trim: true,
+      maxlength: [200, 'Address lines cannot exceed 200 characters']
+    },
+    line2: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Address lines cannot exceed 200 characters']
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true,
+      maxlength: [100, 'City cannot exceed 100 characters']
+    },
+    region: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Region cannot exceed 100 characters']
+    },
+    postalCode: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Postal code cannot exceed 20 characters']
+    },
+    country: {
+      type: String,
+      required: [true, 'Country is required'],
+      trim: true,
+      maxlength: [100, 'Country cannot exceed 100 characters']
+    }
+  },
+  coordinates: {
+    latitude: {
+      type: Number,
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+      type: Number,
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    }
+  },
+  // How to get in: entrance, floor, parking, door codes
+  accessInstructions: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Access instructions cannot exceed 1000 characters']
+  },
+  // Weekly hours at this location. Days left unset follow the consultant's
+  // own availability; days that are set limit in-person sessions here to
+  // their windows.
+  hours: {
+    monday: { type: dayAvailabilitySchema },
+    tuesday: { type: dayAvailabilitySchema },
+    wednesday: { type: dayAvailabilitySchema },
+    thursday: { type: dayAvailabilitySchema },
+    friday: { type: dayAvailabilitySchema },
+    saturday: { type: dayAvailabilitySchema },
+    sunday: { type: dayAvailabilitySchema }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+locationSchema.pre('validate', function(next) {
+  const { latitude, longitude } = this.coordinates || {};
+  if ((latitude === undefined || latitude === null) !== (longitude === undefined || longitude === null)) {
+    this.invalidate('coordinates', 'Coordinates need both a latitude and a longitude');
+  }
+  next();
+});
+
+// Windows (minutes since midnight) for a "YYYY-MM-DD" day, or the whole day
+// when the location follows the consultant's hours that day
+locationSchema.methods.getAvailabilityWindows = function(date) {
+  const day = this.hours && this.hours[DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]];
+  if (!day) return [{ start: 0, end: 1440 }];
+  if (!day.isAvailable) return [];
+  return day.windows
+    .map(window => ({ start: timeToMinutes(window.startTime), end: timeToMinutes(window.endTime) }))
+    .sort((a, b) => a.start - b.start);
+};
+
+// Absolute intervals the location is open in, read in the consultant's time zone
+locationSchema.methods.getAvailabilityIntervals = function(from, to, timeZone) {
+  return windowsToIntervals(day => this.getAvailabilityWindows(day), from, to, timeZone);
+};
+
+// Check whether sessions can be held here for the whole of a time range
+locationSchema.methods.isOpenAt = function(start, end, timeZone) {
+  return this.getAvailabilityIntervals(start, end, timeZone).some(interval =>
+    interval.start <= new Date(start) && new Date(end) <= interval.end
+  );
+};
+
+// The address on one line, as shown in calendars
+locationSchema.methods.formatAddress = function() {
+  const { line1, line2, city, region, postalCode, country } = this.address;
+  return [line1, line2, [postalCode, city].filter(Boolean).join(' '), region, country]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// What anyone may see before a booking here is confirmed: the name and the
+// area, without the street address or how to get in
+locationSchema.methods.toPublicJSON = function() {
+  return {
+    _id: this._id,
+    consultant: this.consultant,
+    name: this.name,
+    address: {
+      city: this.address.city,
+      region: this.address.region,
+      country: this.address.country
+    },
+    isActive: this.isActive
+  };
+};
+
+locationSchema.index({ consultant: 1, isActive: 1 });
+
+module.exports = mongoose.model('Location', locationSchema);
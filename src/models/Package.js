@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { currency } = require('../config/pricing');
+const { packages: packagePolicy } = require('../config/booking');
+
+// A bundle of prepaid sessions with one consultant, sold at a single price.
+// Purchases copy its terms (see PackagePurchase), so later edits only apply
+// to new purchases.
+const packageSchema = new mongoose.Schema({
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: [true, 'Consultant is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Package name is required'],
+    trim: true,
+    maxlength: [100, 'Package name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  sessionCount: {
+    type: Number,
+    required: [true, 'Number of sessions is required'],
+    min: [1, 'A package needs at least 1 session'],
+    max: [100, 'A package cannot have more than 100 sessions']
+  },
+  // Longest session, in minutes, a credit from the package pays for
+  duration: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [30, 'Minimum session duration is 30 minutes'],
+    max: [480, 'Maximum session duration is 8 hours']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: currency
+  },
+  // Days the credits can be used for after purchase
+  validityDays: {
+    type: Number,
+    default: () => packagePolicy.validityDays,
+    min: [1, 'Credits must be valid for at least 1 day'],
+    max: [730, 'Credits cannot be valid for more than 2 years']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+packageSchema.virtual('pricePerSession').get(function() {
+  return Math.round((this.price / this.sessionCount) * 100) / 100;
+});
+
+packageSchema.index({ consultant: 1, isActive: 1 });
+
+module.exports = mongoose.model('Package', packageSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// A client's purchase of a package and the credits left from it. The
+// balance is only changed with atomic updates that also record the usage.
+// Purchases of packages with a price are only created once their payment
+// has succeeded.
+const packagePurchaseSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true
+  },
+  // Terms of the package when it was bought
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true
+  },
+  sessionCount: {
+    type: Number,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // The payment the package was bought with; free packages have none
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [
+      function() { return this.price > 0; },
+      'A package with a price is only granted once paid for'
+    ]
+  },
+  creditsRemaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  purchasedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Credits pay for sessions that start before this
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Every credit taken for a booking and every credit given back
+  usage: [{
+    _id: false,
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    type: {
+      type: String,
+      enum: ['redeemed', 'returned']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+packagePurchaseSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+packagePurchaseSchema.index({ client: 1, expiresAt: -1 });
+packagePurchaseSchema.index({ package: 1 });
+// A payment grants its package once, however often its webhook arrives
+packagePurchaseSchema.index({ payment: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('PackagePurchase', packagePurchaseSchema);
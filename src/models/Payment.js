@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// What a payment is for, and the field that points at it
+const PURPOSES = {
+  booking: 'booking',
+  'group-seat': 'groupSeat',
+  package: 'package'
+};
+
+// Money collected through a payment gateway for a booking, a seat in a group
+// session or a package of session credits. A booking or seat can have several
+// payments when a checkout is abandoned or fails and is tried again; at most
+// one of them succeeds.
+const paymentSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    enum: Object.keys(PURPOSES),
+    default: 'booking'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  groupSeat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupSeat'
+  },
+  // The package bought. Its credits are only granted once the payment
+  // succeeds (see PackagePurchase).
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package'
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payment amount must be positive']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  // The payment's ID at the gateway, set once the checkout is created
+  gatewayPaymentId: {
+    type: String
+  },
+  // Where the client completes the payment
+  checkoutUrl: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  failureReason: {
+    type: String
+  },
+  succeededAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refunds: [{
+    amount: { type: Number, required: true },
+    gatewayRefundId: { type: String },
+    reason: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Gateway events already applied, so a redelivered event changes nothing
+  events: [{
+    _id: false,
+    eventId: { type: String, required: true },
+    type: { type: String },
+    receivedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+paymentSchema.pre('validate', function(next) {
+  const field = PURPOSES[this.purpose];
+  if (field && !this[field]) {
+    this.invalidate(field, `A ${this.purpose} payment needs a ${field}`);
+  }
+  next();
+});
+
+paymentSchema.index({ gateway: 1, gatewayPaymentId: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ booking: 1, status: 1 });
+paymentSchema.index({ groupSeat: 1, status: 1 });
+// At most one open checkout per booking or seat, so concurrent checkout
+// requests cannot both open one
+paymentSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { purpose: 'booking', status: 'pending' } });
+paymentSchema.index({ groupSeat: 1 }, { unique: true, partialFilterExpression: { purpose: 'group-seat', status: 'pending' } });
+paymentSchema.index({ package: 1, client: 1, status: 1 });
+paymentSchema.index({ status: 1, succeededAt: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
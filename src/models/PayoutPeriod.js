@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A calendar month (UTC) of a consultant's earnings. Ledger entries are
+// posted to the consultant's open period; once an admin closes it, its
+// totals are fixed and later entries go to the next open period. Paying out
+// a closed period records the payout in the ledger. While its totals are
+// being worked out a period is 'closing' and takes no entries.
+const payoutPeriodSchema = new mongoose.Schema({
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closing', 'closed', 'paid'],
+    default: 'open'
+  },
+  // Postings under way into the period, and when the latest began. A period
+  // only starts closing once none are, so every entry is in its totals.
+  postingsInFlight: {
+    type: Number,
+    default: 0
+  },
+  postingStartedAt: {
+    type: Date
+  },
+  // Fixed when the period is closed, one row per currency earned in
+  totals: [{
+    _id: false,
+    currency: { type: String, required: true },
+    gross: { type: Number },
+    commission: { type: Number },
+    refunds: { type: Number },
+    adjustments: { type: Number },
+    net: { type: Number }
+  }],
+  closedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: {
+    type: Date
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The bank transfer or other payment the consultant was paid with
+  paymentReference: {
+    type: String,
+    maxlength: [200, 'Payment reference cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+payoutPeriodSchema.index({ consultant: 1, start: 1 }, { unique: true });
+payoutPeriodSchema.index({ status: 1, end: 1 });
+
+module.exports = mongoose.model('PayoutPeriod', payoutPeriodSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { currency, currencies } = require('../config/pricing');
+
+// A promo code clients enter when booking, for a percentage or a fixed
+// amount off the session price. Codes can be limited to first bookings, to
+// some categories or consultants, to a validity window, and in how many
+// times they are used overall and per client.
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Codes are 3 to 30 letters, digits, dashes or underscores']
+  },
+  // Groups codes run as part of the same marketing campaign
+  campaign: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Campaign name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  // Percent off, or an amount off in `currency`
+  amount: {
+    type: Number,
+    required: [true, 'Discount amount is required'],
+    min: [0.01, 'Discount amount must be positive']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: currency,
+    enum: { values: currencies, message: 'Currency {VALUE} is not supported' }
+  },
+  firstBookingOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Empty lists place no restriction
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  consultants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant'
+  }],
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  // Unset means no limit
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'Usage cap must be at least 1']
+  },
+  maxPerClient: {
+    type: Number,
+    min: [1, 'Usage cap per client must be at least 1']
+  },
+  // Bookings currently holding the code; released bookings give their use back
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+promotionSchema.index({ isActive: 1, endsAt: 1 });
+promotionSchema.index({ campaign: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.amount > 100) {
+    this.invalidate('amount', 'A percentage discount cannot exceed 100%');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The end must be after the start');
+  }
+  next();
+});
+
+// Whether the code can be used at an instant, leaving usage caps aside
+promotionSchema.methods.isValidAt = function(at = new Date()) {
+  return this.isActive &&
+    (!this.startsAt || this.startsAt <= at) &&
+    (!this.endsAt || at < this.endsAt);
+};
+
+// How the discount reads on a price breakdown
+promotionSchema.methods.describe = function() {
+  return this.discountType === 'percentage'
+    ? `Promo code ${this.code} (${this.amount}% off)`
+    : `Promo code ${this.code} (${this.currency} ${this.amount} off)`;
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
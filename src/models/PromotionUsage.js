@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// How many times a client holds a promo code, and on which bookings. The
+// unique index makes the per-client cap safe against concurrent bookings.
+const promotionUsageSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }]
+}, {
+  timestamps: true
+});
+
+promotionUsageSchema.index({ promotion: 1, client: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromotionUsage', promotionUsageSchema);
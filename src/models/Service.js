@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { currency } = require('../config/pricing');
 
 const serviceSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -7,6 +8,7 @@ const serviceSchema = new mongoose.Schema({
   category: String,
   duration: String,
   price: Number,
+  currency: { type: String, default: currency },
   rating: Number
 }, { timestamps: true });
 
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Size of a reservation slot in minutes. A booking holds every slot its time
+// range touches, so two bookings can only both succeed if they share none.
+const SLOT_MINUTES = 5;
+const SLOT_MS = SLOT_MINUTES * 60000;
+
+const slotReservationSchema = new mongoose.Schema({
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true
+  },
+  // The booking holding the slot, or a waitlist entry while a freed slot is
+  // offered to its client
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  slot: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// The unique index is what makes reservations atomic across requests
+slotReservationSchema.index({ consultant: 1, slot: 1 }, { unique: true });
+slotReservationSchema.index({ booking: 1 });
+
+// List the slot start times covered by a time range
+slotReservationSchema.statics.getSlots = function(start, end) {
+  const slots = [];
+  const first = Math.floor(new Date(start).getTime() / SLOT_MS) * SLOT_MS;
+  for (let time = first; time < new Date(end).getTime(); time += SLOT_MS) {
+    slots.push(new Date(time));
+  }
+  return slots;
+};
+
+// Reserve a time range for a booking. Slots the booking already holds are kept,
+// so the same method moves an existing booking. Returns false when another
+// booking holds any of the slots; in that case nothing is changed.
+slotReservationSchema.statics.reserve = async function(consultantId, bookingId, start, end) {
+  const slots = this.getSlots(start, end);
+  const held = await this.find({ booking: bookingId }).select('slot');
+  const heldTimes = new Set(held.map(reservation => reservation.slot.getTime()));
+  const newSlots = slots.filter(slot => !heldTimes.has(slot.getTime()));
+
+  try {
+    await this.insertMany(
+      newSlots.map(slot => ({ consultant: consultantId, booking: bookingId, slot })),
+      { ordered: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      await this.deleteMany({ booking: bookingId, slot: { $in: newSlots } });
+      return false;
+    }
+    throw error;
+  }
+
+  // Drop slots from the booking's previous time range
+  await this.deleteMany({ booking: bookingId, slot: { $nin: slots } });
+  return true;
+};
+
+// Release every slot held by a booking
+slotReservationSchema.statics.release = async function(bookingId) {
+  await this.deleteMany({ booking: bookingId });
+};
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone } = require('../utils/timezone');
+const { defaultTimeZone } = require('../config/scheduling');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -41,6 +43,14 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
   },
+  timeZone: {
+    type: String,
+    default: defaultTimeZone,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please enter a valid IANA time zone'
+    }
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -52,6 +62,11 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
+  },
+  // Private calendar feed. Only a hash of the feed token is kept.
+  calendarFeed: {
+    tokenHash: { type: String, select: false },
+    createdAt: { type: Date }
   }
 }, {
   timestamps: true,
@@ -86,6 +101,7 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  if (user.calendarFeed) delete user.calendarFeed.tokenHash;
   return user;
 };
 
@@ -93,5 +109,6 @@ userSchema.methods.toJSON = function() {
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
 
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
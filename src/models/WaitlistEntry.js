@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// A client waiting for a consultant to free up, either for one specific slot
+// or for any time inside a range. Entries are served first come, first served.
+const waitlistEntrySchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Client is required']
+  },
+  consultant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: [true, 'Consultant is required']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+  duration: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [30, 'Minimum session duration is 30 minutes'],
+    max: [480, 'Maximum session duration is 8 hours']
+  },
+  meetingType: {
+    type: String,
+    enum: ['video', 'audio', 'in-person'],
+    default: 'video'
+  },
+  // Location of in-person sessions
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  notes: {
+    client: {
+      type: String,
+      maxlength: [500, 'Client notes cannot exceed 500 characters']
+    }
+  },
+  // 'slot' entries want a session starting exactly at `from`; 'range' entries
+  // take any session that fits between `from` and `to`
+  type: {
+    type: String,
+    enum: ['slot', 'range'],
+    required: true
+  },
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+  // The slot currently held for this client. It is reserved for them until
+  // `expiresAt`, after which it moves on to the next client in line.
+  offer: {
+    startAt: { type: Date },
+    endAt: { type: Date },
+    // End of the freed time the offer was cut from, so it can be passed on
+    freeUntil: { type: Date },
+    offeredAt: { type: Date },
+    expiresAt: { type: Date }
+  },
+  // Every offer made to this client and what became of it
+  offerHistory: [{
+    startAt: { type: Date, required: true },
+    endAt: { type: Date, required: true },
+    offeredAt: { type: Date, required: true },
+    outcome: {
+      type: String,
+      enum: ['claimed', 'declined', 'expired', 'withdrawn'],
+      required: true
+    },
+    resolvedAt: { type: Date, default: Date.now }
+  }],
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.pre('validate', function(next) {
+  if (this.from && this.to && this.to <= this.from) {
+    this.invalidate('to', 'Waitlist range must end after it starts');
+  }
+  next();
+});
+
+// Whether a session of this entry's length starting at `startAt` suits it
+waitlistEntrySchema.methods.accepts = function(startAt) {
+  const endAt = startAt.getTime() + this.duration * 60000;
+  if (this.type === 'slot') return startAt.getTime() === this.from.getTime();
+  return startAt >= this.from && endAt <= this.to.getTime();
+};
+
+// Open offers of a consultant whose held session overlaps a time range
+waitlistEntrySchema.statics.findHeldOffers = function(consultantId, start, end, now = new Date()) {
+  return this.find({
+    consultant: consultantId,
+    status: 'offered',
+    'offer.startAt': { $lt: end },
+    'offer.endAt': { $gt: start },
+    'offer.expiresAt': { $gt: now }
+  }).select('offer');
+};
+
+waitlistEntrySchema.index({ consultant: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ client: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,34 @@
+// Mongoose plugin that makes array paths append-only: entries loaded from the
+// database can never be changed or removed, only new entries added.
+const appendOnly = (schema, { paths = [] } = {}) => {
+  // Snapshot the stored entries whenever the document is loaded or saved
+  const snapshot = function() {
+    this.$locals.appendOnly = {};
+    paths.forEach(path => {
+      this.$locals.appendOnly[path] = JSON.stringify(this.get(path) || []);
+    });
+  };
+  schema.post('init', snapshot);
+  schema.post('save', snapshot);
+
+  schema.pre('validate', function(next) {
+    const original = this.$locals.appendOnly;
+    if (!original) return next();
+
+    for (const path of paths) {
+      if (!this.isModified(path)) continue;
+
+      const before = JSON.parse(original[path]);
+      const after = JSON.parse(JSON.stringify(this.get(path) || []));
+      const unchanged = after.length >= before.length &&
+        before.every((entry, index) => JSON.stringify(entry) === JSON.stringify(after[index]));
+
+      if (!unchanged) {
+        this.invalidate(path, `${path} entries cannot be changed or removed`);
+      }
+    }
+    next();
+  });
+};
+
+module.exports = appendOnly;
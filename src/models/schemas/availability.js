@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { TIME_REGEX, END_TIME_REGEX } = require('../../utils/time');
+const { validateWindows } = require('../../utils/availability');
+
+// A single block of working hours within a day
+const availabilityWindowSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_REGEX, 'Please enter a valid time in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [END_TIME_REGEX, 'Please enter a valid time in HH:MM format']
+  }
+}, { _id: false });
+
+// Weekly schedule entry for one weekday
+const dayAvailabilitySchema = new mongoose.Schema({
+  isAvailable: { type: Boolean, default: false },
+  windows: {
+    type: [availabilityWindowSchema],
+    default: () => [{ startTime: '09:00', endTime: '17:00' }],
+    validate: {
+      validator: function(windows) {
+        return validateWindows(windows) === null;
+      },
+      message: props => validateWindows(props.value)
+    }
+  }
+}, { _id: false });
+
+module.exports = {
+  availabilityWindowSchema,
+  dayAvailabilitySchema
+};
@@ -1,9 +1,19 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Consultant = require('../models/Consultant');
 const Category = require('../models/Category');
 const Booking = require('../models/Booking');
+const ExchangeRate = require('../models/ExchangeRate');
+const Invoice = require('../models/Invoice');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutPeriod = require('../models/PayoutPeriod');
+const { canTransition, changeStatus } = require('../services/bookingStatus');
+const { getRevenueStats } = require('../services/payments');
+const { voidInvoice, reissueInvoice } = require('../services/invoices');
+const { setRate, removeRate } = require('../services/exchangeRates');
+const { currency: baseCurrency, currencies } = require('../config/pricing');
+const { recordAdjustment, getPeriodTotals, closePeriod, markPeriodPaid, getEarningsSummary } = require('../services/ledger');
 const { authenticateToken, requireAdmin, asyncHandler } = require('../middleware/auth');
 
 const router = express.Router();
@@ -39,12 +49,8 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     }
   ]);
 
-  // Get revenue statistics (if payment integration is added)
-  const revenueStats = {
-    total: 0,
-    thisMonth: 0,
-    lastMonth: 0
-  };
+  // Revenue from payments, net of refunds
+  const revenueStats = await getRevenueStats();
 
   // Get top categories
   const topCategories = await Category.find()
@@ -66,7 +72,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
         totalCategories,
         totalBookings
       },
-      recentBookings,
+      recentBookings: recentBookings.map(booking => booking.toLocalJSON(req.user.timeZone)),
       bookingStats,
       revenueStats,
       topCategories,
@@ -279,7 +285,7 @@ router.put('/consultants/:id/verify', [
 // @desc    Get all bookings with pagination and filtering
 // @access  Admin only
 router.get('/bookings', [
-  query('status').optional().isIn(['pending', 'confirmed', 'completed', 'cancelled', 'no-show']),
+  query('status').optional().isIn(['pending', 'confirmed', 'completed', 'cancelled', 'no-show', 'expired']),
   query('dateFrom').optional().isISO8601(),
   query('dateTo').optional().isISO8601(),
   query('page').optional().isInt({ min: 1 }),
@@ -302,16 +308,16 @@ router.get('/bookings', [
   const query = {};
   if (status) query.status = status;
   if (dateFrom || dateTo) {
-    query.date = {};
-    if (dateFrom) query.date.$gte = new Date(dateFrom);
-    if (dateTo) query.date.$lte = new Date(dateTo);
+    query.startAt = {};
+    if (dateFrom) query.startAt.$gte = new Date(dateFrom);
+    if (dateTo) query.startAt.$lte = new Date(dateTo);
   }
 
   const bookings = await Booking.find(query)
     .populate('client', 'firstName lastName email')
     .populate('consultant.user', 'firstName lastName email')
     .populate('category', 'name')
-    .sort({ date: -1, startTime: -1 })
+    .sort({ startAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
 
@@ -320,7 +326,7 @@ router.get('/bookings', [
   res.json({
     success: true,
     data: {
-      bookings,
+      bookings: bookings.map(booking => booking.toLocalJSON(req.user.timeZone)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -338,6 +344,14 @@ router.put('/bookings/:id/status', [
   body('status')
     .isIn(['pending', 'confirmed', 'completed', 'cancelled', 'no-show'])
     .withMessage('Invalid status'),
+  body('override')
+    .optional()
+    .isBoolean()
+    .withMessage('Override must be a boolean'),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
   body('notes.admin')
     .optional()
     .isLength({ max: 500 })
@@ -353,7 +367,7 @@ router.put('/bookings/:id/status', [
     });
   }
 
-  const { status, notes } = req.body;
+  const { status, override = false, reason, notes } = req.body;
 
   const booking = await Booking.findById(req.params.id);
   if (!booking) {
@@ -363,24 +377,21 @@ router.put('/bookings/:id/status', [
     });
   }
 
-  // Update booking
-  booking.status = status;
-  if (notes?.admin) {
-    booking.notes.admin = notes.admin;
-  }
-
-  // Set completion time if status is completed
-  if (status === 'completed') {
-    booking.completedAt = new Date();
-  }
-
-  // Set cancellation time if status is cancelled
-  if (status === 'cancelled') {
-    booking.cancelledAt = new Date();
-    booking.cancelledBy = 'admin';
+  // Changes outside the transition table need an explicit override, which
+  // is flagged in the booking's status history
+  if (!canTransition(booking.status, status, 'admin') && !override) {
+    return res.status(409).json({
+      success: false,
+      message: `Booking status cannot change from ${booking.status} to ${status} without an override`
+    });
   }
 
-  await booking.save();
+  await changeStatus(booking, status, {
+    actor: req.user._id,
+    role: 'admin',
+    reason: reason || notes?.admin,
+    override: override === true || override === 'true'
+  });
 
   // Populate the response
   await booking.populate('client', 'firstName lastName email');
@@ -391,9 +402,390 @@ router.put('/bookings/:id/status', [
     success: true,
     message: 'Booking status updated successfully',
     data: {
-      booking
+      booking: booking.toLocalJSON(req.user.timeZone)
+    }
+  });
+}));
+
+// @route   GET /api/admin/invoices
+// @desc    Get all invoices with pagination and filtering
+// @access  Admin only
+router.get('/invoices', [
+  query('status').optional().isIn(['issued', 'void']),
+  query('booking').optional().isMongoId(),
+  query('client').optional().isMongoId(),
+  query('dateFrom').optional().isISO8601(),
+  query('dateTo').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const { status, booking, client, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status) query.status = status;
+  if (booking) query.booking = booking;
+  if (client) query.client = client;
+  if (dateFrom || dateTo) {
+    query.issuedAt = {};
+    if (dateFrom) query.issuedAt.$gte = new Date(dateFrom);
+    if (dateTo) query.issuedAt.$lte = new Date(dateTo);
+  }
+
+  const invoices = await Invoice.find(query)
+    .sort({ issuedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Invoice.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      invoices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+const invoiceReasonValidator = body('reason')
+  .optional()
+  .isLength({ max: 500 })
+  .withMessage('Reason cannot exceed 500 characters');
+
+// @route   POST /api/admin/invoices/:id/void
+// @desc    Void an invoice. The booking gets no invoice until it is reissued.
+// @access  Admin only
+router.post('/invoices/:id/void', [
+  invoiceReasonValidator
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+  }
+
+  const voided = await voidInvoice(invoice, { actor: req.user._id, reason: req.body.reason });
+
+  res.json({
+    success: true,
+    message: `Invoice ${voided.number} voided`,
+    data: { invoice: voided }
+  });
+}));
+
+// @route   POST /api/admin/invoices/:id/reissue
+// @desc    Replace an invoice with a new one, under a new number, built from
+//          the booking as it is now
+// @access  Admin only
+router.post('/invoices/:id/reissue', [
+  invoiceReasonValidator
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+  }
+
+  const { voided, invoice: replacement } = await reissueInvoice(invoice, { actor: req.user._id, reason: req.body.reason });
+
+  res.status(201).json({
+    success: true,
+    message: `Invoice ${voided.number} reissued as ${replacement.number}`,
+    data: {
+      voided,
+      invoice: replacement
+    }
+  });
+}));
+
+// @route   GET /api/admin/consultants/:id/earnings
+// @desc    Get a consultant's balance and payout periods
+// @access  Admin only
+router.get('/consultants/:id/earnings', asyncHandler(async (req, res) => {
+  const consultant = await Consultant.findById(req.params.id).select('_id');
+  if (!consultant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: await getEarningsSummary(consultant._id)
+  });
+}));
+
+// @route   POST /api/admin/consultants/:id/ledger-adjustments
+// @desc    Correct a consultant's earnings. Positive amounts are owed to the
+//          consultant, negative ones are taken off.
+// @access  Admin only
+router.post('/consultants/:id/ledger-adjustments', [
+  body('amount')
+    .isFloat()
+    .custom(value => parseFloat(value) !== 0)
+    .withMessage('Amount must be a non-zero number'),
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Description must be between 1 and 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const consultant = await Consultant.findById(req.params.id).select('currency');
+  if (!consultant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant not found'
+    });
+  }
+
+  // Adjustments are in the consultant's currency, like the rest of the ledger
+  const entry = await recordAdjustment(consultant._id, {
+    amount: parseFloat(req.body.amount),
+    currency: consultant.currency,
+    description: req.body.description,
+    actor: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Adjustment recorded',
+    data: { entry }
+  });
+}));
+
+// @route   GET /api/admin/payout-periods
+// @desc    Get payout periods with pagination and filtering
+// @access  Admin only
+router.get('/payout-periods', [
+  query('status').optional().isIn(['open', 'closing', 'closed', 'paid']),
+  query('consultant').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const { status, consultant, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status) query.status = status;
+  if (consultant) query.consultant = consultant;
+
+  const periods = await PayoutPeriod.find(query)
+    .populate({ path: 'consultant', select: 'user', populate: { path: 'user', select: 'firstName lastName email' } })
+    .sort({ start: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await PayoutPeriod.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      periods,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
     }
   });
 }));
 
+// @route   GET /api/admin/payout-periods/:id
+// @desc    Get a payout period with its ledger entries
+// @access  Admin only
+router.get('/payout-periods/:id', asyncHandler(async (req, res) => {
+  const period = await PayoutPeriod.findById(req.params.id);
+  if (!period) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout period not found'
+    });
+  }
+
+  const entries = await LedgerEntry.find({ period: period._id }).sort({ occurredAt: 1, _id: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      period,
+      // Periods not yet closed are totalled as they stand
+      totals: ['open', 'closing'].includes(period.status) ? await getPeriodTotals(period._id) : period.totals,
+      entries
+    }
+  });
+}));
+
+// @route   POST /api/admin/payout-periods/:id/close
+// @desc    Close an ended period and fix its totals
+// @access  Admin only
+router.post('/payout-periods/:id/close', asyncHandler(async (req, res) => {
+  const period = await PayoutPeriod.findById(req.params.id);
+  if (!period) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout period not found'
+    });
+  }
+
+  const closed = await closePeriod(period, { actor: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Payout period closed',
+    data: { period: closed }
+  });
+}));
+
+// @route   POST /api/admin/payout-periods/:id/paid
+// @desc    Mark a closed period as paid out to the consultant
+// @access  Admin only
+router.post('/payout-periods/:id/paid', [
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Payment reference cannot exceed 200 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const period = await PayoutPeriod.findById(req.params.id);
+  if (!period) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout period not found'
+    });
+  }
+
+  const paid = await markPeriodPaid(period, { actor: req.user._id, reference: req.body.reference });
+
+  res.json({
+    success: true,
+    message: 'Payout period marked paid',
+    data: { period: paid }
+  });
+}));
+
+// @route   GET /api/admin/exchange-rates
+// @desc    Get the exchange rates against the base currency
+// @access  Admin only
+router.get('/exchange-rates', asyncHandler(async (req, res) => {
+  const rates = await ExchangeRate.find()
+    .populate('updatedBy', 'firstName lastName')
+    .sort({ currency: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      baseCurrency,
+      currencies,
+      rates
+    }
+  });
+}));
+
+// @route   PUT /api/admin/exchange-rates/:currency
+// @desc    Set how many units of a currency one unit of the base currency buys
+// @access  Admin only
+router.put('/exchange-rates/:currency', [
+  param('currency')
+    .customSanitizer(value => value.toUpperCase())
+    .isIn(currencies)
+    .withMessage(`Currency must be one of ${currencies.join(', ')}`),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const rate = await setRate(req.params.currency, parseFloat(req.body.rate), req.user._id);
+
+  res.json({
+    success: true,
+    message: `Exchange rate for ${rate.currency} updated`,
+    data: { rate }
+  });
+}));
+
+// @route   DELETE /api/admin/exchange-rates/:currency
+// @desc    Remove a currency's exchange rate once nothing is priced in it
+// @access  Admin only
+router.delete('/exchange-rates/:currency', asyncHandler(async (req, res) => {
+  const removed = await removeRate(req.params.currency.toUpperCase());
+
+  res.json({
+    success: true,
+    message: `Exchange rate for ${removed.currency} removed`
+  });
+}));
+
 module.exports = router; 
\ No newline at end of file
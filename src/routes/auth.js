@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { authenticateToken, asyncHandler } = require('../middleware/auth');
 const { errorHandler } = require('../middleware/errorHandler');
+const { isValidTimeZone } = require('../utils/timezone');
 const bcrypt = require('bcryptjs');
 
 const router = express.Router();
@@ -39,7 +40,11 @@ router.post('/register', [
   body('role')
     .optional()
     .isIn(['client', 'consultant'])
-    .withMessage('Role must be either client or consultant')
+    .withMessage('Role must be either client or consultant'),
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -51,7 +56,7 @@ router.post('/register', [
     });
   }
 
-  const { email, password, firstName, lastName, role = 'client', phone } = req.body;
+  const { email, password, firstName, lastName, role = 'client', phone, timeZone } = req.body;
 
   // Check if user already exists
   const existingUser = await User.findOne({ email });
@@ -69,7 +74,8 @@ router.post('/register', [
     firstName,
     lastName,
     role,
-    phone
+    phone,
+    timeZone
   });
 
   await user.save();
@@ -88,6 +94,7 @@ router.post('/register', [
         lastName: user.lastName,
         role: user.role,
         avatar: user.avatar,
+        timeZone: user.timeZone,
         isVerified: user.isVerified
       },
       token
@@ -185,6 +192,7 @@ router.post('/login', [
         lastName: user.lastName,
         role: user.role,
         avatar: user.avatar,
+        timeZone: user.timeZone,
         isVerified: user.isVerified
       },
       token
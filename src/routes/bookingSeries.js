@@ -0,0 +1,418 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const Consultant = require('../models/Consultant');
+const { TIME_REGEX } = require('../utils/time');
+const { isValidTimeZone } = require('../utils/timezone');
+const { FREQUENCIES, MAX_OCCURRENCES, generateOccurrences } = require('../utils/recurrence');
+const { resolveStart, assertSlotAvailable } = require('../services/bookingSlots');
+const { buildBooking, saveNewBooking } = require('../services/bookings');
+const { assertCanReschedule, moveBooking } = require('../services/reschedule');
+const { getBookingRole } = require('../services/bookingAccess');
+const { changeStatus } = require('../services/bookingStatus');
+const { reschedule: reschedulePolicy } = require('../config/booking');
+const { authenticateToken, requireClient, asyncHandler } = require('../middleware/auth');
+
+const router = express.Router();
+
+const startValidators = [
+  body('startAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset')
+    .matches(/(Z|[+-]\d{2}:?\d{2})$/)
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset'),
+  body('date')
+    .if(body('startAt').not().exists())
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Valid date is required'),
+  body('startTime')
+    .if(body('startAt').not().exists())
+    .matches(TIME_REGEX)
+    .withMessage('Start time must be in HH:MM format'),
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone')
+];
+
+// Occurrences that could not be booked or changed are reported rather than
+// failing the whole request. Anything other than a client or validation
+// error is still a server error.
+const toFailure = (error, booking, startAt, seriesIndex = booking?.seriesIndex) => {
+  if (!error.statusCode && error.name !== 'ValidationError') throw error;
+  return {
+    booking: booking?._id,
+    seriesIndex,
+    startAt,
+    message: error.message
+  };
+};
+
+// Load a series and the caller's part in it, or send the error response
+const loadSeries = async (req, res) => {
+  const series = await BookingSeries.findById(req.params.id);
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking series not found'
+    });
+    return {};
+  }
+
+  const role = await getBookingRole(series, req.user);
+  if (!role) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return {};
+  }
+
+  return { series, role };
+};
+
+// @route   POST /api/bookings/series
+// @desc    Book a recurring series of sessions
+// @access  Private (client)
+router.post('/', [
+  authenticateToken,
+  requireClient,
+  body('consultant')
+    .isMongoId()
+    .withMessage('Valid consultant ID is required'),
+  body('category')
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  ...startValidators,
+  body('duration')
+    .isInt({ min: 30, max: 480 })
+    .withMessage('Duration must be between 30 and 480 minutes'),
+  body('meetingType')
+    .optional()
+    .isIn(['video', 'audio', 'in-person'])
+    .withMessage('Meeting type must be video, audio, or in-person'),
+  body('location')
+    .if(body('meetingType').equals('in-person'))
+    .isMongoId()
+    .withMessage('In-person sessions need a valid location ID'),
+  body('frequency')
+    .isIn(FREQUENCIES)
+    .withMessage(`Frequency must be one of ${FREQUENCIES.join(', ')}`),
+  body('endDate')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('End date must be in YYYY-MM-DD format'),
+  body('occurrences')
+    .if(body('endDate').not().exists())
+    .isInt({ min: 2, max: MAX_OCCURRENCES })
+    .withMessage(`Either an end date or between 2 and ${MAX_OCCURRENCES} occurrences is required`),
+  body('notes.client')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Client notes cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const { consultant, category, frequency, endDate, occurrences, meetingType = 'video', location, notes } = req.body;
+  const duration = parseInt(req.body.duration);
+
+  const consultantProfile = await Consultant.findById(consultant);
+  if (!consultantProfile || !consultantProfile.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant not found'
+    });
+  }
+
+  const startAt = resolveStart(req.body, req.user.timeZone);
+  const series = new BookingSeries({
+    client: req.user._id,
+    consultant: consultantProfile._id,
+    category,
+    frequency,
+    startAt,
+    timeZone: consultantProfile.timeZone,
+    duration,
+    meetingType,
+    location: meetingType === 'in-person' ? location : undefined,
+    endDate,
+    occurrenceCount: endDate ? undefined : parseInt(occurrences)
+  });
+  await series.validate();
+
+  const starts = generateOccurrences(startAt, {
+    frequency,
+    count: series.occurrenceCount,
+    until: series.endDate,
+    timeZone: series.timeZone
+  });
+
+  // Each occurrence is checked and reserved on its own. The series itself is
+  // only saved once its first booking is, so a series where nothing could be
+  // booked is never left behind.
+  const bookings = [];
+  const failed = [];
+  for (const [index, occurrenceStart] of starts.entries()) {
+    try {
+      const booking = await buildBooking({
+        client: req.user,
+        consultant: consultantProfile,
+        category,
+        startAt: occurrenceStart,
+        duration,
+        meetingType,
+        location: series.location,
+        notes,
+        series: series._id,
+        seriesIndex: index
+      });
+      bookings.push(await saveNewBooking(booking));
+      if (bookings.length === 1) await series.save();
+    } catch (error) {
+      failed.push(toFailure(error, null, occurrenceStart, index));
+    }
+  }
+
+  if (bookings.length === 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'None of the sessions in this series could be booked',
+      data: { failed }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: failed.length
+      ? `${bookings.length} of ${starts.length} sessions booked`
+      : 'Booking series created successfully',
+    data: {
+      series,
+      bookings: bookings.map(booking => booking.toLocalJSON(req.user.timeZone)),
+      failed
+    }
+  });
+}));
+
+// @route   GET /api/bookings/series/:id
+// @desc    Get a booking series with its bookings
+// @access  Private (series client, consultant or admin)
+router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const { series } = await loadSeries(req, res);
+  if (!series) return;
+
+  const bookings = await Booking.find({ series: series._id })
+    .select('+meetingLink')
+    .populate('category', 'name')
+    .sort({ seriesIndex: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      series,
+      bookings: bookings.map(booking => booking.toLocalJSON(req.user.timeZone))
+    }
+  });
+}));
+
+// @route   POST /api/bookings/series/:id/cancel
+// @desc    Cancel all future bookings in a series
+// @access  Private (series client, consultant or admin)
+router.post('/:id/cancel', [
+  authenticateToken,
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Cancellation reason cannot exceed 200 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const { series, role } = await loadSeries(req, res);
+  if (!series) return;
+
+  const upcoming = await Booking.find({
+    series: series._id,
+    status: { $in: ['pending', 'confirmed'] },
+    startAt: { $gt: new Date() }
+  }).sort({ seriesIndex: 1 });
+
+  const cancelled = [];
+  const failed = [];
+  for (const booking of upcoming) {
+    try {
+      await changeStatus(booking, 'cancelled', {
+        actor: req.user._id,
+        role,
+        reason: req.body.reason
+      });
+      cancelled.push(booking);
+    } catch (error) {
+      failed.push(toFailure(error, booking, booking.startAt));
+    }
+  }
+
+  series.status = 'cancelled';
+  series.cancelledAt = new Date();
+  await series.save();
+
+  res.json({
+    success: true,
+    message: `${cancelled.length} upcoming sessions cancelled`,
+    data: {
+      series,
+      cancelled: cancelled.map(booking => ({
+        booking: booking._id,
+        seriesIndex: booking.seriesIndex,
+        cancellation: booking.cancellation
+      })),
+      failed
+    }
+  });
+}));
+
+// @route   POST /api/bookings/series/:id/reschedule
+// @desc    Move one booking of a series and every later one. The given booking
+//          moves to the new start and later ones follow the series frequency.
+// @access  Private (series client, consultant or admin)
+router.post('/:id/reschedule', [
+  authenticateToken,
+  body('fromBooking')
+    .isMongoId()
+    .withMessage('Valid booking ID is required'),
+  ...startValidators,
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reschedule reason cannot exceed 200 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const { series, role } = await loadSeries(req, res);
+  if (!series) return;
+
+  if (series.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only active series can be rescheduled'
+    });
+  }
+
+  const from = await Booking.findOne({ _id: req.body.fromBooking, series: series._id });
+  if (!from) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found in this series'
+    });
+  }
+
+  const following = await Booking.find({
+    series: series._id,
+    seriesIndex: { $gte: from.seriesIndex },
+    status: { $in: ['pending', 'confirmed'] },
+    startAt: { $gt: new Date() }
+  }).sort({ seriesIndex: 1 });
+
+  if (following.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'There are no upcoming bookings to reschedule'
+    });
+  }
+
+  const startAt = resolveStart(req.body, req.user.timeZone);
+  if (startAt.getTime() === from.startAt.getTime()) {
+    return res.status(400).json({
+      success: false,
+      message: 'The booking is already at this time'
+    });
+  }
+
+  // Occurrences are counted from the first booking being moved, so the new
+  // times keep the original gaps between the remaining bookings
+  const firstIndex = following[0].seriesIndex;
+  const starts = generateOccurrences(startAt, {
+    frequency: series.frequency,
+    count: following[following.length - 1].seriesIndex - firstIndex + 1,
+    timeZone: series.timeZone
+  });
+  const moves = following.map(booking => ({ booking, startAt: starts[booking.seriesIndex - firstIndex] }));
+
+  // When moving later, start with the last booking so each one moves into
+  // time the series itself no longer holds
+  if (startAt > from.startAt) moves.reverse();
+
+  const consultant = await Consultant.findById(series.consultant);
+  const entry = {
+    requestedBy: req.user._id,
+    requestedByRole: role,
+    reason: req.body.reason
+  };
+  const proposeOnly = role !== 'admin' && reschedulePolicy.requireAcceptance;
+
+  const rescheduled = [];
+  const failed = [];
+  for (const move of moves) {
+    const { booking } = move;
+    try {
+      assertCanReschedule(booking, role);
+
+      if (proposeOnly) {
+        const endAt = new Date(move.startAt.getTime() + booking.duration * 60000);
+        await assertSlotAvailable(consultant, move.startAt, endAt, booking._id, booking.location);
+        booking.rescheduleRequest = { startAt: move.startAt, ...entry, requestedAt: new Date() };
+        await booking.save();
+      } else {
+        await moveBooking(booking, consultant, move.startAt, entry);
+      }
+      rescheduled.push(booking);
+    } catch (error) {
+      failed.push(toFailure(error, booking, move.startAt));
+    }
+  }
+
+  // Keep the series anchored on its first occurrence
+  const first = rescheduled.find(booking => booking.seriesIndex === 0);
+  if (!proposeOnly && first) {
+    series.startAt = first.startAt;
+    await series.save();
+  }
+
+  rescheduled.sort((a, b) => a.seriesIndex - b.seriesIndex);
+
+  res.json({
+    success: true,
+    message: proposeOnly
+      ? `New times proposed for ${rescheduled.length} sessions, waiting for the other party to accept`
+      : `${rescheduled.length} sessions rescheduled`,
+    data: {
+      series,
+      bookings: rescheduled.map(booking => booking.toLocalJSON(req.user.timeZone)),
+      failed
+    }
+  });
+}));
+
+module.exports = router;
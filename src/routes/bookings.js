@@ -2,6 +2,26 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Booking = require('../models/Booking');
 const Consultant = require('../models/Consultant');
+const { TIME_REGEX } = require('../utils/time');
+const { isValidTimeZone } = require('../utils/timezone');
+const { calculateQuote } = require('../services/pricing');
+const { quoteInCurrency } = require('../services/exchangeRates');
+const { loadApplicablePromotion, applyPromotion } = require('../services/promotions');
+const { resolveStart, assertSlotAvailable } = require('../services/bookingSlots');
+const { buildBooking, saveNewBooking } = require('../services/bookings');
+const { loadUsableCredit } = require('../services/packages');
+const { assertCanReschedule, moveBooking } = require('../services/reschedule');
+const { getBookingRole } = require('../services/bookingAccess');
+const { changeStatus } = require('../services/bookingStatus');
+const { getNoShowReviews } = require('../services/sessionCompletion');
+const { populateForCalendar, buildBookingCalendar } = require('../services/calendar');
+const { createMeetingLink } = require('../services/meetings');
+const { locationForViewer } = require('../services/locations');
+const { startCheckout } = require('../services/payments');
+const { getBookingInvoice } = require('../services/invoices');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../services/invoiceDocuments');
+const { reschedule: reschedulePolicy } = require('../config/booking');
+const { currencies } = require('../config/pricing');
 const { authenticateToken, requireClient, requireConsultant, asyncHandler } = require('../middleware/auth');
 
 const router = express.Router();
@@ -18,32 +38,59 @@ router.post('/', [
   body('category')
     .isMongoId()
     .withMessage('Valid category ID is required'),
+  body('startAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset')
+    .matches(/(Z|[+-]\d{2}:?\d{2})$/)
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset'),
   body('date')
-    .isISO8601()
+    .if(body('startAt').not().exists())
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
     .withMessage('Valid date is required'),
   body('startTime')
-    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .if(body('startAt').not().exists())
+    .matches(TIME_REGEX)
     .withMessage('Start time must be in HH:MM format'),
-  body('endTime')
-    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('End time must be in HH:MM format'),
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone'),
   body('duration')
     .isInt({ min: 30, max: 480 })
     .withMessage('Duration must be between 30 and 480 minutes'),
   body('totalAmount')
+    .optional()
     .custom((value) => {
       if (typeof value === 'string') value = Number(value);
       return typeof value === 'number' && !isNaN(value) && value >= 0;
     })
-    .withMessage('Total amount is required and must be a number'),
+    .withMessage('Total amount must be a number'),
   body('meetingType')
     .optional()
     .isIn(['video', 'audio', 'in-person'])
     .withMessage('Meeting type must be video, audio, or in-person'),
+  body('location')
+    .if(body('meetingType').equals('in-person'))
+    .isMongoId()
+    .withMessage('In-person sessions need a valid location ID'),
   body('notes.client')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Client notes cannot exceed 500 characters')
+    .withMessage('Client notes cannot exceed 500 characters'),
+  body('packagePurchase')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid package purchase ID is required'),
+  body('currency')
+    .optional()
+    .isIn(currencies)
+    .withMessage(`Currency must be one of ${currencies.join(', ')}`),
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Promo code must be between 3 and 30 characters')
 ], asyncHandler(async (req, res) => {
   // Debug: log the incoming payload
   console.log('Received booking payload:', req.body);
@@ -59,27 +106,58 @@ router.post('/', [
   }
 
   // Extract all required fields
-  let { consultant, category, date, startTime, endTime, duration, meetingType = 'video', notes, totalAmount } = req.body;
+  let { consultant, category, startAt, date, startTime, timeZone, duration, meetingType = 'video', location, notes, totalAmount, packagePurchase, currency, promoCode } = req.body;
   // Accept totalAmount as string or number
   if (typeof totalAmount === 'string') totalAmount = Number(totalAmount);
+  duration = parseInt(duration);
 
-  const bookingDate = new Date(date);
+  const consultantProfile = await Consultant.findById(consultant);
+  if (!consultantProfile || !consultantProfile.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant not found'
+    });
+  }
 
-  // Create booking
-  const booking = new Booking({
-    client: req.user._id,
-    consultant,
+  // Either an absolute start, or a wall-clock date and time in the given
+  // time zone (defaulting to the client's own)
+  const start = resolveStart({ startAt, date, startTime, timeZone }, req.user.timeZone);
+
+  // A package credit pays for the session instead of totalAmount
+  const credit = packagePurchase
+    ? await loadUsableCredit(packagePurchase, req.user, { consultant: consultantProfile, duration, startAt: start })
+    : undefined;
+  const promotion = promoCode
+    ? await loadApplicablePromotion(promoCode, { client: req.user, consultant: consultantProfile, category })
+    : undefined;
+
+  const booking = await buildBooking({
+    client: req.user,
+    consultant: consultantProfile,
     category,
-    date: bookingDate,
-    startTime,
-    endTime,
+    startAt: start,
     duration,
     meetingType,
+    location,
     notes,
-    totalAmount
+    packagePurchase: credit,
+    currency,
+    promotion
   });
 
-  await booking.save();
+  // The price is always computed on the server. A client-supplied amount is
+  // only accepted as confirmation of the quote the client was shown.
+  if (totalAmount !== undefined && Math.abs(totalAmount - booking.totalAmount) >= 0.01) {
+    return res.status(409).json({
+      success: false,
+      message: 'The price of this booking has changed, please review the new quote',
+      data: {
+        quote: booking.pricing
+      }
+    });
+  }
+
+  await saveNewBooking(booking);
 
   // Populate the response
   await booking.populate('consultant', 'hourlyRate');
@@ -90,7 +168,72 @@ router.post('/', [
     success: true,
     message: 'Booking created successfully',
     data: {
-      booking
+      booking: booking.toLocalJSON(req.user.timeZone)
+    }
+  });
+}));
+
+// @route   POST /api/bookings/quote
+// @desc    Get the itemised price of a booking before creating it, in the
+//          consultant's currency or the one requested, with any promo code
+// @access  Private
+router.post('/quote', [
+  authenticateToken,
+  body('consultant')
+    .isMongoId()
+    .withMessage('Valid consultant ID is required'),
+  body('duration')
+    .isInt({ min: 30, max: 480 })
+    .withMessage('Duration must be between 30 and 480 minutes'),
+  body('meetingType')
+    .optional()
+    .isIn(['video', 'audio', 'in-person'])
+    .withMessage('Meeting type must be video, audio, or in-person'),
+  body('currency')
+    .optional()
+    .isIn(currencies)
+    .withMessage(`Currency must be one of ${currencies.join(', ')}`),
+  body('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Promo code must be between 3 and 30 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const { consultant, category, duration, meetingType = 'video', currency, promoCode } = req.body;
+
+  const consultantProfile = await Consultant.findById(consultant);
+  if (!consultantProfile || !consultantProfile.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant not found'
+    });
+  }
+
+  let quote = calculateQuote(consultantProfile, { duration: parseInt(duration), meetingType });
+  if (promoCode) {
+    const promotion = await loadApplicablePromotion(promoCode, { client: req.user, consultant: consultantProfile, category });
+    quote = await applyPromotion(quote, promotion);
+  }
+  quote = await quoteInCurrency(quote, currency);
+
+  res.json({
+    success: true,
+    data: {
+      quote,
+      cancellationTerms: consultantProfile.cancellationTerms
     }
   });
 }));
@@ -100,7 +243,7 @@ router.post('/', [
 // @access  Private
 router.get('/', [
   authenticateToken,
-  query('status').optional().isIn(['pending', 'confirmed', 'completed', 'cancelled', 'no-show']),
+  query('status').optional().isIn(['pending', 'confirmed', 'completed', 'cancelled', 'no-show', 'expired']),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 })
 ], asyncHandler(async (req, res) => {
@@ -128,10 +271,11 @@ router.get('/', [
   }
 
   const bookings = await Booking.find(query)
+    .select('+meetingLink')
     .populate('client', 'firstName lastName')
     .populate('consultant.user', 'firstName lastName')
     .populate('category', 'name')
-    .sort({ date: 1, startTime: 1 })
+    .sort({ startAt: 1 })
     .skip(skip)
     .limit(parseInt(limit));
 
@@ -140,7 +284,7 @@ router.get('/', [
   res.json({
     success: true,
     data: {
-      bookings,
+      bookings: bookings.map(booking => booking.toLocalJSON(req.user.timeZone)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -171,13 +315,39 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
     }
   }
   const bookings = await Booking.find(query)
+    .select('+meetingLink')
     .populate('client', 'firstName lastName')
     .populate('consultant.user', 'firstName lastName')
     .populate('category', 'name')
-    .sort({ date: 1, startTime: 1 });
+    .sort({ startAt: 1 });
   res.json({
     success: true,
-    data: { bookings }
+    data: { bookings: bookings.map(booking => booking.toLocalJSON(req.user.timeZone)) }
+  });
+}));
+
+// @route   GET /api/bookings/no-show-reviews
+// @desc    Sessions completed automatically that the consultant can still
+//          report as no-shows, soonest deadline first
+// @access  Private (consultant)
+router.get('/no-show-reviews', authenticateToken, requireConsultant, asyncHandler(async (req, res) => {
+  const consultant = await Consultant.findOne({ user: req.user._id });
+  if (!consultant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant profile not found'
+    });
+  }
+
+  const bookings = await getNoShowReviews(consultant._id)
+    .populate('client', 'firstName lastName')
+    .populate('category', 'name');
+
+  res.json({
+    success: true,
+    data: {
+      bookings: bookings.map(booking => booking.toLocalJSON(req.user.timeZone))
+    }
   });
 }));
 
@@ -186,9 +356,11 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
 // @access  Private (owner or admin)
 router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
   const booking = await Booking.findById(req.params.id)
+    .select('+meetingLink')
     .populate('client', 'firstName lastName email')
     .populate('consultant.user', 'firstName lastName email')
-    .populate('category', 'name');
+    .populate('category', 'name')
+    .populate('location');
 
   if (!booking) {
     return res.status(404).json({
@@ -210,10 +382,165 @@ router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
     });
   }
 
+  const role = isAdmin ? 'admin' : isConsultant ? 'consultant' : 'client';
+
+  res.json({
+    success: true,
+    data: {
+      booking: {
+        ...booking.toLocalJSON(req.user.timeZone),
+        location: locationForViewer(booking, role)
+      }
+    }
+  });
+}));
+
+// @route   GET /api/bookings/:id/ics
+// @desc    Download the booking as an iCalendar event
+// @access  Private (booking client, consultant or admin)
+router.get('/:id/ics', authenticateToken, asyncHandler(async (req, res) => {
+  const booking = await populateForCalendar(Booking.findById(req.params.id));
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  const role = await getBookingRole(booking, req.user);
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="booking-${booking._id}.ics"`
+  });
+  res.send(buildBookingCalendar(booking, role));
+}));
+
+// @route   GET /api/bookings/:id/invoice
+// @desc    Get the invoice for a completed booking as HTML (default), PDF or
+//          JSON (?format=). It is issued on first request.
+// @access  Private (booking client, consultant or admin)
+router.get('/:id/invoice', [
+  authenticateToken,
+  query('format').optional().isIn(['html', 'pdf', 'json']).withMessage('Format must be html, pdf or json')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  const role = await getBookingRole(booking, req.user);
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  const invoice = await getBookingInvoice(booking);
+  const format = req.query.format || 'html';
+
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      data: { invoice }
+    });
+  }
+
+  if (format === 'pdf') {
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="invoice-${invoice.number}.pdf"`
+    });
+    return res.send(renderInvoicePdf(invoice));
+  }
+
+  res.set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Disposition': `inline; filename="invoice-${invoice.number}.html"`
+  });
+  res.send(renderInvoiceHtml(invoice));
+}));
+
+// @route   POST /api/bookings/:id/checkout
+// @desc    Pay for a pending booking. The booking is confirmed once the
+//          payment succeeds.
+// @access  Private (client - owner)
+router.post('/:id/checkout', authenticateToken, requireClient, asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  if (booking.client.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  const payment = await startCheckout(booking);
+
+  res.status(201).json({
+    success: true,
+    message: 'Checkout started',
+    data: {
+      payment,
+      checkoutUrl: payment.checkoutUrl
+    }
+  });
+}));
+
+// @route   POST /api/bookings/:id/meeting-link
+// @desc    Issue a new join link for a confirmed video or audio booking,
+//          revoking the previous one
+// @access  Private (booking consultant or admin)
+router.post('/:id/meeting-link', authenticateToken, asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id).select('+meetingLink');
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  const role = await getBookingRole(booking, req.user);
+  if (role !== 'consultant' && role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  await createMeetingLink(booking);
+
   res.json({
     success: true,
+    message: 'Meeting link created',
     data: {
-      booking
+      meetingLink: booking.meetingLink,
+      meeting: booking.meeting
     }
   });
 }));
@@ -230,7 +557,11 @@ router.put('/:id/status', [
   body('notes.consultant')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Consultant notes cannot exceed 500 characters')
+    .withMessage('Consultant notes cannot exceed 500 characters'),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -242,7 +573,7 @@ router.put('/:id/status', [
     });
   }
 
-  const { status, notes } = req.body;
+  const { status, notes, reason } = req.body;
 
   const booking = await Booking.findById(req.params.id);
   if (!booking) {
@@ -262,23 +593,15 @@ router.put('/:id/status', [
   }
 
   // Update booking
-  booking.status = status;
   if (notes?.consultant) {
     booking.notes.consultant = notes.consultant;
   }
 
-  // Set completion time if status is completed
-  if (status === 'completed') {
-    booking.completedAt = new Date();
-  }
-
-  // Set cancellation time if status is cancelled
-  if (status === 'cancelled') {
-    booking.cancelledAt = new Date();
-    booking.cancelledBy = 'consultant';
-  }
-
-  await booking.save();
+  await changeStatus(booking, status, {
+    actor: req.user._id,
+    role: 'consultant',
+    reason
+  });
 
   // Populate the response
   await booking.populate('client', 'firstName lastName');
@@ -289,7 +612,7 @@ router.put('/:id/status', [
     success: true,
     message: 'Booking status updated successfully',
     data: {
-      booking
+      booking: booking.toLocalJSON(req.user.timeZone)
     }
   });
 }));
@@ -323,27 +646,208 @@ router.post('/:id/cancel', [
     });
   }
 
-  // Check if booking can be cancelled
-  if (booking.status !== 'pending' && booking.status !== 'confirmed') {
+  await changeStatus(booking, 'cancelled', {
+    actor: req.user._id,
+    role: 'client',
+    reason
+  });
+
+  res.json({
+    success: true,
+    message: 'Booking cancelled successfully',
+    data: {
+      cancellation: booking.cancellation
+    }
+  });
+}));
+
+// @route   POST /api/bookings/:id/reschedule
+// @desc    Move a booking to a new time, or propose one to the other party
+// @access  Private (booking client, consultant or admin)
+router.post('/:id/reschedule', [
+  authenticateToken,
+  body('startAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset')
+    .matches(/(Z|[+-]\d{2}:?\d{2})$/)
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset'),
+  body('date')
+    .if(body('startAt').not().exists())
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Valid date is required'),
+  body('startTime')
+    .if(body('startAt').not().exists())
+    .matches(TIME_REGEX)
+    .withMessage('Start time must be in HH:MM format'),
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone'),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reschedule reason cannot exceed 200 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      message: 'Booking cannot be cancelled in its current status'
+      message: 'Validation error',
+      errors: errors.array()
     });
   }
 
-  // Update booking
-  booking.status = 'cancelled';
-  booking.cancelledAt = new Date();
-  booking.cancelledBy = 'client';
-  if (reason) {
-    booking.cancellationReason = reason;
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
   }
 
+  const role = await getBookingRole(booking, req.user);
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  assertCanReschedule(booking, role);
+
+  const consultant = await Consultant.findById(booking.consultant);
+  const startAt = resolveStart(req.body, req.user.timeZone);
+  if (startAt.getTime() === booking.startAt.getTime()) {
+    return res.status(400).json({
+      success: false,
+      message: 'The booking is already at this time'
+    });
+  }
+
+  const entry = {
+    requestedBy: req.user._id,
+    requestedByRole: role,
+    reason: req.body.reason
+  };
+
+  // Without acceptance the move happens straight away
+  if (role === 'admin' || !reschedulePolicy.requireAcceptance) {
+    await moveBooking(booking, consultant, startAt, entry);
+
+    return res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: {
+        booking: booking.toLocalJSON(req.user.timeZone)
+      }
+    });
+  }
+
+  // Otherwise only check the new time now; it is reserved once accepted
+  const endAt = new Date(startAt.getTime() + booking.duration * 60000);
+  await assertSlotAvailable(consultant, startAt, endAt, booking._id, booking.location);
+
+  booking.rescheduleRequest = {
+    startAt,
+    ...entry,
+    requestedAt: new Date()
+  };
+  await booking.save();
+
+  res.json({
+    success: true,
+    message: 'New time proposed, waiting for the other party to accept',
+    data: {
+      booking: booking.toLocalJSON(req.user.timeZone)
+    }
+  });
+}));
+
+// @route   POST /api/bookings/:id/reschedule/accept
+// @desc    Accept a proposed new time
+// @access  Private (other booking party or admin)
+router.post('/:id/reschedule/accept', authenticateToken, asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  const request = booking.rescheduleRequest;
+  if (!request || !request.startAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'There is no proposed time to accept'
+    });
+  }
+
+  const role = await getBookingRole(booking, req.user);
+  if (!role || (role !== 'admin' && role === request.requestedByRole)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the other party can accept a proposed time'
+    });
+  }
+
+  // The policy still applies to the party that proposed the move
+  assertCanReschedule(booking, role === 'admin' ? 'admin' : request.requestedByRole);
+
+  const consultant = await Consultant.findById(booking.consultant);
+  await moveBooking(booking, consultant, request.startAt, {
+    requestedBy: request.requestedBy,
+    requestedByRole: request.requestedByRole,
+    reason: request.reason,
+    acceptedBy: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Booking rescheduled successfully',
+    data: {
+      booking: booking.toLocalJSON(req.user.timeZone)
+    }
+  });
+}));
+
+// @route   POST /api/bookings/:id/reschedule/decline
+// @desc    Decline (or withdraw) a proposed new time
+// @access  Private (booking client, consultant or admin)
+router.post('/:id/reschedule/decline', authenticateToken, asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  if (!booking.rescheduleRequest || !booking.rescheduleRequest.startAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'There is no proposed time to decline'
+    });
+  }
+
+  const role = await getBookingRole(booking, req.user);
+  if (!role) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  booking.rescheduleRequest = undefined;
   await booking.save();
 
   res.json({
     success: true,
-    message: 'Booking cancelled successfully'
+    message: 'Proposed time declined',
+    data: {
+      booking: booking.toLocalJSON(req.user.timeZone)
+    }
   });
 }));
 
@@ -0,0 +1,27 @@
+const express = require('express');
+const { findUserByFeedToken, buildUserFeed } = require('../services/calendar');
+const { asyncHandler } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/calendar/feeds/:token.ics
+// @desc    Private iCalendar feed of a user's sessions, for calendar apps to
+//          subscribe to. The token in the URL is the only credential.
+// @access  Public (feed token)
+router.get('/feeds/:token.ics', asyncHandler(async (req, res) => {
+  const user = await findUserByFeedToken(req.params.token);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'Calendar feed not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(await buildUserFeed(user));
+}));
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const ExternalCalendar = require('../models/ExternalCalendar');
+const { isReadableSource, importCalendar, syncFeed, removeCalendar } = require('../services/calendarImport');
+const { imports: importPolicy } = require('../config/calendar');
+const { authenticateToken, checkOwnership, asyncHandler } = require('../middleware/auth');
+
+// Mounted under /api/consultants/:id/calendars
+const router = express.Router({ mergeParams: true });
+
+// Calendar files are parsed straight from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: importPolicy.maxBytes },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.ics$/i.test(file.originalname) || file.mimetype === 'text/calendar');
+  }
+});
+
+// Load one of the consultant's calendars, or send the error response
+const loadCalendar = async (req, res) => {
+  const calendar = await ExternalCalendar.findOne({ _id: req.params.calendarId, consultant: req.resource._id });
+  if (!calendar) {
+    res.status(404).json({
+      success: false,
+      message: 'Calendar not found'
+    });
+  }
+  return calendar;
+};
+
+// @route   GET /api/consultants/:id/calendars
+// @desc    List the consultant's imported calendars
+// @access  Private (owner or admin)
+router.get('/', authenticateToken, checkOwnership('Consultant'), asyncHandler(async (req, res) => {
+  const calendars = await ExternalCalendar.find({ consultant: req.resource._id }).sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: { calendars }
+  });
+}));
+
+// @route   POST /api/consultants/:id/calendars
+// @desc    Import a calendar whose events block booking time: either an
+//          uploaded .ics file ("file" field) or a feed ("source" URL)
+// @access  Private (owner or admin)
+router.post('/', [
+  authenticateToken,
+  checkOwnership('Consultant'),
+  upload.single('file'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Calendar name must be between 1 and 100 characters'),
+  body('source')
+    .if((value, { req }) => !req.file)
+    .trim()
+    .custom(isReadableSource)
+    .withMessage('Either an .ics file or a feed URL is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const calendar = new ExternalCalendar({
+    consultant: req.resource._id,
+    name: req.body.name,
+    type: req.file ? 'upload' : 'feed',
+    source: req.file ? undefined : req.body.source
+  });
+
+  try {
+    if (req.file) {
+      await importCalendar(calendar, req.file.buffer.toString('utf8'));
+    } else {
+      await syncFeed(calendar);
+    }
+  } catch (error) {
+    // Nothing is kept from an import that failed the first time
+    await removeCalendar(calendar);
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Calendar imported with ${calendar.blockCount} busy blocks`,
+    data: { calendar }
+  });
+}));
+
+// @route   PUT /api/consultants/:id/calendars/:calendarId/file
+// @desc    Replace an uploaded calendar with a new .ics file
+// @access  Private (owner or admin)
+router.put('/:calendarId/file', authenticateToken, checkOwnership('Consultant'), upload.single('file'), asyncHandler(async (req, res) => {
+  const calendar = await loadCalendar(req, res);
+  if (!calendar) return;
+
+  if (calendar.type !== 'upload' || !req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'An .ics file is required to replace an uploaded calendar'
+    });
+  }
+
+  await importCalendar(calendar, req.file.buffer.toString('utf8'));
+
+  res.json({
+    success: true,
+    message: `Calendar imported with ${calendar.blockCount} busy blocks`,
+    data: { calendar }
+  });
+}));
+
+// @route   POST /api/consultants/:id/calendars/:calendarId/sync
+// @desc    Read a calendar feed again now
+// @access  Private (owner or admin)
+router.post('/:calendarId/sync', authenticateToken, checkOwnership('Consultant'), asyncHandler(async (req, res) => {
+  const calendar = await loadCalendar(req, res);
+  if (!calendar) return;
+
+  if (calendar.type !== 'feed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only feeds can be synced; upload a new file instead'
+    });
+  }
+
+  await syncFeed(calendar);
+
+  res.json({
+    success: true,
+    message: `Calendar imported with ${calendar.blockCount} busy blocks`,
+    data: { calendar }
+  });
+}));
+
+// @route   DELETE /api/consultants/:id/calendars/:calendarId
+// @desc    Remove an imported calendar and its busy blocks
+// @access  Private (owner or admin)
+router.delete('/:calendarId', authenticateToken, checkOwnership('Consultant'), asyncHandler(async (req, res) => {
+  const calendar = await loadCalendar(req, res);
+  if (!calendar) return;
+
+  await removeCalendar(calendar);
+
+  res.json({
+    success: true,
+    message: 'Calendar removed'
+  });
+}));
+
+module.exports = router;
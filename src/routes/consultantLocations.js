@@ -0,0 +1,228 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Location = require('../models/Location');
+const Consultant = require('../models/Consultant');
+const { DAYS } = require('../utils/time');
+const { validateWindows, normalizeDay } = require('../utils/availability');
+const { authenticateToken, checkOwnership, optionalAuth, asyncHandler } = require('../middleware/auth');
+
+// Mounted under /api/consultants/:id/locations
+const router = express.Router({ mergeParams: true });
+
+const ADDRESS_FIELDS = ['line1', 'line2', 'city', 'region', 'postalCode', 'country'];
+
+const locationValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Location name must be between 1 and 100 characters'),
+  body('address.line1')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Street address must be between 1 and 200 characters'),
+  body('address.line2')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Address lines cannot exceed 200 characters'),
+  body('address.city')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('City must be between 1 and 100 characters'),
+  body('address.region')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Region cannot exceed 100 characters'),
+  body('address.postalCode')
+    .optional()
+    .isLength({ max: 20 })
+    .withMessage('Postal code cannot exceed 20 characters'),
+  body('address.country')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Country must be between 1 and 100 characters'),
+  body('coordinates.latitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('coordinates.longitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('accessInstructions')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Access instructions cannot exceed 1000 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  // Weekdays set to null follow the consultant's own hours again
+  body('hours').optional().custom((hours) => {
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+      throw new Error('Hours must be an object keyed by weekday');
+    }
+    Object.keys(hours).forEach(dayName => {
+      if (!DAYS.includes(dayName)) {
+        throw new Error(`Unknown weekday: ${dayName}`);
+      }
+      if (hours[dayName] === null) return;
+      const message = validateWindows(normalizeDay(hours[dayName]).windows);
+      if (message) {
+        throw new Error(`${dayName}: ${message}`);
+      }
+    });
+    return true;
+  })
+];
+
+// Copy the fields sent in the request onto a location
+const applyLocationFields = (location, data) => {
+  ['name', 'accessInstructions', 'isActive'].forEach(field => {
+    if (data[field] !== undefined) location[field] = data[field];
+  });
+  if (data.address) {
+    ADDRESS_FIELDS.forEach(field => {
+      if (data.address[field] !== undefined) location.set(`address.${field}`, data.address[field]);
+    });
+  }
+  if (data.coordinates !== undefined) {
+    location.coordinates = data.coordinates || undefined;
+  }
+  if (data.hours) {
+    Object.keys(data.hours).forEach(dayName => {
+      location.set(`hours.${dayName}`, data.hours[dayName] === null ? undefined : normalizeDay(data.hours[dayName]));
+    });
+  }
+};
+
+// Load one of the consultant's locations, or send the error response
+const loadLocation = async (req, res) => {
+  const location = await Location.findOne({ _id: req.params.locationId, consultant: req.resource._id });
+  if (!location) {
+    res.status(404).json({
+      success: false,
+      message: 'Location not found'
+    });
+  }
+  return location;
+};
+
+// @route   GET /api/consultants/:id/locations
+// @desc    List a consultant's locations. The consultant and admins see every
+//          location in full; everyone else sees the active ones without the
+//          street address, which clients get once a booking is confirmed.
+// @access  Public
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const consultant = await Consultant.findById(req.params.id);
+  if (!consultant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant not found'
+    });
+  }
+
+  const isManager = req.user && (req.user.role === 'admin' || consultant.user.equals(req.user._id));
+  const locations = await Location.find({
+    consultant: consultant._id,
+    ...(isManager ? {} : { isActive: true })
+  }).sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      locations: locations.map(location => (isManager ? location : location.toPublicJSON()))
+    }
+  });
+}));
+
+// @route   POST /api/consultants/:id/locations
+// @desc    Add a location where the consultant sees clients in person
+// @access  Private (owner or admin)
+router.post('/', [
+  authenticateToken,
+  checkOwnership('Consultant'),
+  body('name')
+    .exists()
+    .withMessage('Location name is required'),
+  body('address.line1')
+    .exists()
+    .withMessage('Street address is required'),
+  body('address.city')
+    .exists()
+    .withMessage('City is required'),
+  body('address.country')
+    .exists()
+    .withMessage('Country is required'),
+  ...locationValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const location = new Location({ consultant: req.resource._id });
+  applyLocationFields(location, req.body);
+  await location.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Location added',
+    data: { location }
+  });
+}));
+
+// @route   PUT /api/consultants/:id/locations/:locationId
+// @desc    Update a location. Bookings there keep referring to it.
+// @access  Private (owner or admin)
+router.put('/:locationId', [
+  authenticateToken,
+  checkOwnership('Consultant'),
+  ...locationValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const location = await loadLocation(req, res);
+  if (!location) return;
+
+  applyLocationFields(location, req.body);
+  await location.save();
+
+  res.json({
+    success: true,
+    message: 'Location updated',
+    data: { location }
+  });
+}));
+
+// @route   DELETE /api/consultants/:id/locations/:locationId
+// @desc    Stop taking bookings at a location. Existing bookings keep it.
+// @access  Private (owner or admin)
+router.delete('/:locationId', authenticateToken, checkOwnership('Consultant'), asyncHandler(async (req, res) => {
+  const location = await loadLocation(req, res);
+  if (!location) return;
+
+  location.isActive = false;
+  await location.save();
+
+  res.json({
+    success: true,
+    message: 'Location deactivated'
+  });
+}));
+
+module.exports = router;
@@ -1,8 +1,18 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const Consultant = require('../models/Consultant');
 const User = require('../models/User');
-const { authenticateToken, requireConsultant, optionalAuth, asyncHandler } = require('../middleware/auth');
+const LedgerEntry = require('../models/LedgerEntry');
+const { getBookableSlots } = require('../services/availability');
+const { getEffectiveRules } = require('../services/bookingRules');
+const { loadActiveLocation } = require('../services/locations');
+const { getEarningsSummary } = require('../services/ledger');
+const { getRates, convert, displayAmount } = require('../services/exchangeRates');
+const { currency: baseCurrency, currencies } = require('../config/pricing');
+const { authenticateToken, requireConsultant, optionalAuth, checkOwnership, asyncHandler } = require('../middleware/auth');
+const { TIME_REGEX, END_TIME_REGEX, DAYS, toDateKey, startOfDay, timeToMinutes } = require('../utils/time');
+const { validateWindows, normalizeDay, normalizeAvailability } = require('../utils/availability');
+const { isValidTimeZone, toZonedDateTime, addDays } = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -17,6 +27,7 @@ router.get('/', [
   query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
   query('minRate').optional().isFloat({ min: 0 }).withMessage('Min rate must be a positive number'),
   query('maxRate').optional().isFloat({ min: 0 }).withMessage('Max rate must be a positive number'),
+  query('currency').optional().isIn(currencies).withMessage(`Currency must be one of ${currencies.join(', ')}`),
   query('available').optional().isBoolean().withMessage('Available must be a boolean')
 ], optionalAuth, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -36,21 +47,26 @@ router.get('/', [
     order = 'desc',
     minRate,
     maxRate,
-    available
+    available,
+    currency
   } = req.query;
 
   const skip = (page - 1) * limit;
+  const rates = await getRates();
 
+  // Rates are compared in the base currency; minRate and maxRate are in the
+  // requested currency
+  const toBase = (amount) => convert(rates, parseFloat(amount), currency || baseCurrency, baseCurrency);
   const queryObj = { isActive: true };
   if (category) queryObj.categories = category;
-  if (minRate !== undefined) queryObj.hourlyRate = { $gte: parseFloat(minRate) };
+  if (minRate !== undefined) queryObj.baseHourlyRate = { $gte: toBase(minRate) };
   if (maxRate !== undefined) {
-    queryObj.hourlyRate = queryObj.hourlyRate || {};
-    queryObj.hourlyRate.$lte = parseFloat(maxRate);
+    queryObj.baseHourlyRate = queryObj.baseHourlyRate || {};
+    queryObj.baseHourlyRate.$lte = toBase(maxRate);
   }
 
   const sortObj = {};
-  sortObj[sort] = order === 'desc' ? -1 : 1;
+  sortObj[sort === 'hourlyRate' ? 'baseHourlyRate' : sort] = order === 'desc' ? -1 : 1;
 
   const consultants = await Consultant.find(queryObj)
     .populate('user', 'firstName lastName avatar')
@@ -64,7 +80,10 @@ router.get('/', [
   res.json({
     success: true,
     data: {
-      consultants,
+      consultants: consultants.map(consultant => ({
+        ...consultant.toJSON(),
+        displayHourlyRate: displayAmount(rates, consultant.hourlyRate, consultant.currency, currency)
+      })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -76,9 +95,21 @@ router.get('/', [
 }));
 
 // @route   GET /api/consultants/:id
-// @desc    Get consultant by ID
+// @desc    Get consultant by ID, with the hourly rate also in ?currency=
 // @access  Public
-router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/:id', [
+  optionalAuth,
+  query('currency').optional().isIn(currencies).withMessage(`Currency must be one of ${currencies.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
   const consultant = await Consultant.findById(req.params.id)
     .populate('user', 'firstName lastName avatar phone')
     .populate('categories', 'name description color');
@@ -90,10 +121,74 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     });
   }
 
+  const { currency } = req.query;
+  const rates = currency ? await getRates() : {};
+
   res.json({
     success: true,
     data: {
-      consultant
+      consultant: {
+        ...consultant.toJSON(),
+        displayHourlyRate: displayAmount(rates, consultant.hourlyRate, consultant.currency, currency)
+      }
+    }
+  });
+}));
+
+// @route   GET /api/consultants/:id/availability
+// @desc    Get bookable start times per day for a consultant
+// @access  Public
+router.get('/:id/availability', [
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('From must be a date in YYYY-MM-DD format'),
+  query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('To must be a date in YYYY-MM-DD format'),
+  query('duration').optional().isInt({ min: 30, max: 480 }).withMessage('Duration must be between 30 and 480 minutes'),
+  query('timeZone').optional().custom(isValidTimeZone).withMessage('Time zone must be a valid IANA time zone'),
+  query('location').optional().isMongoId().withMessage('Valid location ID is required')
+], optionalAuth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const consultant = await Consultant.findById(req.params.id);
+  if (!consultant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant not found'
+    });
+  }
+
+  // Days and times are expressed in the viewer's time zone
+  const timeZone = req.query.timeZone || req.user?.timeZone || consultant.timeZone;
+  const from = req.query.from || toZonedDateTime(new Date(), timeZone).date;
+  const to = req.query.to || addDays(from, 6);
+  const duration = parseInt(req.query.duration) || 60;
+
+  if (to < from || to > addDays(from, 31)) {
+    return res.status(400).json({
+      success: false,
+      message: 'The date range must run forward and span at most 31 days'
+    });
+  }
+
+  // In-person sessions are limited to the hours of their location
+  const location = req.query.location ? await loadActiveLocation(consultant, req.query.location) : undefined;
+
+  const days = await getBookableSlots(consultant, { from, to, duration, timeZone, location });
+
+  res.json({
+    success: true,
+    data: {
+      consultant: consultant._id,
+      timeZone,
+      duration,
+      location: location?._id,
+      rules: getEffectiveRules(consultant),
+      days
     }
   });
 }));
@@ -118,12 +213,20 @@ router.post('/', [
     .isInt({ min: 0, max: 50 })
     .withMessage('Experience must be between 0 and 50 years'),
   body('hourlyRate')
-    .isFloat({ min: 10, max: 1000 })
-    .withMessage('Hourly rate must be between $10 and $1000'),
+    .isFloat({ min: 0.01 })
+    .withMessage('Hourly rate must be a positive number'),
+  body('currency')
+    .optional()
+    .isIn(currencies)
+    .withMessage(`Currency must be one of ${currencies.join(', ')}`),
   body('languages')
     .optional()
     .isArray()
-    .withMessage('Languages must be an array')
+    .withMessage('Languages must be an array'),
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -142,7 +245,7 @@ router.post('/', [
     });
   }
 
-  const { categories, bio, experience, hourlyRate, languages = [] } = req.body;
+  const { categories, bio, experience, hourlyRate, currency, languages = [], timeZone = req.user.timeZone } = req.body;
 
   const consultant = new Consultant({
     user: req.user._id,
@@ -150,7 +253,9 @@ router.post('/', [
     bio,
     experience,
     hourlyRate,
-    languages
+    currency,
+    languages,
+    timeZone
   });
 
   await consultant.save();
@@ -175,9 +280,29 @@ router.put('/:id', [
   body('categories.*').optional().isMongoId().withMessage('Invalid category ID'),
   body('bio').optional().trim().isLength({ min: 50, max: 1000 }).withMessage('Bio must be between 50 and 1000 characters'),
   body('experience').optional().isInt({ min: 0, max: 50 }).withMessage('Experience must be between 0 and 50 years'),
-  body('hourlyRate').optional().isFloat({ min: 10, max: 1000 }).withMessage('Hourly rate must be between $10 and $1000'),
+  body('hourlyRate').optional().isFloat({ min: 0.01 }).withMessage('Hourly rate must be a positive number'),
+  body('currency').optional().isIn(currencies).withMessage(`Currency must be one of ${currencies.join(', ')}`),
   body('languages').optional().isArray().withMessage('Languages must be an array'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Time zone must be a valid IANA time zone'),
+  body('availability').optional().custom((availability) => {
+    if (!availability || typeof availability !== 'object' || Array.isArray(availability)) {
+      throw new Error('Availability must be an object keyed by weekday');
+    }
+    Object.keys(availability).forEach(dayName => {
+      if (!DAYS.includes(dayName)) {
+        throw new Error(`Unknown weekday: ${dayName}`);
+      }
+      const day = availability[dayName] || {};
+      // Legacy { startTime, endTime } days are still accepted and converted
+      const windows = day.windows !== undefined ? day.windows : normalizeDay(day).windows;
+      const message = validateWindows(windows);
+      if (message) {
+        throw new Error(`${dayName}: ${message}`);
+      }
+    });
+    return true;
+  })
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -204,7 +329,15 @@ router.put('/:id', [
   }
 
   Object.keys(req.body).forEach(key => {
-    if (req.body[key] !== undefined) {
+    if (key === 'baseHourlyRate') {
+      // Always derived from the hourly rate and currency
+    } else if (key === 'availability' && req.body.availability) {
+      // Only the weekdays sent are replaced
+      const availability = normalizeAvailability(req.body.availability);
+      Object.keys(availability).forEach(dayName => {
+        consultant.set(`availability.${dayName}`, availability[dayName]);
+      });
+    } else if (req.body[key] !== undefined) {
       consultant[key] = req.body[key];
     }
   });
@@ -222,6 +355,326 @@ router.put('/:id', [
   });
 }));
 
+// @route   GET /api/consultants/:id/time-off
+// @desc    List blocked date ranges
+// @access  Private (owner or admin)
+router.get('/:id/time-off', authenticateToken, checkOwnership('Consultant'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      timeOff: req.resource.timeOff
+    }
+  });
+}));
+
+// @route   POST /api/consultants/:id/time-off
+// @desc    Block a date range (vacation, public holiday)
+// @access  Private (owner or admin)
+router.post('/:id/time-off', [
+  authenticateToken,
+  checkOwnership('Consultant'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const startDate = startOfDay(req.body.startDate);
+  const endDate = startOfDay(req.body.endDate);
+  if (endDate < startDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'End date cannot be before start date'
+    });
+  }
+
+  const consultant = req.resource;
+  consultant.timeOff.push({ startDate, endDate, reason: req.body.reason });
+  await consultant.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Time off added successfully',
+    data: {
+      timeOff: consultant.timeOff
+    }
+  });
+}));
+
+// @route   DELETE /api/consultants/:id/time-off/:entryId
+// @desc    Remove a blocked date range
+// @access  Private (owner or admin)
+router.delete('/:id/time-off/:entryId', authenticateToken, checkOwnership('Consultant'), asyncHandler(async (req, res) => {
+  const consultant = req.resource;
+  const entry = consultant.timeOff.id(req.params.entryId);
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Time off entry not found'
+    });
+  }
+
+  entry.deleteOne();
+  await consultant.save();
+
+  res.json({
+    success: true,
+    message: 'Time off removed successfully',
+    data: {
+      timeOff: consultant.timeOff
+    }
+  });
+}));
+
+// @route   GET /api/consultants/:id/date-overrides
+// @desc    List custom hours set for specific dates
+// @access  Private (owner or admin)
+router.get('/:id/date-overrides', authenticateToken, checkOwnership('Consultant'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      dateOverrides: req.resource.dateOverrides
+    }
+  });
+}));
+
+// @route   PUT /api/consultants/:id/date-overrides/:date
+// @desc    Set custom hours for a specific date, replacing the weekly schedule
+// @access  Private (owner or admin)
+router.put('/:id/date-overrides/:date', [
+  authenticateToken,
+  checkOwnership('Consultant'),
+  param('date').isISO8601().withMessage('Valid date is required'),
+  body('startTime').matches(TIME_REGEX).withMessage('Start time must be in HH:MM format'),
+  body('endTime').matches(END_TIME_REGEX).withMessage('End time must be in HH:MM format')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const { startTime, endTime } = req.body;
+  if (timeToMinutes(startTime) >= timeToMinutes(endTime)) {
+    return res.status(400).json({
+      success: false,
+      message: 'End time must be after start time'
+    });
+  }
+
+  const consultant = req.resource;
+  const date = startOfDay(req.params.date);
+  const existing = consultant.dateOverrides.find(entry => toDateKey(entry.date) === toDateKey(date));
+  if (existing) {
+    existing.startTime = startTime;
+    existing.endTime = endTime;
+  } else {
+    consultant.dateOverrides.push({ date, startTime, endTime });
+  }
+
+  await consultant.save();
+
+  res.json({
+    success: true,
+    message: 'Date override saved successfully',
+    data: {
+      dateOverrides: consultant.dateOverrides
+    }
+  });
+}));
+
+// @route   DELETE /api/consultants/:id/date-overrides/:date
+// @desc    Remove custom hours for a specific date
+// @access  Private (owner or admin)
+router.delete('/:id/date-overrides/:date', [
+  authenticateToken,
+  checkOwnership('Consultant'),
+  param('date').isISO8601().withMessage('Valid date is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const consultant = req.resource;
+  const key = toDateKey(startOfDay(req.params.date));
+  const existing = consultant.dateOverrides.find(entry => toDateKey(entry.date) === key);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      message: 'Date override not found'
+    });
+  }
+
+  existing.deleteOne();
+  await consultant.save();
+
+  res.json({
+    success: true,
+    message: 'Date override removed successfully',
+    data: {
+      dateOverrides: consultant.dateOverrides
+    }
+  });
+}));
+
+// @route   PUT /api/consultants/:id/cancellation-policy
+// @desc    Set the consultant's own cancellation policy
+// @access  Private (owner or admin)
+router.put('/:id/cancellation-policy', [
+  authenticateToken,
+  checkOwnership('Consultant'),
+  body('tiers')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Between 1 and 10 cancellation tiers are required'),
+  body('tiers.*.hoursBefore')
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Hours before must be between 0 and 720'),
+  body('tiers.*.feePercent')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Fee must be between 0 and 100 percent'),
+  body('tiers')
+    .custom(tiers => new Set(tiers.map(tier => Number(tier.hoursBefore))).size === tiers.length)
+    .withMessage('Each tier must have a different number of hours'),
+  body('noShowFeePercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('No-show fee must be between 0 and 100 percent')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const consultant = req.resource;
+  consultant.cancellationPolicy = {
+    tiers: req.body.tiers.map(tier => ({
+      hoursBefore: Number(tier.hoursBefore),
+      feePercent: Number(tier.feePercent)
+    })),
+    noShowFeePercent: req.body.noShowFeePercent
+  };
+  await consultant.save();
+
+  res.json({
+    success: true,
+    message: 'Cancellation policy updated successfully',
+    data: {
+      cancellationTerms: consultant.cancellationTerms
+    }
+  });
+}));
+
+// @route   DELETE /api/consultants/:id/cancellation-policy
+// @desc    Go back to the platform cancellation policy
+// @access  Private (owner or admin)
+router.delete('/:id/cancellation-policy', authenticateToken, checkOwnership('Consultant'), asyncHandler(async (req, res) => {
+  const consultant = req.resource;
+  consultant.cancellationPolicy = { tiers: [] };
+  await consultant.save();
+
+  res.json({
+    success: true,
+    message: 'Cancellation policy reset to the platform default',
+    data: {
+      cancellationTerms: consultant.cancellationTerms
+    }
+  });
+}));
+
+// @route   PUT /api/consultants/:id/booking-rules
+// @desc    Set the consultant's scheduling rules. Rules left out, or set to
+//          null, fall back to the platform defaults.
+// @access  Private (owner or admin)
+router.put('/:id/booking-rules', [
+  authenticateToken,
+  checkOwnership('Consultant'),
+  body('bufferBeforeMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Buffer before must be a multiple of 5 between 0 and 240 minutes')
+    .custom(value => value % 5 === 0)
+    .withMessage('Buffer before must be a multiple of 5 between 0 and 240 minutes'),
+  body('bufferAfterMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Buffer after must be a multiple of 5 between 0 and 240 minutes')
+    .custom(value => value % 5 === 0)
+    .withMessage('Buffer after must be a multiple of 5 between 0 and 240 minutes'),
+  body('minNoticeHours')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 720 })
+    .withMessage('Minimum notice must be between 0 and 720 hours'),
+  body('maxDaysAhead')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Booking horizon must be between 1 and 730 days'),
+  body('maxSessionsPerDay')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 48 })
+    .withMessage('Sessions per day must be between 0 and 48, where 0 means no limit')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const consultant = req.resource;
+  ['bufferBeforeMinutes', 'bufferAfterMinutes', 'minNoticeHours', 'maxDaysAhead', 'maxSessionsPerDay']
+    .filter(key => req.body[key] !== undefined)
+    .forEach(key => {
+      consultant.set(`bookingRules.${key}`, req.body[key] === null ? undefined : Number(req.body[key]));
+    });
+  await consultant.save();
+
+  res.json({
+    success: true,
+    message: 'Booking rules updated successfully',
+    data: {
+      rules: getEffectiveRules(consultant)
+    }
+  });
+}));
+
+// @route   DELETE /api/consultants/:id/booking-rules
+// @desc    Go back to the platform scheduling rules
+// @access  Private (owner or admin)
+router.delete('/:id/booking-rules', authenticateToken, checkOwnership('Consultant'), asyncHandler(async (req, res) => {
+  const consultant = req.resource;
+  consultant.bookingRules = {};
+  await consultant.save();
+
+  res.json({
+    success: true,
+    message: 'Booking rules reset to the platform defaults',
+    data: {
+      rules: getEffectiveRules(consultant)
+    }
+  });
+}));
+
 // @route   GET /api/consultants/profile/me
 // @desc    Get current user's consultant profile
 // @access  Private (consultant)
@@ -244,6 +697,76 @@ router.get('/profile/me', authenticateToken, requireConsultant, asyncHandler(asy
   });
 }));
 
+// @route   GET /api/consultants/profile/me/earnings
+// @desc    Get the current consultant's balance and payout periods
+// @access  Private (consultant)
+router.get('/profile/me/earnings', authenticateToken, requireConsultant, asyncHandler(async (req, res) => {
+  const consultant = await Consultant.findOne({ user: req.user._id }).select('_id');
+  if (!consultant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant profile not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: await getEarningsSummary(consultant._id)
+  });
+}));
+
+// @route   GET /api/consultants/profile/me/earnings/entries
+// @desc    Get the current consultant's ledger entries, newest first
+// @access  Private (consultant)
+router.get('/profile/me/earnings/entries', [
+  authenticateToken,
+  requireConsultant,
+  query('period').optional().isMongoId().withMessage('Valid period ID is required'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const consultant = await Consultant.findOne({ user: req.user._id }).select('_id');
+  if (!consultant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant profile not found'
+    });
+  }
+
+  const { period, page = 1, limit = 20 } = req.query;
+  const filter = { consultant: consultant._id };
+  if (period) filter.period = period;
+
+  const entries = await LedgerEntry.find(filter)
+    .select('-createdBy')
+    .sort({ occurredAt: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+  const total = await LedgerEntry.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
 // ✅ NEW ROUTE: /api/consultant_rating
 router.get('/consultant_rating', [
   query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc')
@@ -0,0 +1,364 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const GroupSession = require('../models/GroupSession');
+const GroupSeat = require('../models/GroupSeat');
+const Consultant = require('../models/Consultant');
+const { TIME_REGEX } = require('../utils/time');
+const { isValidTimeZone } = require('../utils/timezone');
+const { resolveStart } = require('../services/bookingSlots');
+const { startSeatCheckout } = require('../services/payments');
+const {
+  publishSession,
+  reserveSeat,
+  cancelSeat,
+  cancelSession,
+  markAttendance
+} = require('../services/groupSessions');
+const {
+  authenticateToken,
+  requireClient,
+  requireConsultant,
+  optionalAuth,
+  asyncHandler
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load a group session, or send the error response
+const loadSession = async (req, res) => {
+  const session = await GroupSession.findById(req.params.id);
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Group session not found'
+    });
+  }
+  return session;
+};
+
+// Load a group session the current user runs (or any, for admins), or send
+// the error response
+const loadOwnSession = async (req, res) => {
+  const session = await loadSession(req, res);
+  if (!session) return null;
+
+  if (req.user.role === 'admin') return session;
+
+  const consultant = await Consultant.findOne({ user: req.user._id });
+  if (!consultant || !consultant._id.equals(session.consultant)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// @route   GET /api/group-sessions
+// @desc    List upcoming group sessions
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  query('category').optional().isMongoId(),
+  query('consultant').optional().isMongoId()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const filter = { status: 'scheduled', startAt: { $gt: new Date() } };
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.consultant) filter.consultant = req.query.consultant;
+
+  const sessions = await GroupSession.find(filter)
+    .populate('category', 'name')
+    .populate({
+      path: 'consultant',
+      select: 'user rating',
+      populate: { path: 'user', select: 'firstName lastName avatar' }
+    })
+    .sort({ startAt: 1 });
+
+  const timeZone = req.user?.timeZone;
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => session.toLocalJSON(timeZone))
+    }
+  });
+}));
+
+// @route   GET /api/group-sessions/:id
+// @desc    Get a group session, with the caller's seat if they have one
+// @access  Public
+router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
+  const session = await GroupSession.findById(req.params.id)
+    .populate('category', 'name')
+    .populate({
+      path: 'consultant',
+      select: 'user rating',
+      populate: { path: 'user', select: 'firstName lastName avatar' }
+    });
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Group session not found'
+    });
+  }
+
+  const seat = req.user
+    ? await GroupSeat.findOne({ session: session._id, client: req.user._id })
+    : null;
+
+  res.json({
+    success: true,
+    data: {
+      session: session.toLocalJSON(req.user?.timeZone),
+      seat
+    }
+  });
+}));
+
+// @route   POST /api/group-sessions
+// @desc    Publish a group session (startAt, or date and startTime)
+// @access  Private (consultant)
+router.post('/', [
+  authenticateToken,
+  requireConsultant,
+  body('category')
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 120 })
+    .withMessage('Title must be between 1 and 120 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('startAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset')
+    .matches(/(Z|[+-]\d{2}:?\d{2})$/)
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset'),
+  body('date')
+    .if(body('startAt').not().exists())
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Valid date is required'),
+  body('startTime')
+    .if(body('startAt').not().exists())
+    .matches(TIME_REGEX)
+    .withMessage('Start time must be in HH:MM format'),
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone'),
+  body('duration')
+    .isInt({ min: 30, max: 480 })
+    .withMessage('Duration must be between 30 and 480 minutes'),
+  body('capacity')
+    .isInt({ min: 2, max: 500 })
+    .withMessage('Capacity must be between 2 and 500 seats'),
+  body('pricePerSeat')
+    .isFloat({ min: 0 })
+    .withMessage('Price per seat must be a positive number'),
+  body('meetingType')
+    .optional()
+    .isIn(['video', 'audio', 'in-person'])
+    .withMessage('Meeting type must be video, audio, or in-person')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const consultant = await Consultant.findOne({ user: req.user._id });
+  if (!consultant || !consultant.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant profile not found'
+    });
+  }
+
+  if (!consultant.categories.some(category => category.toString() === req.body.category)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You can only run sessions in your own categories'
+    });
+  }
+
+  const startAt = resolveStart(req.body, req.user.timeZone);
+  if (startAt <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Group sessions must start in the future'
+    });
+  }
+
+  const session = await publishSession(consultant, {
+    category: req.body.category,
+    title: req.body.title,
+    description: req.body.description,
+    startAt,
+    duration: parseInt(req.body.duration),
+    capacity: parseInt(req.body.capacity),
+    pricePerSeat: parseFloat(req.body.pricePerSeat),
+    meetingType: req.body.meetingType
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Group session published',
+    data: { session: session.toLocalJSON(req.user.timeZone) }
+  });
+}));
+
+// @route   POST /api/group-sessions/:id/seats
+// @desc    Reserve a seat in a group session. A seat with a price is held
+//          while the client pays through the checkout returned, and reserved
+//          once the payment succeeds. Asking again while the seat is held
+//          returns the same checkout.
+// @access  Private (client)
+router.post('/:id/seats', authenticateToken, requireClient, asyncHandler(async (req, res) => {
+  const session = await loadSession(req, res);
+  if (!session) return;
+
+  const { session: updated, seat } = await reserveSeat(session, req.user);
+  const payment = seat.status === 'pending' ? await startSeatCheckout(seat) : undefined;
+
+  res.status(201).json({
+    success: true,
+    message: payment ? 'Seat held, waiting for payment' : 'Seat reserved',
+    data: {
+      session: updated.toLocalJSON(req.user.timeZone),
+      seat,
+      payment,
+      checkoutUrl: payment?.checkoutUrl
+    }
+  });
+}));
+
+// @route   DELETE /api/group-sessions/:id/seats/me
+// @desc    Cancel the client's seat, freeing it for someone else. What was
+//          paid for it is refunded.
+// @access  Private (client)
+router.delete('/:id/seats/me', authenticateToken, requireClient, asyncHandler(async (req, res) => {
+  const session = await loadSession(req, res);
+  if (!session) return;
+
+  const seat = await GroupSeat.findOne({
+    session: session._id,
+    client: req.user._id,
+    status: { $in: ['pending', 'reserved'] }
+  });
+  if (!seat) {
+    return res.status(404).json({
+      success: false,
+      message: 'You have no seat in this session'
+    });
+  }
+
+  const cancelled = await cancelSeat(session, seat, 'client');
+
+  res.json({
+    success: true,
+    message: 'Seat cancelled',
+    data: { seat: cancelled }
+  });
+}));
+
+// @route   GET /api/group-sessions/:id/roster
+// @desc    Get the participants of a group session with their attendance
+// @access  Private (session consultant or admin)
+router.get('/:id/roster', authenticateToken, asyncHandler(async (req, res) => {
+  const session = await loadOwnSession(req, res);
+  if (!session) return;
+
+  const seats = await GroupSeat.find({ session: session._id, status: 'reserved' })
+    .populate('client', 'firstName lastName email phone')
+    .sort({ reservedAt: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      session: session.toLocalJSON(req.user.timeZone),
+      participants: seats
+    }
+  });
+}));
+
+// @route   PUT /api/group-sessions/:id/roster/:clientId
+// @desc    Mark whether a participant attended
+// @access  Private (session consultant or admin)
+router.put('/:id/roster/:clientId', [
+  authenticateToken,
+  body('attendance')
+    .isIn(['attended', 'absent', 'unmarked'])
+    .withMessage('Attendance must be attended, absent, or unmarked')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const session = await loadOwnSession(req, res);
+  if (!session) return;
+
+  const seat = await markAttendance(session, req.params.clientId, req.body.attendance);
+
+  res.json({
+    success: true,
+    message: 'Attendance updated',
+    data: { seat }
+  });
+}));
+
+// @route   POST /api/group-sessions/:id/cancel
+// @desc    Cancel a group session and every seat in it, refunding the seats
+// @access  Private (session consultant or admin)
+router.post('/:id/cancel', [
+  authenticateToken,
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Cancellation reason cannot exceed 200 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const session = await loadOwnSession(req, res);
+  if (!session) return;
+
+  const role = req.user.role === 'admin' ? 'admin' : 'consultant';
+  const cancelled = await cancelSession(session, role, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Group session cancelled',
+    data: { session: cancelled.toLocalJSON(req.user.timeZone) }
+  });
+}));
+
+module.exports = router;
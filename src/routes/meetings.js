@@ -0,0 +1,46 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { verifyRoom } = require('../services/meetings');
+const { asyncHandler } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/meetings/rooms/:roomId
+// @desc    Check a join link for the meeting service: whether the room with
+//          this token is open, and when its session takes place
+// @access  Public (the token in the join link)
+router.get('/rooms/:roomId', [
+  query('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const booking = await verifyRoom(req.params.roomId, req.query.token);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'This meeting link is not valid'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      room: req.params.roomId,
+      meetingType: booking.meetingType,
+      startAt: booking.startAt,
+      endAt: booking.endAt
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,337 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Package = require('../models/Package');
+const PackagePurchase = require('../models/PackagePurchase');
+const Consultant = require('../models/Consultant');
+const { purchasePackage } = require('../services/packages');
+const { startPackageCheckout } = require('../services/payments');
+const { getRates, displayAmount } = require('../services/exchangeRates');
+const { currencies } = require('../config/pricing');
+const {
+  authenticateToken,
+  requireClient,
+  requireConsultantOrAdmin,
+  asyncHandler
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+const packageValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Package name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('sessionCount')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Number of sessions must be between 1 and 100'),
+  body('duration')
+    .optional()
+    .isInt({ min: 30, max: 480 })
+    .withMessage('Duration must be between 30 and 480 minutes'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('validityDays')
+    .optional()
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Validity must be between 1 and 730 days'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+const PACKAGE_FIELDS = ['name', 'description', 'sessionCount', 'duration', 'price', 'validityDays', 'isActive'];
+
+const currencyQuery = query('currency')
+  .optional()
+  .isIn(currencies)
+  .withMessage(`Currency must be one of ${currencies.join(', ')}`);
+
+// Package with its price also in the currency asked for, if any
+const withDisplayPrice = (pkg, rates, currency) => ({
+  ...pkg.toJSON(),
+  displayPrice: displayAmount(rates, pkg.price, pkg.currency, currency)
+});
+
+// Load a package the current user can manage, or send the error response
+const loadOwnPackage = async (req, res) => {
+  const pkg = await Package.findById(req.params.id);
+  if (!pkg) {
+    res.status(404).json({
+      success: false,
+      message: 'Package not found'
+    });
+    return null;
+  }
+
+  if (req.user.role === 'admin') return pkg;
+
+  const consultant = await Consultant.findOne({ user: req.user._id });
+  if (!consultant || !consultant._id.equals(pkg.consultant)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return pkg;
+};
+
+// @route   GET /api/packages
+// @desc    List packages on sale, optionally for one consultant, with prices
+//          also in ?currency=
+// @access  Public
+router.get('/', [
+  query('consultant').optional().isMongoId(),
+  currencyQuery
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const filter = { isActive: true };
+  if (req.query.consultant) filter.consultant = req.query.consultant;
+
+  const packages = await Package.find(filter)
+    .populate({
+      path: 'consultant',
+      select: 'user',
+      populate: { path: 'user', select: 'firstName lastName avatar' }
+    })
+    .sort({ consultant: 1, sessionCount: 1 });
+  const rates = req.query.currency ? await getRates() : {};
+
+  res.json({
+    success: true,
+    data: { packages: packages.map(pkg => withDisplayPrice(pkg, rates, req.query.currency)) }
+  });
+}));
+
+// @route   GET /api/packages/credits
+// @desc    Get a client's package credits with their usage history. Admins
+//          can pass ?client= to see another client's credits.
+// @access  Private (client or admin)
+router.get('/credits', [
+  authenticateToken,
+  query('client').optional().isMongoId()
+], asyncHandler(async (req, res) => {
+  if (req.user.role !== 'client' && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  const client = req.user.role === 'admin' && req.query.client ? req.query.client : req.user._id;
+
+  const purchases = await PackagePurchase.find({ client })
+    .populate({
+      path: 'consultant',
+      select: 'user',
+      populate: { path: 'user', select: 'firstName lastName' }
+    })
+    .populate('usage.booking', 'startAt endAt status')
+    .sort({ expiresAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      credits: purchases,
+      available: purchases
+        .filter(purchase => !purchase.isExpired)
+        .reduce((sum, purchase) => sum + purchase.creditsRemaining, 0)
+    }
+  });
+}));
+
+// @route   GET /api/packages/:id
+// @desc    Get a package, with its price also in ?currency=
+// @access  Public
+router.get('/:id', [
+  currencyQuery
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const pkg = await Package.findById(req.params.id)
+    .populate({
+      path: 'consultant',
+      select: 'user',
+      populate: { path: 'user', select: 'firstName lastName avatar' }
+    });
+  if (!pkg) {
+    return res.status(404).json({
+      success: false,
+      message: 'Package not found'
+    });
+  }
+
+  const rates = req.query.currency ? await getRates() : {};
+
+  res.json({
+    success: true,
+    data: { package: withDisplayPrice(pkg, rates, req.query.currency) }
+  });
+}));
+
+// @route   POST /api/packages
+// @desc    Define a package of sessions. Admins name the consultant.
+// @access  Private (consultant or admin)
+router.post('/', [
+  authenticateToken,
+  requireConsultantOrAdmin,
+  body('consultant')
+    .if((value, { req }) => req.user.role === 'admin')
+    .isMongoId()
+    .withMessage('Valid consultant ID is required'),
+  body('name')
+    .exists()
+    .withMessage('Package name is required'),
+  body('sessionCount')
+    .exists()
+    .withMessage('Number of sessions is required'),
+  body('duration')
+    .exists()
+    .withMessage('Duration is required'),
+  body('price')
+    .exists()
+    .withMessage('Price is required'),
+  ...packageValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const consultant = req.user.role === 'admin'
+    ? await Consultant.findById(req.body.consultant)
+    : await Consultant.findOne({ user: req.user._id });
+  if (!consultant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant not found'
+    });
+  }
+
+  // Packages are priced in the consultant's currency
+  const pkg = new Package({ consultant: consultant._id, currency: consultant.currency, createdBy: req.user._id });
+  PACKAGE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) pkg[field] = req.body[field];
+  });
+  await pkg.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Package created successfully',
+    data: { package: pkg }
+  });
+}));
+
+// @route   PUT /api/packages/:id
+// @desc    Update a package. Credits already bought keep their terms.
+// @access  Private (package consultant or admin)
+router.put('/:id', [
+  authenticateToken,
+  requireConsultantOrAdmin,
+  ...packageValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const pkg = await loadOwnPackage(req, res);
+  if (!pkg) return;
+
+  PACKAGE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) pkg[field] = req.body[field];
+  });
+  await pkg.save();
+
+  res.json({
+    success: true,
+    message: 'Package updated successfully',
+    data: { package: pkg }
+  });
+}));
+
+// @route   DELETE /api/packages/:id
+// @desc    Stop selling a package. Credits already bought stay usable.
+// @access  Private (package consultant or admin)
+router.delete('/:id', authenticateToken, requireConsultantOrAdmin, asyncHandler(async (req, res) => {
+  const pkg = await loadOwnPackage(req, res);
+  if (!pkg) return;
+
+  pkg.isActive = false;
+  await pkg.save();
+
+  res.json({
+    success: true,
+    message: 'Package withdrawn from sale'
+  });
+}));
+
+// @route   POST /api/packages/:id/purchase
+// @desc    Buy a package. Free packages add their sessions to the client's
+//          credits at once; others start a checkout, and the credits are
+//          added once the payment succeeds.
+// @access  Private (client)
+router.post('/:id/purchase', authenticateToken, requireClient, asyncHandler(async (req, res) => {
+  const pkg = await Package.findById(req.params.id);
+  if (!pkg) {
+    return res.status(404).json({
+      success: false,
+      message: 'Package not found'
+    });
+  }
+
+  if (pkg.price > 0) {
+    const payment = await startPackageCheckout(pkg, req.user);
+    return res.status(201).json({
+      success: true,
+      message: 'Checkout started',
+      data: {
+        payment,
+        checkoutUrl: payment.checkoutUrl
+      }
+    });
+  }
+
+  const purchase = await purchasePackage(pkg, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: `${purchase.sessionCount} session credits added`,
+    data: { purchase }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Payment = require('../models/Payment');
+const { getGateway, isFakeEnabled, paymentsEnabled } = require('../services/paymentGateways');
+const { applyGatewayEvent } = require('../services/payments');
+const config = require('../config/payments');
+const { authenticateToken, asyncHandler } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhooks/:gateway
+// @desc    Receive a payment gateway's callback. Events can be delivered any
+//          number of times; each is applied once.
+// @access  Public (signed by the configured gateway)
+router.post('/webhooks/:gateway', asyncHandler(async (req, res) => {
+  if (!paymentsEnabled() || req.params.gateway !== config.gateway) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown payment gateway'
+    });
+  }
+  const gateway = getGateway(req.params.gateway);
+
+  const event = gateway.parseWebhook(req.rawBody || '', req.headers);
+  const { duplicate } = await applyGatewayEvent(gateway.name, event);
+
+  res.json({
+    success: true,
+    data: {
+      received: event.id,
+      duplicate
+    }
+  });
+}));
+
+// @route   GET /api/payments
+// @desc    List the client's payments, or any payments for admins
+// @access  Private (client or admin)
+router.get('/', [
+  authenticateToken,
+  query('booking').optional().isMongoId(),
+  query('status').optional().isIn(['pending', 'succeeded', 'failed', 'cancelled'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  if (req.user.role !== 'client' && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  const filter = req.user.role === 'admin' ? {} : { client: req.user._id };
+  if (req.query.booking) filter.booking = req.query.booking;
+  if (req.query.status) filter.status = req.query.status;
+
+  const payments = await Payment.find(filter)
+    .select('-events')
+    .sort({ createdAt: -1 })
+    .limit(100);
+
+  res.json({
+    success: true,
+    data: { payments }
+  });
+}));
+
+// @route   POST /api/payments/fake/:paymentId/complete
+// @desc    Pay (or fail) a checkout on the local fake gateway. The outcome is
+//          delivered through the webhook handler like a real gateway's.
+// @access  Private (paying client or admin; fake gateway only, never in
+//          production)
+router.post('/fake/:paymentId/complete', [
+  authenticateToken,
+  body('outcome')
+    .optional()
+    .isIn(['succeeded', 'failed'])
+    .withMessage('Outcome must be succeeded or failed')
+], asyncHandler(async (req, res) => {
+  if (!isFakeEnabled() || !paymentsEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'The fake payment gateway is not enabled'
+    });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const payment = await Payment.findOne({ gateway: 'fake', gatewayPaymentId: req.params.paymentId });
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && !payment.client.equals(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  const gateway = getGateway('fake');
+  const webhook = gateway.completePayment(payment.gatewayPaymentId, req.body.outcome || 'succeeded');
+  const { payment: updated } = await applyGatewayEvent(gateway.name, gateway.parseWebhook(webhook.body, webhook.headers));
+
+  res.json({
+    success: true,
+    message: updated.status === 'succeeded' ? 'Payment succeeded' : 'Payment failed',
+    data: { payment: updated }
+  });
+}));
+
+module.exports = router;
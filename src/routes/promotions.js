@@ -0,0 +1,267 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Promotion = require('../models/Promotion');
+const PromotionUsage = require('../models/PromotionUsage');
+const { currencies } = require('../config/pricing');
+const { authenticateToken, requireAdmin, asyncHandler } = require('../middleware/auth');
+
+// Mounted under /api/admin/promotions
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+// Optional caps and dates can be cleared by sending null
+const optionalOrNull = (field) => body(field).optional({ values: 'null' });
+
+const promotionValidators = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Codes are 3 to 30 letters, digits, dashes or underscores'),
+  body('campaign')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Campaign name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('discountType')
+    .optional()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Discount amount must be a positive number'),
+  body('currency')
+    .optional()
+    .isIn(currencies)
+    .withMessage(`Currency must be one of ${currencies.join(', ')}`),
+  body('firstBookingOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('firstBookingOnly must be true or false'),
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be an array'),
+  body('categories.*')
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  body('consultants')
+    .optional()
+    .isArray()
+    .withMessage('Consultants must be an array'),
+  body('consultants.*')
+    .isMongoId()
+    .withMessage('Invalid consultant ID'),
+  optionalOrNull('startsAt')
+    .isISO8601()
+    .withMessage('Start must be an ISO 8601 date-time'),
+  optionalOrNull('endsAt')
+    .isISO8601()
+    .withMessage('End must be an ISO 8601 date-time'),
+  optionalOrNull('maxRedemptions')
+    .isInt({ min: 1 })
+    .withMessage('Usage cap must be a positive whole number'),
+  optionalOrNull('maxPerClient')
+    .isInt({ min: 1 })
+    .withMessage('Usage cap per client must be a positive whole number'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+const PROMOTION_FIELDS = [
+  'code', 'campaign', 'description', 'discountType', 'amount', 'currency', 'firstBookingOnly',
+  'categories', 'consultants', 'startsAt', 'endsAt', 'maxRedemptions', 'maxPerClient', 'isActive'
+];
+
+// Copy the fields sent onto a promotion; null clears optional ones
+const assignFields = (promotion, values) => {
+  PROMOTION_FIELDS.forEach(field => {
+    if (values[field] === null) {
+      promotion[field] = undefined;
+    } else if (values[field] !== undefined) {
+      promotion[field] = values[field];
+    }
+  });
+};
+
+// @route   GET /api/admin/promotions
+// @desc    Get promo codes with pagination and filtering
+// @access  Admin only
+router.get('/', [
+  query('active').optional().isBoolean(),
+  query('campaign').optional().trim().isLength({ max: 100 }),
+  query('search').optional().trim().isLength({ max: 30 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const { active, campaign, search, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (active !== undefined) query.isActive = active === 'true';
+  if (campaign) query.campaign = campaign;
+  if (search) query.code = { $regex: search.replace(/[^A-Za-z0-9_-]/g, ''), $options: 'i' };
+
+  const promotions = await Promotion.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Promotion.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      promotions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @route   GET /api/admin/promotions/:id
+// @desc    Get a promo code and who has used it
+// @access  Admin only
+router.get('/:id', asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id)
+    .populate('categories', 'name')
+    .populate({ path: 'consultants', select: 'user', populate: { path: 'user', select: 'firstName lastName' } });
+  if (!promotion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Promotion not found'
+    });
+  }
+
+  const usage = await PromotionUsage.find({ promotion: promotion._id, count: { $gt: 0 } })
+    .populate('client', 'firstName lastName email')
+    .sort({ updatedAt: -1 })
+    .limit(100);
+
+  res.json({
+    success: true,
+    data: {
+      promotion,
+      usage
+    }
+  });
+}));
+
+// @route   POST /api/admin/promotions
+// @desc    Create a promo code
+// @access  Admin only
+router.post('/', [
+  body('code')
+    .exists()
+    .withMessage('Code is required'),
+  body('discountType')
+    .exists()
+    .withMessage('Discount type is required'),
+  body('amount')
+    .exists()
+    .withMessage('Discount amount is required'),
+  ...promotionValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const promotion = new Promotion({ createdBy: req.user._id });
+  assignFields(promotion, req.body);
+  await promotion.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Promotion created successfully',
+    data: { promotion }
+  });
+}));
+
+// @route   PUT /api/admin/promotions/:id
+// @desc    Update a promo code. Bookings that already used it keep their
+//          discount.
+// @access  Admin only
+router.put('/:id', promotionValidators, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const promotion = await Promotion.findById(req.params.id);
+  if (!promotion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Promotion not found'
+    });
+  }
+
+  assignFields(promotion, req.body);
+  await promotion.save();
+
+  res.json({
+    success: true,
+    message: 'Promotion updated successfully',
+    data: { promotion }
+  });
+}));
+
+// @route   DELETE /api/admin/promotions/:id
+// @desc    Delete a promo code that was never used, or deactivate one that was
+// @access  Admin only
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id);
+  if (!promotion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Promotion not found'
+    });
+  }
+
+  if (await PromotionUsage.exists({ promotion: promotion._id })) {
+    promotion.isActive = false;
+    await promotion.save();
+    return res.json({
+      success: true,
+      message: 'Promotion has been used, so it was deactivated instead of deleted'
+    });
+  }
+
+  await promotion.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Promotion deleted'
+  });
+}));
+
+module.exports = router;
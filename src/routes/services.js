@@ -1,26 +1,52 @@
 const express = require('express');
 const Service = require('../models/Service');
+const { getRates, displayAmount } = require('../services/exchangeRates');
+const { currencies } = require('../config/pricing');
 const router = express.Router();
 
-// GET /api/services - all services
+// Service with its price also in the currency asked for, if any
+const withDisplayPrice = (service, rates, currency) => ({
+  ...service.toJSON(),
+  displayPrice: service.price == null
+    ? undefined
+    : displayAmount(rates, service.price, service.currency, currency)
+});
+
+// Check ?currency=, sending the error response when it is not supported
+const checkCurrency = (req, res) => {
+  const { currency } = req.query;
+  if (currency && !currencies.includes(currency)) {
+    res.status(400).json({ success: false, message: `Currency must be one of ${currencies.join(', ')}` });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/services - all services, with prices also in ?currency=
 router.get('/', async (req, res) => {
+  if (!checkCurrency(req, res)) return;
   try {
     const services = await Service.find();
-    res.json({ success: true, data: services });
+    const rates = req.query.currency ? await getRates() : {};
+    res.json({ success: true, data: services.map(service => withDisplayPrice(service, rates, req.query.currency)) });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ success: false, message: err.message });
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// GET /api/services/:id - service by id
+// GET /api/services/:id - service by id, with its price also in ?currency=
 router.get('/:id', async (req, res) => {
+  if (!checkCurrency(req, res)) return;
   try {
     const service = await Service.findById(req.params.id);
     if (!service) return res.status(404).json({ success: false, message: 'Service not found' });
-    res.json({ success: true, data: service });
+    const rates = req.query.currency ? await getRates() : {};
+    res.json({ success: true, data: withDisplayPrice(service, rates, req.query.currency) });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ success: false, message: err.message });
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticateToken, checkOwnership, asyncHandler } = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timezone');
+const { createFeedToken, revokeFeedToken } = require('../services/calendar');
+const { publicApiUrl } = require('../config/calendar');
 
 const router = express.Router();
 
@@ -35,7 +38,11 @@ router.put('/profile', [
   body('phone')
     .optional()
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
-    .withMessage('Please enter a valid phone number')
+    .withMessage('Please enter a valid phone number'),
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -47,12 +54,13 @@ router.put('/profile', [
     });
   }
 
-  const { firstName, lastName, phone } = req.body;
+  const { firstName, lastName, phone, timeZone } = req.body;
 
   // Update user
   if (firstName) req.user.firstName = firstName;
   if (lastName) req.user.lastName = lastName;
   if (phone !== undefined) req.user.phone = phone;
+  if (timeZone) req.user.timeZone = timeZone;
 
   await req.user.save();
 
@@ -65,6 +73,35 @@ router.put('/profile', [
   });
 }));
 
+// @route   POST /api/users/profile/calendar-feed
+// @desc    Create a private calendar feed URL, replacing any earlier one
+// @access  Private
+router.post('/profile/calendar-feed', authenticateToken, asyncHandler(async (req, res) => {
+  const token = await createFeedToken(req.user);
+  const baseUrl = publicApiUrl || `${req.protocol}://${req.get('host')}`;
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created. Keep this URL private; it is only shown once.',
+    data: {
+      url: `${baseUrl}/api/calendar/feeds/${token}.ics`,
+      createdAt: req.user.calendarFeed.createdAt
+    }
+  });
+}));
+
+// @route   DELETE /api/users/profile/calendar-feed
+// @desc    Revoke the calendar feed URL
+// @access  Private
+router.delete('/profile/calendar-feed', authenticateToken, asyncHandler(async (req, res) => {
+  await revokeFeedToken(req.user);
+
+  res.json({
+    success: true,
+    message: 'Calendar feed revoked'
+  });
+}));
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID (public info only)
 // @access  Public
@@ -0,0 +1,296 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Consultant = require('../models/Consultant');
+const { TIME_REGEX } = require('../utils/time');
+const { isValidTimeZone, zonedTimeToUtc, addDays } = require('../utils/timezone');
+const { resolveStart, assertSlotAvailable } = require('../services/bookingSlots');
+const { loadActiveLocation } = require('../services/locations');
+const { claimOffer, declineOffer, leaveWaitlist } = require('../services/waitlist');
+const { authenticateToken, requireClient, asyncHandler } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Longest date range a client can wait on
+const MAX_RANGE_DAYS = 90;
+
+// Load one of the current client's entries, or send the error response
+const loadOwnEntry = async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found'
+    });
+    return null;
+  }
+
+  if (entry.client.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// @route   POST /api/waitlist
+// @desc    Join a consultant's waitlist for a specific slot (startAt, or date
+//          and startTime) or for any time in a date range (from and to)
+// @access  Private (client)
+router.post('/', [
+  authenticateToken,
+  requireClient,
+  body('consultant')
+    .isMongoId()
+    .withMessage('Valid consultant ID is required'),
+  body('category')
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('duration')
+    .isInt({ min: 30, max: 480 })
+    .withMessage('Duration must be between 30 and 480 minutes'),
+  body('meetingType')
+    .optional()
+    .isIn(['video', 'audio', 'in-person'])
+    .withMessage('Meeting type must be video, audio, or in-person'),
+  body('location')
+    .if(body('meetingType').equals('in-person'))
+    .isMongoId()
+    .withMessage('In-person sessions need a valid location ID'),
+  body('from')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('From must be a date in YYYY-MM-DD format'),
+  body('to')
+    .if(body('from').exists())
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('To must be a date in YYYY-MM-DD format'),
+  body('startAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset')
+    .matches(/(Z|[+-]\d{2}:?\d{2})$/)
+    .withMessage('Start must be an ISO 8601 date-time with a UTC offset'),
+  body('date')
+    .if(body('from').not().exists())
+    .if(body('startAt').not().exists())
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Valid date is required'),
+  body('startTime')
+    .if(body('from').not().exists())
+    .if(body('startAt').not().exists())
+    .matches(TIME_REGEX)
+    .withMessage('Start time must be in HH:MM format'),
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone'),
+  body('notes.client')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Client notes cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const { consultant, category, meetingType = 'video', notes } = req.body;
+  const duration = parseInt(req.body.duration);
+  const timeZone = req.body.timeZone || req.user.timeZone;
+
+  const consultantProfile = await Consultant.findById(consultant);
+  if (!consultantProfile || !consultantProfile.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Consultant not found'
+    });
+  }
+
+  const location = meetingType === 'in-person'
+    ? await loadActiveLocation(consultantProfile, req.body.location)
+    : undefined;
+
+  let type, from, to;
+  if (req.body.from) {
+    if (req.body.to < req.body.from || req.body.to > addDays(req.body.from, MAX_RANGE_DAYS - 1)) {
+      return res.status(400).json({
+        success: false,
+        message: `Range must end on or after its start and cover at most ${MAX_RANGE_DAYS} days`
+      });
+    }
+    type = 'range';
+    from = zonedTimeToUtc(req.body.from, '00:00', timeZone);
+    to = zonedTimeToUtc(addDays(req.body.to, 1), '00:00', timeZone);
+  } else {
+    type = 'slot';
+    from = resolveStart(req.body, timeZone);
+    to = new Date(from.getTime() + duration * 60000);
+
+    // There is no point waiting for a slot that can be booked right now
+    try {
+      await assertSlotAvailable(consultantProfile, from, to, null, location);
+      return res.status(409).json({
+        success: false,
+        message: 'This time is available, please book it directly'
+      });
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+    }
+  }
+
+  if (to <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Waitlist times must be in the future'
+    });
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    client: req.user._id,
+    consultant: consultantProfile._id,
+    type,
+    from,
+    to,
+    status: { $in: ['waiting', 'offered'] }
+  });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: 'You are already on the waitlist for this time'
+    });
+  }
+
+  const entry = await WaitlistEntry.create({
+    client: req.user._id,
+    consultant: consultantProfile._id,
+    category,
+    duration,
+    meetingType,
+    location: location?._id,
+    notes,
+    type,
+    from,
+    to
+  });
+
+  const position = await WaitlistEntry.countDocuments({
+    consultant: consultantProfile._id,
+    status: { $in: ['waiting', 'offered'] },
+    createdAt: { $lte: entry.createdAt }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Added to the waitlist',
+    data: {
+      entry,
+      position
+    }
+  });
+}));
+
+// @route   GET /api/waitlist
+// @desc    Get the client's own waitlist entries, or a consultant's waitlist
+// @access  Private
+router.get('/', [
+  authenticateToken,
+  query('status').optional().isIn(['waiting', 'offered', 'booked', 'cancelled', 'expired'])
+], asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.user.role === 'consultant') {
+    const consultant = await Consultant.findOne({ user: req.user._id });
+    if (!consultant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consultant profile not found'
+      });
+    }
+    filter.consultant = consultant._id;
+  } else if (req.user.role !== 'admin') {
+    filter.client = req.user._id;
+  }
+
+  filter.status = req.query.status || { $in: ['waiting', 'offered'] };
+
+  const entries = await WaitlistEntry.find(filter)
+    .populate('client', 'firstName lastName')
+    .populate('category', 'name')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: { entries }
+  });
+}));
+
+// @route   POST /api/waitlist/:id/claim
+// @desc    Book the slot offered to the client
+// @access  Private (client - owner)
+router.post('/:id/claim', authenticateToken, requireClient, asyncHandler(async (req, res) => {
+  const entry = await loadOwnEntry(req, res);
+  if (!entry) return;
+
+  const { entry: claimed, booking } = await claimOffer(entry, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Booking created successfully',
+    data: {
+      entry: claimed,
+      booking: booking.toLocalJSON(req.user.timeZone)
+    }
+  });
+}));
+
+// @route   POST /api/waitlist/:id/decline
+// @desc    Pass on the offered slot to the next client in line
+// @access  Private (client - owner)
+router.post('/:id/decline', authenticateToken, requireClient, asyncHandler(async (req, res) => {
+  const entry = await loadOwnEntry(req, res);
+  if (!entry) return;
+
+  const declined = entry.status === 'offered' && await declineOffer(entry);
+  if (!declined) {
+    return res.status(409).json({
+      success: false,
+      message: 'This offer is no longer available'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Offer declined',
+    data: { entry: declined }
+  });
+}));
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Leave the waitlist
+// @access  Private (client - owner)
+router.delete('/:id', authenticateToken, requireClient, asyncHandler(async (req, res) => {
+  const entry = await loadOwnEntry(req, res);
+  if (!entry) return;
+
+  const left = await leaveWaitlist(entry);
+  if (!left) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only waiting or offered entries can be removed'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Removed from the waitlist'
+  });
+}));
+
+module.exports = router;
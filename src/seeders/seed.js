@@ -7,7 +7,13 @@ const User = require('../models/User');
 const Category = require('../models/Category');
 const Consultant = require('../models/Consultant');
 const Booking = require('../models/Booking');
+const Location = require('../models/Location');
+const SlotReservation = require('../models/SlotReservation');
+const { toZonedDateTime, zonedTimeToUtc } = require('../utils/timezone');
+const { calculateQuote } = require('../services/pricing');
+const { quoteInCurrency } = require('../services/exchangeRates');
 const Service = require('../models/Service');
+const ExchangeRate = require('../models/ExchangeRate');
 
 // New Categories: Businesses, Healthcare, Technology, and Personal Growth
 const wellnessCategories = [
@@ -239,13 +245,29 @@ const clearData = async () => {
     await Category.deleteMany({});
     await Consultant.deleteMany({});
     await Booking.deleteMany({});
+    await Location.deleteMany({});
+    await SlotReservation.deleteMany({});
     await Service.deleteMany({});
+    await ExchangeRate.deleteMany({});
     console.log('🗑️  Existing data cleared');
   } catch (error) {
     console.error('❌ Error clearing data:', error);
   }
 };
 
+// Seed exchange rates against USD; most clients pay in AED
+const seedExchangeRates = async () => {
+  try {
+    await ExchangeRate.insertMany([
+      { currency: 'AED', rate: 3.6725 },
+      { currency: 'SAR', rate: 3.75 }
+    ]);
+    console.log('✅ Exchange rates seeded');
+  } catch (error) {
+    console.error('❌ Error seeding exchange rates:', error);
+  }
+};
+
 // Seed categories
 const seedCategories = async () => {
   try {
@@ -275,7 +297,8 @@ const createAdminUser = async () => {
       role: 'admin',
       phone: '+971501234567',
       isActive: true,
-      emailVerified: true
+      emailVerified: true,
+      timeZone: 'Asia/Dubai'
     });
     console.log('✅ Admin user created');
     return adminUser;
@@ -301,6 +324,7 @@ const createClientUsers = async () => {
         phone: `+97150${String(i + 1).padStart(7, '0')}`,
         isActive: true,
         emailVerified: true,
+        timeZone: 'Asia/Dubai',
         location: dubaiLocations[Math.floor(Math.random() * dubaiLocations.length)]
       });
       clients.push(client);
@@ -343,18 +367,20 @@ const createConsultants = async (categories) => {
         phone: `+97150${String(i + 1).padStart(7, '0')}`,
         isActive: true,
         emailVerified: true,
+        timeZone: 'Asia/Dubai',
         location: dubaiLocations[Math.floor(Math.random() * dubaiLocations.length)]
       });
 
       // All consultants available 24/7
+      const allDay = { isAvailable: true, windows: [{ startTime: '00:00', endTime: '24:00' }] };
       const availability = {
-        monday:    { isAvailable: true, startTime: '00:00', endTime: '23:59' },
-        tuesday:   { isAvailable: true, startTime: '00:00', endTime: '23:59' },
-        wednesday: { isAvailable: true, startTime: '00:00', endTime: '23:59' },
-        thursday:  { isAvailable: true, startTime: '00:00', endTime: '23:59' },
-        friday:    { isAvailable: true, startTime: '00:00', endTime: '23:59' },
-        saturday:  { isAvailable: true, startTime: '00:00', endTime: '23:59' },
-        sunday:    { isAvailable: true, startTime: '00:00', endTime: '23:59' }
+        monday:    allDay,
+        tuesday:   allDay,
+        wednesday: allDay,
+        thursday:  allDay,
+        friday:    allDay,
+        saturday:  allDay,
+        sunday:    allDay
       };
 
       // Shuffle categories and pick a random number for each consultant
@@ -381,6 +407,7 @@ const createConsultants = async (categories) => {
         certifications: generateCertifications(),
         specializations: generateSpecializations(consultantCategories[0].name),
         achievements: generateAchievements(name.firstName),
+        timeZone: 'Asia/Dubai',
         availability,
         rating: {
           average: (Math.random() * 1.5 + 3.5).toFixed(1), // 3.5 to 5.0
@@ -388,7 +415,20 @@ const createConsultants = async (categories) => {
         }
       });
 
-      consultants.push({ user, consultant });
+      // Every consultant sees clients in person at one office
+      const area = dubaiLocations[Math.floor(Math.random() * dubaiLocations.length)];
+      const location = await Location.create({
+        consultant: consultant._id,
+        name: `${area} office`,
+        address: {
+          line1: `Office ${Math.floor(Math.random() * 900) + 100}, ${area}`,
+          city: 'Dubai',
+          country: 'United Arab Emirates'
+        },
+        accessInstructions: 'Ask at reception for the consultation rooms'
+      });
+
+      consultants.push({ user, consultant, location });
     }
     console.log(`✅ ${consultants.length} consultant profiles created`);
     return consultants;
@@ -519,13 +559,13 @@ const generateAchievements = (firstName) => {
 // Generate availability
 const generateAvailability = () => {
   return {
-    monday: { isAvailable: true, startTime: '09:00', endTime: '17:00' },
-    tuesday: { isAvailable: true, startTime: '09:00', endTime: '17:00' },
-    wednesday: { isAvailable: true, startTime: '09:00', endTime: '17:00' },
-    thursday: { isAvailable: true, startTime: '09:00', endTime: '17:00' },
-    friday: { isAvailable: false, startTime: '', endTime: '' },
-    saturday: { isAvailable: true, startTime: '10:00', endTime: '15:00' },
-    sunday: { isAvailable: false, startTime: '', endTime: '' }
+    monday: { isAvailable: true, windows: [{ startTime: '09:00', endTime: '17:00' }] },
+    tuesday: { isAvailable: true, windows: [{ startTime: '09:00', endTime: '12:00' }, { startTime: '15:00', endTime: '19:00' }] },
+    wednesday: { isAvailable: true, windows: [{ startTime: '09:00', endTime: '17:00' }] },
+    thursday: { isAvailable: true, windows: [{ startTime: '09:00', endTime: '12:00' }, { startTime: '15:00', endTime: '19:00' }] },
+    friday: { isAvailable: false, windows: [] },
+    saturday: { isAvailable: true, windows: [{ startTime: '10:00', endTime: '15:00' }] },
+    sunday: { isAvailable: false, windows: [] }
   };
 };
 
@@ -544,28 +584,39 @@ const createBookings = async (clients, consultants, categories) => {
       const startTime = startTimes[Math.floor(Math.random() * startTimes.length)];
       const duration = [30, 60, 90][Math.floor(Math.random() * 3)];
       
-      // Calculate end time
-      const startTimeDate = new Date(`2000-01-01T${startTime}:00`);
-      const endTimeDate = new Date(startTimeDate.getTime() + duration * 60000);
-      const endTime = endTimeDate.toTimeString().slice(0, 5);
-      
-      const booking = await Booking.create({
+      // Sessions start at one of the sample times, Dubai time, within the next 30 days
+      const day = toZonedDateTime(new Date(Date.now() + (Math.random() * 30 + 1) * 24 * 60 * 60 * 1000), 'Asia/Dubai').date;
+
+      const meetingType = meetingTypes[Math.floor(Math.random() * meetingTypes.length)];
+      const quote = await quoteInCurrency(calculateQuote(consultantData.consultant, { duration, meetingType }));
+      const status = statuses[Math.floor(Math.random() * statuses.length)];
+
+      const booking = new Booking({
         client: client._id,
         consultant: consultantData.consultant._id,
         category: category._id,
-        date: new Date(Date.now() + Math.random() * 30 * 24 * 60 * 60 * 1000),
-        startTime: startTime,
-        endTime: endTime,
+        startAt: zonedTimeToUtc(day, startTime, 'Asia/Dubai'),
+        timeZone: 'Asia/Dubai',
         duration: duration,
-        meetingType: meetingTypes[Math.floor(Math.random() * meetingTypes.length)],
-        status: statuses[Math.floor(Math.random() * statuses.length)],
-        totalAmount: (consultantData.consultant.hourlyRate * duration) / 60,
-        location: dubaiLocations[Math.floor(Math.random() * dubaiLocations.length)],
+        meetingType,
+        status,
+        totalAmount: quote.total,
+        pricing: quote,
+        // Sample sessions already past the pending stage are not charged
+        paymentStatus: status === 'pending' ? undefined : 'not-required',
+        location: meetingType === 'in-person' ? consultantData.location._id : undefined,
         notes: {
           client: 'Dubai market analysis and business strategy consultation',
           consultant: 'Comprehensive consultation session scheduled'
         }
       });
+
+      // Skip random bookings that overlap an earlier one
+      await booking.validate();
+      const reserved = await SlotReservation.reserve(booking.consultant, booking._id, booking.startAt, booking.endAt);
+      if (!reserved) continue;
+
+      await booking.save();
       bookings.push(booking);
     }
     console.log(`✅ ${bookings.length} sample bookings created`);
@@ -594,6 +645,7 @@ const seedDatabase = async () => {
     await connectDB();
     await clearData();
     
+    await seedExchangeRates();
     const categories = await seedCategories();
     const adminUser = await createAdminUser();
     const clients = await createClientUsers();
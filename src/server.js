@@ -10,10 +10,35 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const categoryRoutes = require('./routes/categories');
 const consultantRoutes = require('./routes/consultants');
+const consultantCalendarRoutes = require('./routes/consultantCalendars');
+const consultantLocationRoutes = require('./routes/consultantLocations');
 const bookingRoutes = require('./routes/bookings');
+const bookingSeriesRoutes = require('./routes/bookingSeries');
+const waitlistRoutes = require('./routes/waitlist');
+const groupSessionRoutes = require('./routes/groupSessions');
+const packageRoutes = require('./routes/packages');
+const meetingRoutes = require('./routes/meetings');
+const paymentRoutes = require('./routes/payments');
+const calendarRoutes = require('./routes/calendar');
 const adminRoutes = require('./routes/admin');
+const promotionRoutes = require('./routes/promotions');
 const serviceRoutes = require('./routes/services');
 const { errorHandler } = require('./middleware/errorHandler');
+const { getPaymentConfigProblem } = require('./services/paymentGateways');
+const { getMeetingConfigProblem } = require('./services/meetingProviders');
+const { startScheduler } = require('./jobs/scheduler');
+require('./jobs');
+
+// Without a safe payment or meeting setup the API still serves, with
+// checkouts or meeting links refused
+const paymentConfigProblem = getPaymentConfigProblem();
+if (paymentConfigProblem) {
+  console.warn(`Payments are switched off: ${paymentConfigProblem}`);
+}
+const meetingConfigProblem = getMeetingConfigProblem();
+if (meetingConfigProblem) {
+  console.warn(`Meeting links are switched off: ${meetingConfigProblem}`);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000 ;
@@ -49,8 +74,16 @@ app.use(cors({
   credentials: true
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware. Payment webhooks also keep the raw body, which
+// their signatures are computed over.
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buffer) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buffer.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -66,8 +99,18 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/consultants/:id/calendars', consultantCalendarRoutes);
+app.use('/api/consultants/:id/locations', consultantLocationRoutes);
 app.use('/api/consultants', consultantRoutes);
+app.use('/api/bookings/series', bookingSeriesRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/group-sessions', groupSessionRoutes);
+app.use('/api/packages', packageRoutes);
+app.use('/api/meetings', meetingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/admin/promotions', promotionRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/services', serviceRoutes);
 
@@ -94,6 +137,9 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
+// Background jobs (hold expiry, waitlist offers, session completion)
+startScheduler();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Zentro API server running on port ${PORT}`);
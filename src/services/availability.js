@@ -0,0 +1,96 @@
+const BusyBlock = require('../models/BusyBlock');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getEffectiveRules, getBookingWindow, getBusyIntervals, getSessionCounts } = require('./bookingRules');
+const { DAYS } = require('../utils/time');
+const { intersectIntervals } = require('../utils/availability');
+const { toZonedDateTime, zonedTimeToUtc, addDays } = require('../utils/timezone');
+
+// Default spacing between candidate start times, in minutes
+const DEFAULT_STEP = 30;
+
+// Candidate start instants inside the availability intervals that fit the
+// duration and do not overlap any busy interval. Intervals hold Date values.
+const computeSlots = (intervals, busy, duration, step = DEFAULT_STEP) => {
+  const slots = [];
+  const durationMs = duration * 60000;
+  const stepMs = step * 60000;
+
+  intervals.forEach(interval => {
+    for (let start = interval.start.getTime(); start + durationMs <= interval.end.getTime(); start += stepMs) {
+      const end = start + durationMs;
+      const overlaps = busy.some(other => other.start.getTime() < end && other.end.getTime() > start);
+      if (!overlaps) {
+        slots.push({ start: new Date(start), end: new Date(end) });
+      }
+    }
+  });
+
+  return slots;
+};
+
+// Bookable start times for a consultant, grouped per calendar day in the
+// viewer's time zone between two "YYYY-MM-DD" days (inclusive). With a
+// `location`, only times the location is open are included.
+const getBookableSlots = async (consultant, { from, to, duration, timeZone, location, step = DEFAULT_STEP, now = new Date() }) => {
+  const rangeStart = zonedTimeToUtc(from, '00:00', timeZone);
+  const rangeEnd = zonedTimeToUtc(addDays(to, 1), '00:00', timeZone);
+
+  // Other sessions, with buffers on both sides, imported busy time, time held
+  // for waitlist offers and the consultant's rules on notice, horizon and
+  // sessions per day all remove candidate slots
+  const rules = getEffectiveRules(consultant);
+  const { earliest, latest } = getBookingWindow(rules, now);
+  const busy = await getBusyIntervals(consultant, rangeStart, rangeEnd, rules);
+  const blocks = await BusyBlock.findOverlapping(consultant._id, rangeStart, rangeEnd);
+  busy.push(...blocks.map(block => ({ start: block.start, end: block.end })));
+  const bufferMs = (rules.bufferBeforeMinutes + rules.bufferAfterMinutes) * 60000;
+  const offers = await WaitlistEntry.findHeldOffers(
+    consultant._id,
+    new Date(rangeStart.getTime() - bufferMs),
+    new Date(rangeEnd.getTime() + bufferMs),
+    now
+  );
+  busy.push(...offers.map(entry => ({
+    start: new Date(entry.offer.startAt.getTime() - bufferMs),
+    end: new Date(entry.offer.endAt.getTime() + bufferMs)
+  })));
+  const sessionCounts = rules.maxSessionsPerDay > 0 ? await getSessionCounts(consultant, rangeStart, rangeEnd) : {};
+  const dayIsFull = (slot) => (sessionCounts[toZonedDateTime(slot.start, consultant.timeZone).date] || 0) >= rules.maxSessionsPerDay;
+
+  let intervals = consultant.isActive ? consultant.getAvailabilityIntervals(rangeStart, rangeEnd) : [];
+  if (location) {
+    intervals = intersectIntervals(intervals, location.getAvailabilityIntervals(rangeStart, rangeEnd, consultant.timeZone));
+  }
+
+  const slotsByDay = {};
+  computeSlots(intervals, busy, duration, step)
+    // Slots outside the booking window or the requested range cannot be booked
+    .filter(slot => slot.start >= earliest && slot.start <= latest && slot.start >= rangeStart && slot.start < rangeEnd)
+    .filter(slot => rules.maxSessionsPerDay === 0 || !dayIsFull(slot))
+    .forEach(slot => {
+      const start = toZonedDateTime(slot.start, timeZone);
+      slotsByDay[start.date] = slotsByDay[start.date] || [];
+      slotsByDay[start.date].push({
+        startAt: slot.start,
+        endAt: slot.end,
+        startTime: start.time,
+        endTime: toZonedDateTime(slot.end, timeZone).time
+      });
+    });
+
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push({
+      date: day,
+      day: DAYS[new Date(`${day}T00:00:00Z`).getUTCDay()],
+      slots: slotsByDay[day] || []
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  computeSlots,
+  getBookableSlots
+};
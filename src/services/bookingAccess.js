@@ -0,0 +1,20 @@
+const Consultant = require('../models/Consultant');
+
+// The part a user plays in a booking: 'client', 'consultant', 'admin', or
+// null when the user has no access to it
+const getBookingRole = async (booking, user) => {
+  if (user.role === 'admin') return 'admin';
+
+  const clientId = booking.client._id || booking.client;
+  if (clientId.toString() === user._id.toString()) return 'client';
+
+  if (user.role === 'consultant') {
+    const consultant = await Consultant.findOne({ user: user._id }).select('_id');
+    const consultantId = booking.consultant._id || booking.consultant;
+    if (consultant && consultantId.toString() === consultant._id.toString()) return 'consultant';
+  }
+
+  return null;
+};
+
+module.exports = { getBookingRole };
@@ -0,0 +1,51 @@
+const Booking = require('../models/Booking');
+const { changeStatus } = require('./bookingStatus');
+
+// Reasons shown to the client, per kind of hold
+const EXPIRATION_REASONS = {
+  confirmation: 'The consultant did not confirm the booking in time',
+  payment: 'Payment was not completed in time'
+};
+
+// How long one sweeper has to expire a booking before another may retry it
+const SWEEP_LEASE_MS = 60000;
+
+// Expire pending bookings whose hold has run out, releasing their slots.
+// Each booking is claimed atomically before it is expired, so several
+// instances can sweep at the same time without expiring one twice.
+const expireHolds = async (now = new Date()) => {
+  let expired = 0;
+
+  for (;;) {
+    const booking = await Booking.findOneAndUpdate(
+      {
+        status: 'pending',
+        'hold.expiresAt': { $lte: now },
+        'hold.sweepingUntil': { $not: { $gt: now } }
+      },
+      { $set: { 'hold.sweepingUntil': new Date(now.getTime() + SWEEP_LEASE_MS) } },
+      { new: true }
+    );
+    if (!booking) break;
+
+    try {
+      // Bookings still waiting for their payment expire for that reason,
+      // whatever kind of hold they had
+      const holdType = ['unpaid', 'pending'].includes(booking.paymentStatus) ? 'payment' : booking.hold.type;
+      await changeStatus(booking, 'expired', {
+        role: 'system',
+        reason: EXPIRATION_REASONS[holdType] || EXPIRATION_REASONS.confirmation
+      });
+      expired++;
+    } catch (error) {
+      // Left for a later sweep once the lease runs out
+      console.error(`Could not expire booking ${booking._id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  expireHolds
+};
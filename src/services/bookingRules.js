@@ -0,0 +1,134 @@
+const Booking = require('../models/Booking');
+const GroupSession = require('../models/GroupSession');
+const { rules: platformRules } = require('../config/booking');
+const { toZonedDateTime } = require('../utils/timezone');
+const { createError } = require('../utils/httpError');
+
+const RULE_KEYS = Object.keys(platformRules);
+
+// Longest buffer either side of a session, used to widen searches for
+// neighbouring bookings
+const MAX_BUFFER_MINUTES = 240;
+
+const HOUR_MS = 60 * 60000;
+const DAY_MS = 24 * HOUR_MS;
+
+// The scheduling rules that apply to a consultant's bookings
+const getEffectiveRules = (consultant) => {
+  const own = (consultant && consultant.bookingRules) || {};
+  return RULE_KEYS.reduce((rules, key) => {
+    rules[key] = own[key] ?? platformRules[key];
+    return rules;
+  }, {});
+};
+
+// Earliest and latest start a session can be booked for right now
+const getBookingWindow = (rules, now = new Date()) => ({
+  earliest: new Date(now.getTime() + rules.minNoticeHours * HOUR_MS),
+  latest: new Date(now.getTime() + rules.maxDaysAhead * DAY_MS)
+});
+
+const activeBookings = (consultant, start, end, excludeBookingId) => {
+  const query = {
+    consultant: consultant._id,
+    status: { $nin: ['cancelled', 'no-show', 'expired'] },
+    startAt: { $lt: end },
+    endAt: { $gt: start }
+  };
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+  return Booking.find(query).select('startAt endAt buffer');
+};
+
+const scheduledGroupSessions = (consultant, start, end) => GroupSession.find({
+  consultant: consultant._id,
+  status: 'scheduled',
+  startAt: { $lt: end },
+  endAt: { $gt: start }
+}).select('startAt endAt');
+
+// Time around a consultant's bookings and group sessions in which a new
+// session cannot take place. Each booking's own buffers are widened by the
+// buffers the new session needs, so a session is allowed exactly when it
+// falls outside them.
+const getBusyIntervals = async (consultant, start, end, rules, excludeBookingId = null) => {
+  const margin = 2 * MAX_BUFFER_MINUTES * 60000;
+  const bookings = await activeBookings(
+    consultant,
+    new Date(start.getTime() - margin),
+    new Date(end.getTime() + margin),
+    excludeBookingId
+  );
+
+  // Group sessions hold the consultant's current buffers around them
+  const groupSessions = await scheduledGroupSessions(
+    consultant,
+    new Date(start.getTime() - margin),
+    new Date(end.getTime() + margin)
+  );
+  const intervals = [
+    ...bookings.map(booking => booking.getTimeInterval()),
+    ...groupSessions.map(session => ({
+      start: new Date(session.startAt.getTime() - rules.bufferBeforeMinutes * 60000),
+      end: new Date(session.endAt.getTime() + rules.bufferAfterMinutes * 60000)
+    }))
+  ];
+
+  return intervals.map(interval => ({
+    start: new Date(interval.start.getTime() - rules.bufferAfterMinutes * 60000),
+    end: new Date(interval.end.getTime() + rules.bufferBeforeMinutes * 60000)
+  }));
+};
+
+// Number of sessions per calendar day in the consultant's time zone, for
+// days touching a time range
+const getSessionCounts = async (consultant, start, end, excludeBookingId = null) => {
+  const bookings = await activeBookings(
+    consultant,
+    new Date(start.getTime() - DAY_MS),
+    new Date(end.getTime() + DAY_MS),
+    excludeBookingId
+  );
+
+  return bookings.reduce((counts, booking) => {
+    const day = toZonedDateTime(booking.startAt, consultant.timeZone).date;
+    counts[day] = (counts[day] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+// Throw unless a session in the time range follows the consultant's
+// scheduling rules: notice, horizon, buffers and daily limit
+const assertBookingRules = async (consultant, start, end, { excludeBookingId = null, now = new Date() } = {}) => {
+  const rules = getEffectiveRules(consultant);
+  const { earliest, latest } = getBookingWindow(rules, now);
+
+  if (start < earliest) {
+    throw createError(400, `Sessions must be booked at least ${rules.minNoticeHours} hours in advance`);
+  }
+  if (start > latest) {
+    throw createError(400, `Sessions can be booked at most ${rules.maxDaysAhead} days in advance`);
+  }
+
+  const busy = await getBusyIntervals(consultant, start, end, rules, excludeBookingId);
+  if (busy.some(interval => interval.start < end && interval.end > start)) {
+    throw createError(409, 'This time is too close to another of the consultant\'s sessions');
+  }
+
+  if (rules.maxSessionsPerDay > 0) {
+    const day = toZonedDateTime(start, consultant.timeZone).date;
+    const counts = await getSessionCounts(consultant, start, end, excludeBookingId);
+    if ((counts[day] || 0) >= rules.maxSessionsPerDay) {
+      throw createError(409, 'The consultant has no more sessions available on this day');
+    }
+  }
+};
+
+module.exports = {
+  getEffectiveRules,
+  getBookingWindow,
+  getBusyIntervals,
+  getSessionCounts,
+  assertBookingRules
+};
@@ -0,0 +1,75 @@
+const Booking = require('../models/Booking');
+const SlotReservation = require('../models/SlotReservation');
+const BusyBlock = require('../models/BusyBlock');
+const GroupSession = require('../models/GroupSession');
+const { assertBookingRules } = require('./bookingRules');
+const { assertLocationOpen } = require('./locations');
+const { zonedTimeToUtc } = require('../utils/timezone');
+const { createError } = require('../utils/httpError');
+
+// Start instant from request input: either an absolute `startAt`, or a
+// wall-clock `date` and `startTime` in `timeZone` (or the fallback zone)
+const resolveStart = ({ startAt, date, startTime, timeZone }, fallbackTimeZone) => {
+  if (startAt) return new Date(startAt);
+  return zonedTimeToUtc(date, startTime, timeZone || fallbackTimeZone);
+};
+
+// Throw unless the consultant can take a session in the time range, at the
+// given location for in-person sessions
+const assertSlotAvailable = async (consultant, start, end, excludeBookingId = null, location = null) => {
+  // Time off and date-specific hours take precedence over the weekly schedule
+  if (!consultant.isAvailableAt(start, end)) {
+    throw createError(400, 'The consultant is not available at this time');
+  }
+
+  if (location) {
+    await assertLocationOpen(consultant, location, start, end);
+  }
+
+  // Appointments from the consultant's imported calendars
+  const blocks = await BusyBlock.findOverlapping(consultant._id, start, end);
+  if (blocks.length > 0) {
+    throw createError(409, 'The consultant is busy at this time');
+  }
+
+  const groupSession = await GroupSession.exists({
+    consultant: consultant._id,
+    status: 'scheduled',
+    startAt: { $lt: end },
+    endAt: { $gt: start }
+  });
+  if (groupSession) {
+    throw createError(409, 'The consultant is running a group session at this time');
+  }
+
+  // Reject overlapping bookings up front with a readable error
+  const conflict = await Booking.checkConflict(consultant._id, start, end, excludeBookingId);
+  if (conflict) {
+    throw createError(409, 'The consultant already has a booking at this time');
+  }
+
+  await assertBookingRules(consultant, start, end, { excludeBookingId });
+};
+
+// Atomically reserve the booking's time range, buffers included (or move its
+// reservation to it), so concurrent requests for an overlapping time cannot
+// both succeed
+const reserveSlot = async (booking) => {
+  const interval = booking.getTimeInterval();
+  const reserved = await SlotReservation.reserve(booking.consultant, booking._id, interval.start, interval.end);
+  if (!reserved) {
+    throw createError(409, 'The consultant already has a booking at this time');
+  }
+};
+
+// Give up the booking's time range
+const releaseSlot = async (booking) => {
+  await SlotReservation.release(booking._id);
+};
+
+module.exports = {
+  resolveStart,
+  assertSlotAvailable,
+  reserveSlot,
+  releaseSlot
+};
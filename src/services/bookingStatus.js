@@ -0,0 +1,197 @@
+const Booking = require('../models/Booking');
+const { reserveSlot, releaseSlot } = require('./bookingSlots');
+const { calculateCancellation } = require('./cancellation');
+const { offerFreedBooking } = require('./waitlist');
+const { shouldReturnCredit, returnCredit } = require('./packages');
+const { needsMeeting, hasOpenMeeting, createMeetingLink, revokeMeetingLink } = require('./meetings');
+const { settleReleasedBooking } = require('./paymentRefunds');
+const { recordCreditUse } = require('./ledger');
+const { releasePromotion } = require('./promotions');
+const { createError } = require('../utils/httpError');
+
+// Every allowed status change, and which parties may make it. Admins may make
+// any change in this table; anything else requires an explicit override.
+const TRANSITIONS = {
+  // The system confirms bookings once their payment succeeds
+  pending: {
+    confirmed: ['consultant', 'admin', 'system'],
+    cancelled: ['client', 'consultant', 'admin'],
+    expired: ['system']
+  },
+  confirmed: {
+    completed: ['consultant', 'admin', 'system'],
+    cancelled: ['client', 'consultant', 'admin'],
+    'no-show': ['consultant', 'admin']
+  },
+  // Only within the no-show window of an automatically completed booking
+  completed: {
+    'no-show': ['consultant', 'admin']
+  },
+  cancelled: {},
+  'no-show': {},
+  expired: {}
+};
+
+// Statuses in which a booking no longer holds its time slot
+const RELEASED_STATUSES = ['cancelled', 'no-show', 'expired'];
+
+// Statuses that can only be reached once the session has started
+const AFTER_START_STATUSES = ['completed', 'no-show'];
+
+const canTransition = (from, to, role) => {
+  const allowedRoles = (TRANSITIONS[from] || {})[to];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+// Change a booking's status through the transition table and record the
+// change in its status history. `override` (admins only) allows changes the
+// table does not, and is flagged in the history entry.
+const changeStatus = async (booking, to, { actor, role, reason, override = false }) => {
+  const from = booking.status;
+  const isOverride = role === 'admin' && override && !canTransition(from, to, role);
+
+  if (from === to) {
+    throw createError(400, `Booking is already ${to}`);
+  }
+
+  if (!isOverride) {
+    if (!canTransition(from, to, role)) {
+      throw createError(409, `Booking status cannot change from ${from} to ${to}`);
+    }
+    if (AFTER_START_STATUSES.includes(to) && booking.startAt > new Date()) {
+      throw createError(409, `A booking cannot be marked ${to} before it starts`);
+    }
+    if (to === 'confirmed' && booking.hold && booking.hold.expiresAt <= new Date()) {
+      throw createError(409, 'The booking was not confirmed in time and has expired');
+    }
+    if (to === 'confirmed' && ['unpaid', 'pending'].includes(booking.paymentStatus)) {
+      throw createError(409, 'The booking is confirmed once its payment has gone through');
+    }
+    if (from === 'completed' && !(booking.noShowDeadline && booking.noShowDeadline > new Date())) {
+      throw createError(409, 'The time to report a no-show for this booking has passed');
+    }
+  }
+
+  // A booking coming back from a released status has to win its slot back
+  const reactivating = RELEASED_STATUSES.includes(from) && !RELEASED_STATUSES.includes(to);
+  if (reactivating) {
+    const conflict = await Booking.checkConflict(booking.consultant, booking.startAt, booking.endAt, booking._id);
+    if (conflict) {
+      throw createError(409, 'The consultant already has a booking at this time');
+    }
+    await reserveSlot(booking);
+  }
+
+  const now = new Date();
+  booking.status = to;
+  if (to === 'completed') {
+    booking.completedAt = now;
+  }
+  if (to === 'cancelled') {
+    booking.cancelledAt = now;
+    booking.cancelledBy = role === 'system' ? 'admin' : role;
+    if (reason) {
+      booking.cancellationReason = reason;
+    }
+    booking.cancellation = calculateCancellation(booking, { role, now });
+  }
+  if (to === 'expired') {
+    booking.expiredAt = now;
+    booking.expirationReason = reason;
+  }
+  if (to === 'no-show') {
+    booking.cancellation = calculateCancellation(booking, { role, noShow: true, now });
+  }
+
+  booking.statusHistory.push({
+    from,
+    to,
+    actor,
+    role,
+    reason,
+    override: isOverride,
+    changedAt: now
+  });
+
+  try {
+    await booking.save();
+  } catch (error) {
+    if (reactivating) {
+      await releaseSlot(booking);
+    }
+    throw error;
+  }
+
+  if (RELEASED_STATUSES.includes(to)) {
+    await releaseSlot(booking);
+  }
+
+  // Open a join link for confirmed online sessions and close it when the
+  // slot is released. A failure here is only logged; the consultant can ask
+  // for a new link.
+  try {
+    if (needsMeeting(booking) && !hasOpenMeeting(booking)) {
+      await createMeetingLink(booking, now);
+    } else if (RELEASED_STATUSES.includes(to)) {
+      await revokeMeetingLink(booking, now);
+    }
+  } catch (error) {
+    console.error('Meeting link update failed:', error);
+  }
+
+  // Abandon open checkouts and refund what the cancellation terms give back
+  if (RELEASED_STATUSES.includes(to)) {
+    try {
+      await settleReleasedBooking(booking, now);
+    } catch (error) {
+      console.error('Payment settlement failed:', error);
+    }
+  }
+
+  // Return the package credit of a booking released within policy, again
+  // only logging a failure
+  if (shouldReturnCredit(booking)) {
+    try {
+      await returnCredit(booking, `Booking ${to}`, now);
+    } catch (error) {
+      console.error('Package credit return failed:', error);
+    }
+  }
+
+  // A cancelled or expired booking gives its promo code use back
+  if (['cancelled', 'expired'].includes(to)) {
+    try {
+      await releasePromotion(booking);
+    } catch (error) {
+      console.error('Promo code release failed:', error);
+    }
+  }
+
+  // A credit that is not given back counts towards the consultant's earnings
+  if (booking.packagePurchase && ['completed', 'no-show', 'cancelled'].includes(to) && !shouldReturnCredit(booking)) {
+    try {
+      await recordCreditUse(booking, now);
+    } catch (error) {
+      console.error('Ledger posting for package credit failed:', error);
+    }
+  }
+
+  // Give the freed time to the waitlist. The status change itself has already
+  // succeeded, so a failure here is only logged.
+  if (RELEASED_STATUSES.includes(to) && booking.startAt > now) {
+    try {
+      await offerFreedBooking(booking, now);
+    } catch (error) {
+      console.error('Waitlist offer failed:', error);
+    }
+  }
+
+  return booking;
+};
+
+module.exports = {
+  TRANSITIONS,
+  RELEASED_STATUSES,
+  canTransition,
+  changeStatus
+};
@@ -0,0 +1,110 @@
+const Booking = require('../models/Booking');
+const { calculateQuote } = require('./pricing');
+const { getEffectivePolicy } = require('./cancellation');
+const { getEffectiveRules } = require('./bookingRules');
+const { assertSlotAvailable, reserveSlot, releaseSlot } = require('./bookingSlots');
+const { applyCredit, redeemCredit, undoRedeem } = require('./packages');
+const { quoteInCurrency } = require('./exchangeRates');
+const { applyPromotion, redeemPromotion, releasePromotion } = require('./promotions');
+const { createError } = require('../utils/httpError');
+
+// Build a validated, unsaved booking for a client with a consultant. The price
+// is computed here and the slot is checked against availability, other
+// bookings and the consultant's scheduling rules. `client` is the requesting
+// user document; `packagePurchase`, when given, is a purchase whose credit
+// pays for the session. In-person sessions take place at one of the
+// consultant's `location`s. The client is charged in `currency`, by default
+// the consultant's own. `promotion` is a promo code already checked to apply.
+const buildBooking = async ({ client, consultant, category, startAt, duration, meetingType = 'video', location, notes, series, seriesIndex, packagePurchase, currency, promotion }) => {
+  if (meetingType === 'in-person' && !location) {
+    throw createError(400, 'In-person bookings need one of the consultant\'s locations');
+  }
+  if (meetingType !== 'in-person' && location) {
+    throw createError(400, 'Only in-person bookings take place at a location');
+  }
+  if (packagePurchase && promotion) {
+    throw createError(400, 'Promo codes cannot be used on sessions paid with a package credit');
+  }
+
+  const endAt = new Date(startAt.getTime() + duration * 60000);
+  await assertSlotAvailable(consultant, startAt, endAt, null, location);
+
+  let quote = calculateQuote(consultant, { duration, meetingType });
+  if (packagePurchase) {
+    quote = applyCredit(quote, packagePurchase);
+  }
+  if (promotion) {
+    quote = await applyPromotion(quote, promotion);
+  }
+  quote = await quoteInCurrency(quote, currency);
+  const discount = quote.items.find(item => item.type === 'promotion');
+  const rules = getEffectiveRules(consultant);
+
+  const booking = new Booking({
+    client: client._id,
+    consultant: consultant._id,
+    category,
+    startAt,
+    timeZone: consultant.timeZone,
+    duration,
+    meetingType,
+    location,
+    notes,
+    totalAmount: quote.total,
+    pricing: quote,
+    cancellationPolicy: getEffectivePolicy(consultant),
+    buffer: {
+      before: rules.bufferBeforeMinutes,
+      after: rules.bufferAfterMinutes
+    },
+    series,
+    seriesIndex,
+    packagePurchase: packagePurchase?._id,
+    promotion: promotion
+      ? { promotion: promotion._id, code: promotion.code, discount: -discount.amount }
+      : undefined,
+    statusHistory: [{
+      to: 'pending',
+      actor: client._id,
+      role: 'client'
+    }]
+  });
+
+  // The remaining time fields are derived during validation
+  await booking.validate();
+  return booking;
+};
+
+// Reserve the booking's slot, take its package credit or count its promo
+// code if it has one, and save it
+const saveNewBooking = async (booking) => {
+  await reserveSlot(booking);
+  try {
+    if (booking.packagePurchase) {
+      await redeemCredit(booking);
+    }
+    if (booking.promotion && booking.promotion.promotion) {
+      await redeemPromotion(booking);
+    }
+  } catch (error) {
+    await releaseSlot(booking);
+    throw error;
+  }
+
+  try {
+    await booking.save();
+  } catch (error) {
+    await releaseSlot(booking);
+    if (booking.packagePurchase) {
+      await undoRedeem(booking);
+    }
+    await releasePromotion(booking);
+    throw error;
+  }
+  return booking;
+};
+
+module.exports = {
+  buildBooking,
+  saveNewBooking
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Consultant = require('../models/Consultant');
+const User = require('../models/User');
+const { buildCalendar } = require('../utils/ical');
+const { canSeeFullAddress } = require('./locations');
+const config = require('../config/calendar');
+
+// Calendar event status for each booking status
+const EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  'no-show': 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  expired: 'CANCELLED'
+};
+
+// Populate what the events need: both parties' names, the category, the
+// location and the join link, which only the booking's parties and admins
+// get to see
+const populateForCalendar = (query) => query
+  .select('+meetingLink')
+  .populate('location')
+  .populate('client', 'firstName lastName')
+  .populate({ path: 'consultant', select: 'user', populate: { path: 'user', select: 'firstName lastName' } })
+  .populate('category', 'name');
+
+const fullName = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : null);
+
+// Where the session takes place, as far as the viewer may know it
+const eventLocation = (booking, role) => {
+  const place = booking.location;
+  if (place && place.formatAddress) {
+    return canSeeFullAddress(booking, role)
+      ? `${place.name}, ${place.formatAddress()}`
+      : `${place.name}, ${place.address.city}`;
+  }
+  return booking.legacyLocation || booking.meetingLink;
+};
+
+// Calendar event for a booking, titled from the viewer's side ('client',
+// 'consultant' or 'admin'). The UID never changes and the sequence grows with
+// every status change and reschedule, so calendar apps update the existing
+// event instead of adding a new one.
+const bookingToEvent = (booking, role) => {
+  const clientName = fullName(booking.client);
+  const consultantName = fullName(booking.consultant && booking.consultant.user);
+  const other = role === 'client' ? consultantName : role === 'consultant' ? clientName : null;
+  const topic = booking.category && booking.category.name ? `${booking.category.name} session` : 'Session';
+
+  let summary = other ? `${topic} with ${other}` : topic;
+  if (role === 'admin' && clientName && consultantName) {
+    summary = `${topic}: ${clientName} with ${consultantName}`;
+  }
+
+  const description = [`Meeting type: ${booking.meetingType}`];
+  if (booking.meetingLink) description.push(`Join: ${booking.meetingLink}`);
+  if (booking.location && booking.location.accessInstructions && canSeeFullAddress(booking, role)) {
+    description.push(`Getting there: ${booking.location.accessInstructions}`);
+  }
+  if (booking.status === 'pending') description.push('Waiting for the consultant to confirm');
+  if (booking.cancellationReason) description.push(`Cancelled: ${booking.cancellationReason}`);
+  if (booking.expirationReason) description.push(`Expired: ${booking.expirationReason}`);
+
+  return {
+    uid: `booking-${booking._id}@${config.uidDomain}`,
+    sequence: booking.statusHistory.length + booking.rescheduleHistory.length,
+    stamp: new Date(),
+    lastModified: booking.updatedAt,
+    start: booking.startAt,
+    end: booking.endAt,
+    summary,
+    description: description.join('\n'),
+    location: eventLocation(booking, role),
+    url: booking.meetingLink,
+    status: EVENT_STATUS[booking.status]
+  };
+};
+
+// Calendar holding a single booking, for download
+const buildBookingCalendar = (booking, role) => buildCalendar({
+  productId: config.productId,
+  method: 'PUBLISH',
+  events: [bookingToEvent(booking, role)]
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Give the user a new feed token, replacing any earlier one. Only a hash is
+// stored, so the token is returned this once.
+const createFeedToken = async (user) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  user.calendarFeed = { tokenHash: hashToken(token), createdAt: new Date() };
+  await user.save();
+  return token;
+};
+
+const revokeFeedToken = async (user) => {
+  user.calendarFeed = undefined;
+  await user.save();
+};
+
+const findUserByFeedToken = (token) => User.findOne({
+  'calendarFeed.tokenHash': hashToken(token),
+  isActive: true
+});
+
+// Feed of the user's bookings, as a client and as a consultant, from a few
+// days back onwards so recent changes still reach subscribed calendars
+const buildUserFeed = async (user, now = new Date()) => {
+  const parties = [{ client: user._id }];
+  const consultant = await Consultant.findOne({ user: user._id }).select('_id');
+  if (consultant) parties.push({ consultant: consultant._id });
+
+  const bookings = await populateForCalendar(Booking.find({
+    $or: parties,
+    endAt: { $gte: new Date(now.getTime() - config.feedPastDays * 24 * 60 * 60000) }
+  }).sort({ startAt: 1 }));
+
+  return buildCalendar({
+    productId: config.productId,
+    name: 'Zentro sessions',
+    events: bookings.map(booking => bookingToEvent(
+      booking,
+      booking.client && booking.client._id.toString() === user._id.toString() ? 'client' : 'consultant'
+    ))
+  });
+};
+
+module.exports = {
+  populateForCalendar,
+  bookingToEvent,
+  buildBookingCalendar,
+  createFeedToken,
+  revokeFeedToken,
+  findUserByFeedToken,
+  buildUserFeed
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const BusyBlock = require('../models/BusyBlock');
+const Consultant = require('../models/Consultant');
+const ExternalCalendar = require('../models/ExternalCalendar');
+const { extractBusyRanges } = require('../utils/icalParser');
+const { fetchPublicText } = require('../utils/publicFetch');
+const { imports: policy } = require('../config/calendar');
+const { createError } = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60000;
+
+// Whether a feed source is something this server may read. Local files are
+// only allowed inside the configured import directory.
+const resolveLocalPath = (source) => {
+  if (!policy.localDirectory) return null;
+  const root = path.resolve(policy.localDirectory);
+  const file = path.resolve(root, source.replace(/^file:\/\//, ''));
+  return file.startsWith(root + path.sep) ? file : null;
+};
+
+const isReadableSource = (source) => /^https?:\/\//i.test(source) || resolveLocalPath(source) !== null;
+
+// Read a feed's calendar text from its URL or local file. URLs may only
+// lead to public addresses.
+const readSource = async (source) => {
+  if (/^https?:\/\//i.test(source)) {
+    return fetchPublicText(source, { maxBytes: policy.maxBytes, timeoutMs: policy.fetchTimeoutMs });
+  }
+
+  const file = resolveLocalPath(source);
+  if (!file) {
+    throw createError(400, 'Calendar feed source is not allowed');
+  }
+  return fs.promises.readFile(file, 'utf8');
+};
+
+// Replace a calendar's busy blocks with the events in `text`. New blocks are
+// written before the old ones are removed, so the consultant is never shown
+// as free in between.
+const importCalendar = async (calendar, text, now = new Date()) => {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw createError(400, 'The file is not an iCalendar file');
+  }
+
+  const consultant = await Consultant.findById(calendar.consultant).select('timeZone');
+  const ranges = extractBusyRanges(text, {
+    timeZone: consultant.timeZone,
+    from: new Date(now.getTime() - DAY_MS),
+    to: new Date(now.getTime() + policy.horizonDays * DAY_MS)
+  });
+
+  const importId = new mongoose.Types.ObjectId();
+  await BusyBlock.insertMany(ranges.map(range => ({
+    consultant: calendar.consultant,
+    calendar: calendar._id,
+    importId,
+    start: range.start,
+    end: range.end,
+    allDay: range.allDay
+  })));
+  await BusyBlock.deleteMany({ calendar: calendar._id, importId: { $ne: importId } });
+
+  calendar.lastImportedAt = now;
+  calendar.lastImportError = undefined;
+  calendar.blockCount = ranges.length;
+  await calendar.save();
+
+  return calendar;
+};
+
+// Read a feed again and replace its blocks. Failures are kept on the
+// calendar so the consultant can see them; the previous blocks stay.
+const syncFeed = async (calendar, now = new Date()) => {
+  try {
+    return await importCalendar(calendar, await readSource(calendar.source), now);
+  } catch (error) {
+    calendar.lastImportError = error.message;
+    await calendar.save();
+    throw error;
+  }
+};
+
+// Sync every feed, for the scheduled job
+const syncAllFeeds = async (now = new Date()) => {
+  const feeds = await ExternalCalendar.find({ type: 'feed' });
+  let synced = 0;
+  for (const feed of feeds) {
+    try {
+      await syncFeed(feed, now);
+      synced++;
+    } catch (error) {
+      console.error(`Could not sync calendar ${feed._id}:`, error.message);
+    }
+  }
+  return { synced, failed: feeds.length - synced };
+};
+
+const removeCalendar = async (calendar) => {
+  await BusyBlock.deleteMany({ calendar: calendar._id });
+  await calendar.deleteOne();
+};
+
+module.exports = {
+  isReadableSource,
+  importCalendar,
+  syncFeed,
+  syncAllFeeds,
+  removeCalendar
+};
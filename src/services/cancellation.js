@@ -0,0 +1,81 @@
+const { cancellation: platformPolicy } = require('../config/booking');
+const { roundAmount } = require('./pricing');
+
+// Plain copy of a policy with its tiers ordered from earliest to latest
+const normalizePolicy = (policy) => ({
+  tiers: policy.tiers
+    .map(tier => ({ hoursBefore: tier.hoursBefore, feePercent: tier.feePercent }))
+    .sort((a, b) => b.hoursBefore - a.hoursBefore),
+  noShowFeePercent: policy.noShowFeePercent
+});
+
+// The policy that applies to a consultant's bookings
+const getEffectivePolicy = (consultant) => {
+  const own = consultant && consultant.cancellationPolicy;
+  if (own && own.tiers && own.tiers.length > 0) {
+    return {
+      ...normalizePolicy({
+        tiers: own.tiers,
+        noShowFeePercent: own.noShowFeePercent ?? platformPolicy.noShowFeePercent
+      }),
+      source: 'consultant'
+    };
+  }
+  return { ...normalizePolicy(platformPolicy), source: 'platform' };
+};
+
+// Human readable terms of a policy, one sentence per tier
+const describePolicy = (policy) => {
+  const { tiers, noShowFeePercent } = normalizePolicy(policy);
+  const feeText = (percent) => (percent === 0 ? 'free cancellation' : percent >= 100 ? 'no refund' : `${percent}% fee`);
+
+  const terms = tiers.map((tier, index) => {
+    const fee = feeText(tier.feePercent);
+    if (index === 0) {
+      return tier.hoursBefore === 0
+        ? `Cancelling before the session: ${fee}`
+        : `Cancelling ${tier.hoursBefore} hours or more before the session: ${fee}`;
+    }
+    const previous = tiers[index - 1].hoursBefore;
+    // The latest tier also covers everything after it
+    return index === tiers.length - 1
+      ? `Cancelling less than ${previous} hours before the session: ${fee}`
+      : `Cancelling between ${tier.hoursBefore} and ${previous} hours before the session: ${fee}`;
+  });
+  terms.push(`Missed sessions (no-show): ${feeText(noShowFeePercent)}`);
+
+  return terms;
+};
+
+// Fee and refund for cancelling a booking now, or for a no-show. Only clients
+// pay cancellation fees; cancellations by consultants or admins are refunded.
+const calculateCancellation = (booking, { role, noShow = false, now = new Date() }) => {
+  const policy = booking.cancellationPolicy && booking.cancellationPolicy.tiers && booking.cancellationPolicy.tiers.length > 0
+    ? normalizePolicy(booking.cancellationPolicy)
+    : normalizePolicy(platformPolicy);
+  const hoursBeforeStart = roundAmount((booking.startAt.getTime() - now.getTime()) / (60 * 60 * 1000));
+
+  let feePercent = 0;
+  if (noShow || (role === 'client' && hoursBeforeStart < 0)) {
+    feePercent = policy.noShowFeePercent;
+  } else if (role === 'client') {
+    const tier = policy.tiers.find(candidate => hoursBeforeStart >= candidate.hoursBefore);
+    feePercent = tier ? tier.feePercent : policy.tiers[policy.tiers.length - 1].feePercent;
+  }
+
+  const feeAmount = roundAmount((booking.totalAmount * feePercent) / 100);
+
+  return {
+    hoursBeforeStart,
+    feePercent,
+    feeAmount,
+    refundAmount: roundAmount(booking.totalAmount - feeAmount),
+    calculatedAt: now
+  };
+};
+
+module.exports = {
+  getEffectivePolicy,
+  describePolicy,
+  calculateCancellation
+};
@@ -0,0 +1,102 @@
+const Consultant = require('../models/Consultant');
+const ExchangeRate = require('../models/ExchangeRate');
+const Package = require('../models/Package');
+const Service = require('../models/Service');
+const { roundAmount } = require('./pricing');
+const { createError } = require('../utils/httpError');
+const { currency: baseCurrency } = require('../config/pricing');
+
+// Every rate against the base currency, keyed by currency code
+const getRates = async () => {
+  const rates = await ExchangeRate.find().select('currency rate');
+  return Object.fromEntries([[baseCurrency, 1], ...rates.map(entry => [entry.currency, entry.rate])]);
+};
+
+const rateFor = (rates, currency) => {
+  const rate = rates[currency];
+  if (!rate) {
+    throw createError(400, `No exchange rate is set for ${currency}`);
+  }
+  return rate;
+};
+
+// Units of `to` one unit of `from` buys
+const crossRate = (rates, from, to) => (from === to ? 1 : rateFor(rates, to) / rateFor(rates, from));
+
+// Convert an amount between currencies, rounded to cents
+const convert = (rates, amount, from, to) => roundAmount(amount * crossRate(rates, from, to));
+
+// Price shown to a viewer who asked for another currency, or undefined when
+// they did not. `rates` is loaded by the caller so lists convert with one
+// query.
+const displayAmount = (rates, amount, from, to) => (to ? { amount: convert(rates, amount, from, to), currency: to } : undefined);
+
+// A quote, worked out in the consultant's currency, charged in `currency`.
+// Every amount is converted at the same rate, which is kept on the quote
+// along with the native amounts.
+const quoteInCurrency = async (quote, currency = quote.currency) => {
+  const native = { currency: quote.currency, subtotal: quote.subtotal, total: quote.total };
+  if (currency === quote.currency) {
+    return { ...quote, exchangeRate: 1, native };
+  }
+
+  const exchangeRate = crossRate(await getRates(), quote.currency, currency);
+  const items = quote.items.map(item => ({ ...item, amount: roundAmount(item.amount * exchangeRate) }));
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+  return {
+    ...quote,
+    currency,
+    items,
+    subtotal,
+    total: Math.max(0, subtotal),
+    exchangeRate,
+    native
+  };
+};
+
+// Set the rate for a currency. Consultants charging in it are re-ranked
+// against the others at the new rate.
+const setRate = async (currency, rate, actor) => {
+  if (currency === baseCurrency) {
+    throw createError(400, `${baseCurrency} is the base currency and always has a rate of 1`);
+  }
+
+  const exchangeRate = await ExchangeRate.findOneAndUpdate(
+    { currency },
+    { rate, updatedBy: actor },
+    { new: true, upsert: true, runValidators: true }
+  );
+  await Consultant.updateMany(
+    { currency },
+    [{ $set: { baseHourlyRate: { $round: [{ $divide: ['$hourlyRate', rate] }, 2] } } }]
+  );
+  return exchangeRate;
+};
+
+// Remove a currency's rate, as long as no prices are set in it
+const removeRate = async (currency) => {
+  const [consultant, pkg, service] = await Promise.all([
+    Consultant.exists({ currency }),
+    Package.exists({ currency, isActive: true }),
+    Service.exists({ currency })
+  ]);
+  if (consultant || pkg || service) {
+    throw createError(409, `Prices are still set in ${currency}`);
+  }
+
+  const removed = await ExchangeRate.findOneAndDelete({ currency });
+  if (!removed) {
+    throw createError(404, `No exchange rate is set for ${currency}`);
+  }
+  return removed;
+};
+
+module.exports = {
+  getRates,
+  setRate,
+  removeRate,
+  convert,
+  displayAmount,
+  quoteInCurrency
+};
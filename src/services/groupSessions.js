@@ -0,0 +1,226 @@
+const GroupSession = require('../models/GroupSession');
+const GroupSeat = require('../models/GroupSeat');
+const SlotReservation = require('../models/SlotReservation');
+const { assertSlotAvailable } = require('./bookingSlots');
+const { getEffectiveRules } = require('./bookingRules');
+const { settleReleasedSeat } = require('./paymentRefunds');
+const { assertPaymentsEnabled } = require('./paymentGateways');
+const { holds } = require('../config/booking');
+const { createError } = require('../utils/httpError');
+
+// Hold the consultant's time for the session, buffers included, the same way
+// bookings hold theirs
+const reserveSessionTime = async (session, consultant) => {
+  const rules = getEffectiveRules(consultant);
+  const reserved = await SlotReservation.reserve(
+    consultant._id,
+    session._id,
+    new Date(session.startAt.getTime() - rules.bufferBeforeMinutes * 60000),
+    new Date(session.endAt.getTime() + rules.bufferAfterMinutes * 60000)
+  );
+  if (!reserved) {
+    throw createError(409, 'The consultant already has a booking at this time');
+  }
+};
+
+// Publish a new group session for a consultant. Its time is checked and held
+// like a booking's, so one-to-one bookings cannot overlap it.
+const publishSession = async (consultant, fields) => {
+  const session = new GroupSession({
+    ...fields,
+    consultant: consultant._id,
+    timeZone: consultant.timeZone,
+    currency: consultant.currency
+  });
+  await session.validate();
+  await assertSlotAvailable(consultant, session.startAt, session.endAt);
+
+  await reserveSessionTime(session, consultant);
+  try {
+    await session.save();
+  } catch (error) {
+    await SlotReservation.release(session._id);
+    throw error;
+  }
+  return session;
+};
+
+// Give a seat back to the session's pool
+const freeSeat = (sessionId) => GroupSession.updateOne(
+  { _id: sessionId, seatsTaken: { $gt: 0 } },
+  { $inc: { seatsTaken: -1 } }
+);
+
+// Give up a pending or reserved seat, freeing it for others. Only the first
+// caller releases a given seat. Checkouts still open are abandoned and what
+// was paid is refunded; a failed refund is only logged, as the seat is gone.
+const releaseSeat = async (seat, by, reason, now = new Date()) => {
+  const released = await GroupSeat.findOneAndUpdate(
+    { _id: seat._id, status: { $in: ['pending', 'reserved'] } },
+    { status: 'cancelled', cancelledAt: now, cancelledBy: by, $unset: { holdExpiresAt: 1 } },
+    { new: true }
+  );
+  if (!released) return null;
+
+  await freeSeat(released.session);
+  if (released.paymentStatus !== 'not-required') {
+    try {
+      await settleReleasedSeat(released, reason, now);
+    } catch (error) {
+      console.error(`Payments for group seat ${released._id} could not be settled:`, error);
+    }
+  }
+  return GroupSeat.findById(released._id);
+};
+
+// Reserve a seat for a client. The seat count is taken with a single
+// conditional increment, so concurrent reservations can never overfill the
+// session; a client's second seat is refused by the unique seat index.
+// Seats with a price stay pending, holding their place, until paid for
+// (see startSeatCheckout); a client asking again gets their pending seat.
+const reserveSeat = async (session, client, now = new Date()) => {
+  if (session.status !== 'scheduled' || session.startAt <= now) {
+    throw createError(400, 'Seats can only be reserved for upcoming sessions');
+  }
+  // A priced seat could never be paid for
+  if (session.pricePerSeat > 0) {
+    assertPaymentsEnabled();
+  }
+
+  let existing = await GroupSeat.findOne({ session: session._id, client: client._id });
+  if (existing && existing.status === 'pending') {
+    if (existing.holdExpiresAt > now) return { session, seat: existing };
+    await releaseSeat(existing, 'system', 'Payment was not completed in time', now);
+    existing = await GroupSeat.findById(existing._id);
+  }
+  if (existing && existing.status === 'reserved') {
+    throw createError(409, 'You already have a seat in this session');
+  }
+
+  const taken = await GroupSession.findOneAndUpdate(
+    { _id: session._id, status: 'scheduled', $expr: { $lt: ['$seatsTaken', '$capacity'] } },
+    { $inc: { seatsTaken: 1 } },
+    { new: true }
+  );
+  if (!taken) {
+    throw createError(409, 'This session is fully booked');
+  }
+
+  const paid = session.pricePerSeat > 0;
+  const fields = {
+    status: paid ? 'pending' : 'reserved',
+    paymentStatus: paid ? 'unpaid' : 'not-required',
+    ...(paid && { holdExpiresAt: new Date(now.getTime() + holds.paymentMinutes * 60000) }),
+    price: session.pricePerSeat,
+    currency: session.currency,
+    attendance: 'unmarked',
+    reservedAt: now
+  };
+
+  let seat;
+  try {
+    if (existing) {
+      seat = await GroupSeat.findOneAndUpdate(
+        { _id: existing._id, status: 'cancelled' },
+        { ...fields, $unset: { cancelledAt: 1, cancelledBy: 1 } },
+        { new: true }
+      );
+    } else {
+      seat = await GroupSeat.create({ session: session._id, client: client._id, ...fields });
+    }
+    if (!seat) {
+      throw createError(409, 'You already have a seat in this session');
+    }
+  } catch (error) {
+    await freeSeat(session._id);
+    if (error.code === 11000) {
+      throw createError(409, 'You already have a seat in this session');
+    }
+    throw error;
+  }
+
+  // The session was cancelled between taking the seat and saving it, after
+  // the cancellation had already released the seats it found
+  if (!(await GroupSession.exists({ _id: session._id, status: 'scheduled' }))) {
+    await releaseSeat(seat, 'system', 'Group session cancelled', now);
+    throw createError(400, 'Seats can only be reserved for upcoming sessions');
+  }
+
+  return { session: taken, seat };
+};
+
+// Cancel a seat before the session starts, freeing it for others and
+// refunding what was paid for it
+const cancelSeat = async (session, seat, role, now = new Date()) => {
+  if (session.startAt <= now) {
+    throw createError(400, 'Seats cannot be cancelled once the session has started');
+  }
+
+  const cancelled = await releaseSeat(seat, role, 'Seat cancelled', now);
+  if (!cancelled) {
+    throw createError(409, 'This seat is already cancelled');
+  }
+  return cancelled;
+};
+
+// Give up pending seats that were not paid for in time
+const expireSeatHolds = async (now = new Date()) => {
+  const seats = await GroupSeat.find({ status: 'pending', holdExpiresAt: { $lte: now } });
+  let expired = 0;
+  for (const seat of seats) {
+    if (await releaseSeat(seat, 'system', 'Payment was not completed in time', now)) expired++;
+  }
+  return expired;
+};
+
+// Cancel the whole session with every seat in it, refund the seats, and free
+// the consultant's time. The status changes first, in a single conditional
+// update, so no seat can be taken once the seats are being released.
+const cancelSession = async (session, role, reason, now = new Date()) => {
+  const cancelled = await GroupSession.findOneAndUpdate(
+    { _id: session._id, status: 'scheduled' },
+    { status: 'cancelled', cancelledAt: now, cancellationReason: reason },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw createError(400, 'Only scheduled sessions can be cancelled');
+  }
+
+  const seats = await GroupSeat.find({ session: session._id, status: { $in: ['pending', 'reserved'] } });
+  for (const seat of seats) {
+    await releaseSeat(seat, role, 'Group session cancelled', now);
+  }
+  await SlotReservation.release(session._id);
+
+  return GroupSession.findById(session._id);
+};
+
+// Record whether a participant attended, once the session has started
+const markAttendance = async (session, clientId, attendance, now = new Date()) => {
+  if (session.status === 'cancelled') {
+    throw createError(400, 'Attendance cannot be marked for a cancelled session');
+  }
+  if (session.startAt > now) {
+    throw createError(409, 'Attendance can only be marked once the session has started');
+  }
+
+  const seat = await GroupSeat.findOneAndUpdate(
+    { session: session._id, client: clientId, status: 'reserved' },
+    { attendance, attendanceMarkedAt: now },
+    { new: true }
+  );
+  if (!seat) {
+    throw createError(404, 'This client has no seat in the session');
+  }
+  return seat;
+};
+
+module.exports = {
+  publishSession,
+  reserveSeat,
+  releaseSeat,
+  cancelSeat,
+  expireSeatHolds,
+  cancelSession,
+  markAttendance
+};
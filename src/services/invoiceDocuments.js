@@ -0,0 +1,144 @@
+const { buildPdf } = require('../utils/pdf');
+const { toZonedDateTime } = require('../utils/timezone');
+
+const money = (invoice, amount) => `${invoice.currency} ${(amount || 0).toFixed(2)}`;
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Dates are printed in the session's time zone
+const sessionDate = (invoice) => {
+  const { session } = invoice;
+  const start = toZonedDateTime(session.startAt, session.timeZone);
+  const end = toZonedDateTime(session.endAt, session.timeZone);
+  return `${start.date} ${start.time}-${end.time} (${session.timeZone})`;
+};
+
+const issueDate = (invoice) => toZonedDateTime(invoice.issuedAt, invoice.session.timeZone).date;
+
+// The party blocks, as label and lines
+const parties = (invoice) => [
+  ['From', [invoice.issuer.name, invoice.issuer.address, invoice.issuer.taxId && `Tax ID: ${invoice.issuer.taxId}`]],
+  ['Bill to', [invoice.billTo.name, invoice.billTo.email, invoice.billTo.phone]],
+  ['Consultant', [invoice.provider.name, invoice.provider.email]]
+].map(([label, lines]) => [label, lines.filter(Boolean)]);
+
+// Totals rows, as label and amount. Line items are priced with tax
+// included, so they add up to the first row; the tax share and the amount
+// net of tax follow.
+const totals = (invoice) => {
+  const rows = [
+    ['Total (incl. tax)', money(invoice, invoice.total)],
+    [`${invoice.taxLabel} included (${invoice.taxRate}%)`, money(invoice, invoice.taxAmount)],
+    ['Total excl. tax', money(invoice, invoice.subtotal)]
+  ];
+  if (invoice.total > 0) {
+    rows.push(['Paid', money(invoice, invoice.amountPaid)]);
+    rows.push(['Balance due', money(invoice, invoice.balanceDue)]);
+  }
+  return rows;
+};
+
+const title = (invoice) => (invoice.status === 'void' ? `Invoice ${invoice.number} (VOID)` : `Invoice ${invoice.number}`);
+
+// Standalone HTML page for an invoice
+const renderInvoiceHtml = (invoice) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title(invoice))}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 40px auto; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  .void { color: #b00020; }
+  .parties { display: flex; gap: 32px; margin: 24px 0; }
+  .parties div { flex: 1; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 6px 0; text-align: left; border-bottom: 1px solid #ddd; }
+  .amount { text-align: right; }
+  .totals td { border: none; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title(invoice))}</h1>
+${invoice.status === 'void' ? `<p class="void">Voided${invoice.voidReason ? `: ${escapeHtml(invoice.voidReason)}` : ''}</p>\n` : ''}<p>Issued ${escapeHtml(issueDate(invoice))}</p>
+<div class="parties">
+${parties(invoice).map(([label, lines]) => `  <div><strong>${escapeHtml(label)}</strong><br>${lines.map(escapeHtml).join('<br>')}</div>`).join('\n')}
+</div>
+<p>${escapeHtml(invoice.session.topic)}, ${escapeHtml(invoice.session.meetingType)}: ${escapeHtml(sessionDate(invoice))}</p>
+<table>
+  <thead><tr><th>Description</th><th class="amount">Qty</th><th class="amount">Unit price</th><th class="amount">Amount</th></tr></thead>
+  <tbody>
+${invoice.items.map(item => `    <tr><td>${escapeHtml(item.description)}</td><td class="amount">${item.quantity}</td><td class="amount">${escapeHtml(money(invoice, item.unitAmount))}</td><td class="amount">${escapeHtml(money(invoice, item.amount))}</td></tr>`).join('\n')}
+  </tbody>
+  <tfoot class="totals">
+${totals(invoice).map(([label, amount]) => `    <tr><td colspan="3" class="amount">${escapeHtml(label)}</td><td class="amount">${escapeHtml(amount)}</td></tr>`).join('\n')}
+  </tfoot>
+</table>
+</body>
+</html>
+`;
+
+// Single-page A4 PDF for an invoice
+const renderInvoicePdf = (invoice) => {
+  const left = 50;
+  const right = 545;
+  const elements = [];
+  let y = 60;
+
+  elements.push({ x: left, y, text: title(invoice), size: 20, bold: true });
+  y += 22;
+  elements.push({ x: left, y, text: `Issued ${issueDate(invoice)}` });
+  if (invoice.status === 'void') {
+    elements.push({ x: right, y, text: `VOID${invoice.voidReason ? `: ${invoice.voidReason}` : ''}`, bold: true, align: 'right' });
+  }
+
+  y += 36;
+  let deepest = y;
+  parties(invoice).forEach(([label, lines], index) => {
+    const x = left + index * 170;
+    elements.push({ x, y, text: label, bold: true });
+    lines.forEach((line, lineIndex) => {
+      elements.push({ x, y: y + 14 * (lineIndex + 1), text: line, size: 9 });
+    });
+    deepest = Math.max(deepest, y + 14 * lines.length);
+  });
+
+  y = deepest + 36;
+  elements.push({ x: left, y, text: `${invoice.session.topic}, ${invoice.session.meetingType}: ${sessionDate(invoice)}` });
+
+  y += 30;
+  elements.push({ x: left, y, text: 'Description', bold: true });
+  elements.push({ x: 390, y, text: 'Qty', bold: true, align: 'right' });
+  elements.push({ x: 470, y, text: 'Unit price', bold: true, align: 'right' });
+  elements.push({ x: right, y, text: 'Amount', bold: true, align: 'right' });
+  elements.push({ line: [left, y + 6, right, y + 6] });
+
+  for (const item of invoice.items) {
+    y += 20;
+    elements.push({ x: left, y, text: item.description, size: 9 });
+    elements.push({ x: 390, y, text: String(item.quantity), size: 9, align: 'right' });
+    elements.push({ x: 470, y, text: money(invoice, item.unitAmount), size: 9, align: 'right' });
+    elements.push({ x: right, y, text: money(invoice, item.amount), size: 9, align: 'right' });
+  }
+  elements.push({ line: [left, y + 8, right, y + 8] });
+
+  y += 10;
+  for (const [label, amount] of totals(invoice)) {
+    y += 18;
+    const bold = label === 'Total (incl. tax)';
+    elements.push({ x: 470, y, text: label, bold, align: 'right' });
+    elements.push({ x: right, y, text: amount, bold, align: 'right' });
+  }
+
+  return buildPdf({ title: title(invoice), pages: [elements] });
+};
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
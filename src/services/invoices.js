@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Consultant = require('../models/Consultant');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const InvoiceClaim = require('../models/InvoiceClaim');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { roundAmount } = require('./pricing');
+const { createError } = require('../utils/httpError');
+const config = require('../config/invoices');
+
+// How long a claim holder has to issue its invoice before another request
+// may take over
+const CLAIM_LEASE_MS = 30000;
+
+// How long a request waits for an invoice another request is issuing
+const ISSUE_WAIT_MS = 200;
+const ISSUE_WAIT_ATTEMPTS = 10;
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : undefined);
+
+// Invoices are issued once the session has taken place
+const isInvoiceable = (booking) => booking.status === 'completed';
+
+// Money kept from the booking's payments, net of refunds
+const getAmountPaid = async (bookingId) => {
+  const payments = await Payment.find({ booking: bookingId, status: 'succeeded' }).select('amount refundedAmount');
+  return roundAmount(payments.reduce((sum, payment) => sum + payment.amount - (payment.refundedAmount || 0), 0));
+};
+
+// Everything the invoice prints, copied from the booking and its parties as
+// they are now
+const buildInvoiceDetails = async (booking) => {
+  const [client, consultant, amountPaid] = await Promise.all([
+    User.findById(booking.client._id || booking.client).select('firstName lastName email phone'),
+    Consultant.findById(booking.consultant._id || booking.consultant)
+      .select('user')
+      .populate('user', 'firstName lastName email phone'),
+    getAmountPaid(booking._id)
+  ]);
+  await booking.populate('category', 'name');
+
+  const pricing = booking.pricing || {};
+  const total = roundAmount(booking.totalAmount);
+  const items = pricing.items && pricing.items.length
+    ? pricing.items
+    : [{ type: 'session', description: `${booking.duration}-minute session`, amount: total }];
+
+  // Prices include tax, so the tax is the matching share of the total
+  const taxRate = config.tax.ratePercent;
+  const taxAmount = roundAmount((total * taxRate) / (100 + taxRate));
+
+  return {
+    booking: booking._id,
+    client: client._id,
+    consultant: consultant._id,
+    issuer: config.issuer,
+    billTo: {
+      name: fullName(client),
+      email: client.email,
+      phone: client.phone
+    },
+    provider: {
+      name: fullName(consultant.user),
+      email: consultant.user && consultant.user.email
+    },
+    session: {
+      topic: booking.category && booking.category.name ? `${booking.category.name} session` : 'Consultation session',
+      startAt: booking.startAt,
+      endAt: booking.endAt,
+      timeZone: booking.timeZone,
+      duration: booking.duration,
+      meetingType: booking.meetingType
+    },
+    currency: pricing.currency || 'USD',
+    items: items.map(item => ({
+      type: item.type,
+      description: item.description,
+      quantity: 1,
+      unitAmount: item.amount,
+      amount: item.amount
+    })),
+    taxLabel: config.tax.label,
+    taxRate,
+    subtotal: roundAmount(total - taxAmount),
+    taxAmount,
+    total,
+    amountPaid
+  };
+};
+
+// Claim the right to issue the invoice for `key`. A claim whose holder has
+// not issued the invoice within the lease can be taken over. Returns the
+// claim and whether this caller holds it.
+const claimIssue = async (key, now) => {
+  const token = new mongoose.Types.ObjectId();
+  try {
+    return { claim: await InvoiceClaim.create({ key, token, claimedAt: now }), held: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const taken = await InvoiceClaim.findOneAndUpdate(
+    { key, invoice: { $exists: false }, claimedAt: { $lte: new Date(now.getTime() - CLAIM_LEASE_MS) } },
+    { token, claimedAt: now },
+    { new: true }
+  );
+  if (taken) return { claim: taken, held: true };
+  return { claim: await InvoiceClaim.findOne({ key }), held: false };
+};
+
+// Issue a new invoice for a booking under the next invoice number. Only the
+// request that wins the claim draws a number; others get the invoice it
+// issued, or null while it is still being issued.
+const issueInvoice = async (booking, { replaces, now = new Date() } = {}) => {
+  if (!isInvoiceable(booking)) {
+    throw createError(400, 'Invoices are issued once the session is completed');
+  }
+
+  const key = replaces ? `reissue:${replaces}` : `booking:${booking._id}`;
+  const { claim, held } = await claimIssue(key, now);
+  if (!held) {
+    return claim.invoice ? Invoice.findById(claim.invoice) : null;
+  }
+
+  const details = await buildInvoiceDetails(booking);
+
+  let { number } = claim;
+  if (!number) {
+    const sequence = await Counter.next('invoice');
+    number = `${config.numberPrefix}-${String(sequence).padStart(6, '0')}`;
+    const recorded = await InvoiceClaim.updateOne(
+      { _id: claim._id, token: claim.token, number: { $exists: false } },
+      { number }
+    );
+    if (recorded.modifiedCount === 0) {
+      throw createError(409, 'The invoice is being issued, please try again');
+    }
+  }
+
+  let invoice;
+  try {
+    invoice = await Invoice.create({ ...details, number, issuedAt: now, replaces });
+  } catch (error) {
+    // A previous holder got as far as creating it
+    invoice = error.code === 11000 && await Invoice.findOne({ number });
+    if (!invoice) throw error;
+  }
+
+  await InvoiceClaim.updateOne({ _id: claim._id }, { invoice: invoice._id });
+  return invoice;
+};
+
+// The booking's invoice in force. The first request for a completed
+// booking's invoice issues it; a voided invoice stays voided until an admin
+// reissues it.
+const getBookingInvoice = async (booking) => {
+  const current = await Invoice.findOne({ booking: booking._id, status: 'issued' });
+  if (current) return current;
+
+  if (await Invoice.exists({ booking: booking._id })) {
+    throw createError(404, 'The invoice for this booking has been voided');
+  }
+
+  const issued = await issueInvoice(booking);
+  if (issued) return issued;
+
+  // Another request is issuing it
+  for (let attempt = 0; attempt < ISSUE_WAIT_ATTEMPTS; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, ISSUE_WAIT_MS));
+    const invoice = await Invoice.findOne({ booking: booking._id, status: 'issued' });
+    if (invoice) return invoice;
+  }
+  throw createError(409, 'The invoice is being issued, please try again');
+};
+
+// Withdraw an issued invoice. Its number is never used again.
+const voidInvoice = async (invoice, { actor, reason, now = new Date() } = {}) => {
+  const voided = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'issued' },
+    { status: 'void', voidedAt: now, voidedBy: actor, voidReason: reason },
+    { new: true }
+  );
+  if (!voided) {
+    throw createError(409, 'This invoice is already void');
+  }
+  return voided;
+};
+
+// Replace an invoice with a new one built from the booking as it is now.
+// The old invoice is voided if it is still in force.
+const reissueInvoice = async (invoice, { actor, reason, now = new Date() } = {}) => {
+  if (invoice.replacedBy) {
+    throw createError(409, 'This invoice has already been reissued');
+  }
+
+  const booking = await Booking.findById(invoice.booking);
+  if (!booking || !isInvoiceable(booking)) {
+    throw createError(400, 'The booking is no longer completed, so it cannot be invoiced');
+  }
+
+  let voided = invoice;
+  if (invoice.status === 'issued') {
+    voided = await voidInvoice(invoice, { actor, reason: reason || 'Reissued', now });
+  }
+
+  const replacement = await issueInvoice(booking, { replaces: invoice._id, now });
+  if (!replacement) {
+    throw createError(409, 'This invoice is already being reissued');
+  }
+  voided = await Invoice.findByIdAndUpdate(voided._id, { replacedBy: replacement._id }, { new: true });
+
+  return { voided, invoice: replacement };
+};
+
+module.exports = {
+  isInvoiceable,
+  getBookingInvoice,
+  voidInvoice,
+  reissueInvoice
+};
@@ -0,0 +1,352 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const LedgerEntry = require('../models/LedgerEntry');
+const PackagePurchase = require('../models/PackagePurchase');
+const Payment = require('../models/Payment');
+const PayoutPeriod = require('../models/PayoutPeriod');
+const { roundAmount } = require('./pricing');
+const { createError } = require('../utils/httpError');
+const { currency: defaultCurrency } = require('../config/pricing');
+const config = require('../config/earnings');
+
+// Longest a posting may take. A period whose postings have not finished by
+// then, say because a process died half way, can be closed regardless.
+const POSTING_LEASE_MS = 5 * 60000;
+
+// Calendar month (UTC) containing an instant
+const monthBounds = (at) => ({
+  start: new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1)),
+  end: new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1))
+});
+
+// The open period entries dated `at` go to: the month containing it, or the
+// first month after it that has not been closed yet
+const getOpenPeriod = async (consultantId, at) => {
+  let month = monthBounds(at);
+  for (;;) {
+    let period;
+    try {
+      period = await PayoutPeriod.findOneAndUpdate(
+        { consultant: consultantId, start: month.start },
+        { $setOnInsert: { end: month.end, status: 'open' } },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      // Another request created the period first
+      if (error.code !== 11000) throw error;
+      period = await PayoutPeriod.findOne({ consultant: consultantId, start: month.start });
+    }
+    if (period.status === 'open') return period;
+    month = monthBounds(period.end);
+  }
+};
+
+// The open period entries dated `at` go to, registered as having a posting
+// under way so it cannot start closing until the posting is done
+const beginPosting = async (consultantId, at) => {
+  for (;;) {
+    const period = await getOpenPeriod(consultantId, at);
+    const registered = await PayoutPeriod.findOneAndUpdate(
+      { _id: period._id, status: 'open' },
+      { $inc: { postingsInFlight: 1 }, $max: { postingStartedAt: new Date() } },
+      { new: true }
+    );
+    // Otherwise the period started closing meanwhile; try the next one
+    if (registered) return registered;
+  }
+};
+
+const endPosting = (period) => PayoutPeriod.updateOne(
+  { _id: period._id, postingsInFlight: { $gt: 0 } },
+  { $inc: { postingsInFlight: -1 } }
+);
+
+// Post entries for one event. Each entry has a unique key, so posting the
+// same event again adds nothing.
+const postEntries = async (consultantId, entries, now) => {
+  const period = await beginPosting(consultantId, now);
+  const posted = [];
+  try {
+    for (const entry of entries) {
+      const amount = roundAmount(entry.amount);
+      if (amount <= 0) continue;
+      try {
+        posted.push(await LedgerEntry.create({
+          ...entry,
+          amount,
+          consultant: consultantId,
+          period: period._id,
+          occurredAt: now
+        }));
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+  } finally {
+    await endPosting(period);
+  }
+  return posted;
+};
+
+// The booking's value earned by the consultant, less the platform commission
+const earningEntries = (key, amount, currency, description, refs) => {
+  const commissionPercent = config.commissionPercent;
+  return [
+    { ...refs, key: `${key}:booking`, type: 'booking', debit: 'customer', credit: 'consultant', amount, currency, description },
+    {
+      ...refs,
+      key: `${key}:commission`,
+      type: 'commission',
+      debit: 'consultant',
+      credit: 'platform',
+      amount: (amount * commissionPercent) / 100,
+      currency,
+      commissionPercent,
+      description: `Platform commission (${commissionPercent}%)`
+    }
+  ];
+};
+
+// Payments are in the currency the client was charged. Earnings are kept in
+// the consultant's own currency, at the rate the booking was priced at.
+// Group seats are always charged in the consultant's currency.
+const toNative = async (bookingId, amount, currency) => {
+  if (!bookingId) return { amount, currency };
+  const booking = await Booking.findById(bookingId).select('pricing');
+  const pricing = booking && booking.pricing;
+  if (!pricing || !pricing.exchangeRate || !pricing.native || !pricing.native.currency || pricing.currency !== currency) {
+    return { amount, currency };
+  }
+  return { amount: amount / pricing.exchangeRate, currency: pricing.native.currency };
+};
+
+// A client paid for a booking or a group seat
+const recordPayment = async (payment, now = new Date()) => {
+  const { amount, currency } = await toNative(payment.booking, payment.amount, payment.currency);
+  const description = payment.purpose === 'group-seat' ? 'Group session seat payment' : 'Booking payment';
+  return postEntries(
+    payment.consultant,
+    earningEntries(`payment:${payment._id}`, amount, currency, description, {
+      booking: payment.booking,
+      payment: payment._id
+    }),
+    now
+  );
+};
+
+// Part or all of a payment went back to the client. The commission on the
+// refunded amount is given back at the rate it was taken.
+const recordRefund = async (payment, refund, now = new Date()) => {
+  // Nothing was earned from a package payment itself
+  if (payment.purpose === 'package') return [];
+
+  const commission = await LedgerEntry.findOne({ key: `payment:${payment._id}:commission` });
+  const commissionPercent = commission ? commission.commissionPercent : config.commissionPercent;
+  const refs = { booking: payment.booking, payment: payment._id };
+  const { amount, currency } = await toNative(payment.booking, refund.amount, payment.currency);
+
+  return postEntries(payment.consultant, [
+    {
+      ...refs,
+      key: `refund:${refund._id}:refund`,
+      type: 'refund',
+      debit: 'consultant',
+      credit: 'customer',
+      amount,
+      currency,
+      description: refund.reason || 'Refund'
+    },
+    {
+      ...refs,
+      key: `refund:${refund._id}:commission-reversal`,
+      type: 'commission-reversal',
+      debit: 'platform',
+      credit: 'consultant',
+      amount: (amount * commissionPercent) / 100,
+      currency,
+      commissionPercent,
+      description: `Commission on refund (${commissionPercent}%)`
+    }
+  ], now);
+};
+
+// A package credit was used up by a booking that took place, or was
+// cancelled without the credit being returned. It is worth its share of
+// what was actually collected for the package, so credits from purchases
+// without a succeeded payment earn nothing.
+const recordCreditUse = async (booking, now = new Date()) => {
+  const purchase = await PackagePurchase.findById(booking.packagePurchase);
+  if (!purchase || !purchase.payment) return [];
+
+  const payment = await Payment.findOne({ _id: purchase.payment, status: 'succeeded' });
+  if (!payment) return [];
+
+  return postEntries(
+    booking.consultant,
+    earningEntries(
+      `credit:${booking._id}`,
+      (payment.amount - payment.refundedAmount) / purchase.sessionCount,
+      payment.currency,
+      `Session paid with a credit from ${purchase.name}`,
+      { booking: booking._id, payment: payment._id }
+    ),
+    now
+  );
+};
+
+// A manual correction by an admin; positive amounts are owed to the consultant
+const recordAdjustment = async (consultantId, { amount, currency = defaultCurrency, description, actor }, now = new Date()) => {
+  const [entry] = await postEntries(consultantId, [{
+    key: `adjustment:${new mongoose.Types.ObjectId()}`,
+    type: 'adjustment',
+    debit: amount > 0 ? 'platform' : 'consultant',
+    credit: amount > 0 ? 'consultant' : 'platform',
+    amount: Math.abs(amount),
+    currency,
+    description,
+    createdBy: actor
+  }], now);
+  return entry;
+};
+
+// The entry's effect on what the consultant is owed, in an aggregation
+const consultantAmount = {
+  $cond: [
+    { $eq: ['$credit', 'consultant'] },
+    '$amount',
+    { $cond: [{ $eq: ['$debit', 'consultant'] }, { $multiply: ['$amount', -1] }, 0] }
+  ]
+};
+
+// What a period's entries add up to for the consultant, one row per
+// currency, as amounts in different currencies cannot be added. Payouts are
+// left out; they settle periods rather than belong to them.
+const getPeriodTotals = async (periodId) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { period: new mongoose.Types.ObjectId(String(periodId)), type: { $ne: 'payout' } } },
+    { $group: { _id: { currency: '$currency', type: '$type' }, amount: { $sum: consultantAmount } } }
+  ]);
+
+  const byCurrency = {};
+  rows.forEach(({ _id, amount }) => {
+    byCurrency[_id.currency] = byCurrency[_id.currency] || {};
+    byCurrency[_id.currency][_id.type] = amount;
+  });
+
+  return Object.keys(byCurrency).sort().map(currency => {
+    const sum = (...types) => types.reduce((total, type) => total + (byCurrency[currency][type] || 0), 0);
+    return {
+      currency,
+      gross: roundAmount(sum('booking')),
+      commission: roundAmount(-sum('commission', 'commission-reversal')),
+      refunds: roundAmount(-sum('refund')),
+      adjustments: roundAmount(sum('adjustment')),
+      net: roundAmount(sum('booking', 'commission', 'commission-reversal', 'refund', 'adjustment'))
+    };
+  });
+};
+
+// Fix a period's totals once it has ended. Later entries go to the next
+// open period. The period first moves to 'closing', which only happens while
+// no posting is under way and stops new ones, so no entry can land in it
+// after its totals are worked out. A close that failed part way can be run
+// again.
+const closePeriod = async (period, { actor, now = new Date() } = {}) => {
+  if (period.status !== 'open' && period.status !== 'closing') {
+    throw createError(409, 'Only open periods can be closed');
+  }
+  if (period.end > now) {
+    throw createError(409, 'A period can be closed once it has ended');
+  }
+
+  const closing = await PayoutPeriod.findOneAndUpdate(
+    {
+      _id: period._id,
+      status: { $in: ['open', 'closing'] },
+      $or: [
+        { postingsInFlight: { $lte: 0 } },
+        { postingStartedAt: { $lt: new Date(Date.now() - POSTING_LEASE_MS) } }
+      ]
+    },
+    { status: 'closing' },
+    { new: true }
+  );
+  if (!closing) {
+    if (await PayoutPeriod.exists({ _id: period._id, status: 'open' })) {
+      throw createError(409, 'Entries are being posted to this period, please try again');
+    }
+    throw createError(409, 'Only open periods can be closed');
+  }
+
+  const totals = await getPeriodTotals(period._id);
+  const closed = await PayoutPeriod.findOneAndUpdate(
+    { _id: period._id, status: 'closing' },
+    { status: 'closed', totals, closedAt: now, closedBy: actor },
+    { new: true }
+  );
+  if (!closed) {
+    throw createError(409, 'Only open periods can be closed');
+  }
+  return closed;
+};
+
+// Record that a closed period's net earnings were paid to the consultant,
+// with one payout per currency owed
+const markPeriodPaid = async (period, { actor, reference, now = new Date() } = {}) => {
+  const paid = await PayoutPeriod.findOneAndUpdate(
+    { _id: period._id, status: 'closed' },
+    { status: 'paid', paidAt: now, paidBy: actor, paymentReference: reference },
+    { new: true }
+  );
+  if (!paid) {
+    throw createError(409, 'Only closed periods can be marked paid');
+  }
+
+  await postEntries(paid.consultant, paid.totals.map(totals => ({
+    key: `payout:${paid._id}:${totals.currency}`,
+    type: 'payout',
+    debit: 'consultant',
+    credit: 'payouts',
+    amount: totals.net,
+    currency: totals.currency,
+    description: reference ? `Payout (${reference})` : 'Payout',
+    createdBy: actor
+  })), now);
+
+  return paid;
+};
+
+// What a consultant is owed overall, per currency, and how their periods add
+// up. Open periods' totals are worked out from their entries so far.
+const getEarningsSummary = async (consultantId) => {
+  const balances = await LedgerEntry.aggregate([
+    { $match: { consultant: new mongoose.Types.ObjectId(String(consultantId)) } },
+    { $group: { _id: '$currency', amount: { $sum: consultantAmount } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const periods = await PayoutPeriod.find({ consultant: consultantId }).sort({ start: -1 }).limit(12);
+  const withTotals = await Promise.all(periods.map(async period => {
+    const json = period.toJSON();
+    if (period.status === 'open' || period.status === 'closing') json.totals = await getPeriodTotals(period._id);
+    return json;
+  }));
+
+  return {
+    balances: balances.map(balance => ({ currency: balance._id, amount: roundAmount(balance.amount) })),
+    commissionPercent: config.commissionPercent,
+    periods: withTotals
+  };
+};
+
+module.exports = {
+  getOpenPeriod,
+  recordPayment,
+  recordRefund,
+  recordCreditUse,
+  recordAdjustment,
+  getPeriodTotals,
+  closePeriod,
+  markPeriodPaid,
+  getEarningsSummary
+};
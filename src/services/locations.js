@@ -0,0 +1,42 @@
+const Location = require('../models/Location');
+const { createError } = require('../utils/httpError');
+
+// Booking statuses in which the client sees the full address
+const ADDRESS_VISIBLE_STATUSES = ['confirmed', 'completed', 'no-show'];
+
+// One of the consultant's active locations, from a document or an ID
+const loadActiveLocation = async (consultant, location) => {
+  const place = location instanceof Location ? location : await Location.findById(location);
+  if (!place || !place.consultant.equals(consultant._id) || !place.isActive) {
+    throw createError(400, 'The location is not one of the consultant\'s active locations');
+  }
+  return place;
+};
+
+// Throw unless an in-person session can be held at the location for the
+// whole time range
+const assertLocationOpen = async (consultant, location, start, end) => {
+  const place = await loadActiveLocation(consultant, location);
+  if (!place.isOpenAt(start, end, consultant.timeZone)) {
+    throw createError(400, 'The consultant does not see clients at this location at this time');
+  }
+  return place;
+};
+
+// Consultants and admins always see where a booking takes place; clients see
+// the street address and access instructions once it is confirmed
+const canSeeFullAddress = (booking, role) => role !== 'client' || ADDRESS_VISIBLE_STATUSES.includes(booking.status);
+
+// A populated booking location as the viewer may see it
+const locationForViewer = (booking, role) => {
+  const place = booking.location;
+  if (!place || !place.toPublicJSON) return place;
+  return canSeeFullAddress(booking, role) ? place.toJSON() : place.toPublicJSON();
+};
+
+module.exports = {
+  loadActiveLocation,
+  assertLocationOpen,
+  canSeeFullAddress,
+  locationForViewer
+};
@@ -0,0 +1,51 @@
+const config = require('../../config/meetings');
+const { createError } = require('../../utils/httpError');
+
+// Every meeting provider implements:
+//   name                          stored on the booking with the meeting
+//   createMeeting(booking)        -> { externalId, joinUrl }
+//   revokeMeeting(meeting)        stop the meeting's link from working
+//   verifyToken(externalId, token) whether a join token belongs to the meeting
+const PROVIDERS = {
+  builtin: require('./builtin'),
+  stub: require('./stub')
+};
+
+// Provider by name, defaulting to the configured one
+const getProvider = (name = config.provider) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown meeting provider: ${name}`);
+  }
+  return provider;
+};
+
+// Why a provider cannot be used with the current settings, or null when it
+// can. The stub only remembers meetings in the process that made them, so
+// it is never used in production. Meeting links are switched off rather than
+// keeping the rest of the API from starting.
+const getMeetingConfigProblem = (name = config.provider) => {
+  if (!PROVIDERS[name]) {
+    return `Unknown meeting provider: ${name}`;
+  }
+  if (name === 'stub' && process.env.NODE_ENV === 'production') {
+    return 'The stub meeting provider cannot be used in production';
+  }
+  if (name === 'builtin' && !config.builtin.signingSecret) {
+    return 'MEETING_SIGNING_SECRET is not set';
+  }
+  return null;
+};
+
+// Throw a 503 unless new meeting links can be made
+const assertMeetingsEnabled = () => {
+  if (getMeetingConfigProblem() !== null) {
+    throw createError(503, 'Meeting links are not available at the moment');
+  }
+};
+
+module.exports = {
+  getProvider,
+  getMeetingConfigProblem,
+  assertMeetingsEnabled
+};
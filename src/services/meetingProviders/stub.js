@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Meetings kept in memory, for tests and local development. Every meeting
+// created and revoked can be inspected through `meetings`.
+const meetings = new Map();
+
+module.exports = {
+  name: 'stub',
+  meetings,
+
+  async createMeeting(booking) {
+    const externalId = `stub-${crypto.randomBytes(8).toString('hex')}`;
+    const meeting = {
+      externalId,
+      joinUrl: `https://meetings.example.test/${externalId}`,
+      booking: booking._id.toString(),
+      revoked: false
+    };
+    meetings.set(externalId, meeting);
+    return { externalId, joinUrl: meeting.joinUrl };
+  },
+
+  async revokeMeeting({ externalId }) {
+    const meeting = meetings.get(externalId);
+    if (meeting) meeting.revoked = true;
+  },
+
+  verifyToken(externalId) {
+    return meetings.has(externalId);
+  },
+
+  reset() {
+    meetings.clear();
+  }
+};
@@ -0,0 +1,79 @@
+const Booking = require('../models/Booking');
+const { getProvider, getMeetingConfigProblem, assertMeetingsEnabled } = require('./meetingProviders');
+const { createError } = require('../utils/httpError');
+
+// Meeting types held online, which get a join link
+const ONLINE_MEETING_TYPES = ['video', 'audio'];
+
+const needsMeeting = (booking) => booking.status === 'confirmed' && ONLINE_MEETING_TYPES.includes(booking.meetingType);
+
+const hasOpenMeeting = (booking) => Boolean(booking.meeting && booking.meeting.externalId && !booking.meeting.revokedAt);
+
+// Stop the booking's join link from working. The booking is updated directly,
+// so this can run after a status change has been saved.
+const revokeMeetingLink = async (booking, now = new Date()) => {
+  if (!hasOpenMeeting(booking)) return booking;
+
+  const meeting = { provider: booking.meeting.provider, externalId: booking.meeting.externalId };
+  await Booking.updateOne(
+    { _id: booking._id, 'meeting.externalId': meeting.externalId },
+    { $set: { 'meeting.revokedAt': now }, $unset: { meetingLink: 1 } }
+  );
+  booking.meeting.revokedAt = now;
+  booking.meetingLink = undefined;
+
+  await getProvider(meeting.provider).revokeMeeting(meeting);
+  return booking;
+};
+
+// Give a confirmed video or audio booking a new join link, revoking any
+// previous one
+const createMeetingLink = async (booking, now = new Date()) => {
+  if (!needsMeeting(booking)) {
+    throw createError(400, 'Only confirmed video and audio bookings have a meeting link');
+  }
+  assertMeetingsEnabled();
+
+  await revokeMeetingLink(booking, now);
+
+  const provider = getProvider();
+  const { externalId, joinUrl } = await provider.createMeeting(booking);
+  const meeting = { provider: provider.name, externalId, createdAt: now };
+
+  // The booking may have been cancelled while the meeting was being created
+  const updated = await Booking.updateOne(
+    { _id: booking._id, status: 'confirmed' },
+    { meetingLink: joinUrl, meeting }
+  );
+  if (updated.matchedCount === 0) {
+    await provider.revokeMeeting(meeting);
+    throw createError(409, 'The booking is no longer confirmed');
+  }
+
+  booking.meetingLink = joinUrl;
+  booking.meeting = meeting;
+  return booking;
+};
+
+// The booking a meeting room belongs to, if people may join it: the join
+// token is valid and the booking is confirmed with its link not revoked.
+// Rooms of a provider that cannot be used are never open.
+const verifyRoom = async (externalId, token) => {
+  const booking = await Booking.findOne({ 'meeting.externalId': externalId })
+    .select('status startAt endAt duration meetingType meeting');
+  if (!booking || booking.meeting.revokedAt || booking.status !== 'confirmed') {
+    return null;
+  }
+  if (getMeetingConfigProblem(booking.meeting.provider) !== null) {
+    return null;
+  }
+  return getProvider(booking.meeting.provider).verifyToken(externalId, token) ? booking : null;
+};
+
+module.exports = {
+  needsMeeting,
+  hasOpenMeeting,
+  createMeetingLink,
+  revokeMeetingLink,
+  verifyRoom
+};
@@ -0,0 +1,160 @@
+const PackagePurchase = require('../models/PackagePurchase');
+const { createError } = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60000;
+
+// Credit a package's sessions to a client. The purchase keeps a copy of the
+// package terms, and of the amount paid when bought with `payment`. Granting
+// the same payment again returns the purchase it already made.
+const grantPurchase = async (pkg, clientId, { payment, now = new Date() } = {}) => {
+  try {
+    return await PackagePurchase.create({
+      client: clientId,
+      package: pkg._id,
+      consultant: pkg.consultant,
+      name: pkg.name,
+      duration: pkg.duration,
+      sessionCount: pkg.sessionCount,
+      price: payment ? payment.amount : pkg.price,
+      currency: payment ? payment.currency : pkg.currency,
+      payment: payment?._id,
+      creditsRemaining: pkg.sessionCount,
+      purchasedAt: now,
+      expiresAt: new Date(now.getTime() + pkg.validityDays * DAY_MS)
+    });
+  } catch (error) {
+    if (payment && error.code === 11000) {
+      return PackagePurchase.findOne({ payment: payment._id });
+    }
+    throw error;
+  }
+};
+
+// Take a free package. Packages with a price are bought through a checkout
+// (see startPackageCheckout) and granted once paid.
+const purchasePackage = async (pkg, client, now = new Date()) => {
+  if (!pkg.isActive) {
+    throw createError(400, 'This package is no longer available');
+  }
+  if (pkg.price > 0) {
+    throw createError(400, 'This package has to be paid for');
+  }
+
+  return grantPurchase(pkg, client._id, { now });
+};
+
+// Throw unless credits from a purchase can pay for the session described,
+// leaving aside how many are left
+const assertCreditCovers = (purchase, { consultant, duration, startAt }, now) => {
+  if (!purchase.consultant.equals(consultant._id)) {
+    throw createError(400, 'This package is for sessions with another consultant');
+  }
+  if (duration > purchase.duration) {
+    throw createError(400, `Credits from this package cover sessions of up to ${purchase.duration} minutes`);
+  }
+  if (purchase.expiresAt <= now || startAt >= purchase.expiresAt) {
+    throw createError(409, 'Credits from this package have expired or expire before the session');
+  }
+};
+
+// Load one of a client's purchases and check a credit from it can pay for
+// the session described
+const loadUsableCredit = async (purchaseId, client, session, now = new Date()) => {
+  const purchase = await PackagePurchase.findOne({ _id: purchaseId, client: client._id });
+  if (!purchase) {
+    throw createError(404, 'Package not found');
+  }
+  assertCreditCovers(purchase, session, now);
+  if (purchase.creditsRemaining < 1) {
+    throw createError(409, 'No credits are left in this package');
+  }
+  return purchase;
+};
+
+// Throw unless the credit a booking was paid with still covers the booking
+// at a new time. The credit is already taken, so only its terms are checked.
+const assertCreditCoversMove = async (booking, consultant, startAt, now = new Date()) => {
+  const purchase = await PackagePurchase.findOne({ _id: booking.packagePurchase, client: booking.client });
+  if (!purchase) {
+    throw createError(404, 'Package not found');
+  }
+  assertCreditCovers(purchase, { consultant, duration: booking.duration, startAt }, now);
+};
+
+// A quote paid for with a package credit: the session is priced as usual and
+// the credit covers all of it
+const applyCredit = (quote, purchase) => ({
+  ...quote,
+  items: [
+    ...quote.items,
+    {
+      type: 'package-credit',
+      description: `Paid with a credit from ${purchase.name}`,
+      amount: -quote.subtotal
+    }
+  ],
+  subtotal: 0,
+  total: 0
+});
+
+// Take a credit for a booking. A single conditional update, so concurrent
+// bookings can never spend more credits than are left.
+const redeemCredit = async (booking, now = new Date()) => {
+  const purchase = await PackagePurchase.findOneAndUpdate(
+    { _id: booking.packagePurchase, creditsRemaining: { $gt: 0 }, expiresAt: { $gt: now } },
+    {
+      $inc: { creditsRemaining: -1 },
+      $push: { usage: { booking: booking._id, type: 'redeemed', at: now } }
+    },
+    { new: true }
+  );
+  if (!purchase) {
+    throw createError(409, 'No credits are left in this package');
+  }
+  return purchase;
+};
+
+// Undo a redemption for a booking that was never saved
+const undoRedeem = (booking) => PackagePurchase.updateOne(
+  { _id: booking.packagePurchase, usage: { $elemMatch: { booking: booking._id, type: 'redeemed' } } },
+  {
+    $inc: { creditsRemaining: 1 },
+    $pull: { usage: { booking: booking._id } }
+  }
+);
+
+// Whether a released booking gets its credit back: expired bookings always
+// do, cancelled ones when the cancellation carried no fee under the policy
+const shouldReturnCredit = (booking) => {
+  if (!booking.packagePurchase) return false;
+  if (booking.status === 'expired') return true;
+  return booking.status === 'cancelled' && booking.cancellation?.feePercent === 0;
+};
+
+// Give a booking's credit back to its package, at most once
+const returnCredit = async (booking, reason, now = new Date()) => PackagePurchase.findOneAndUpdate(
+  {
+    _id: booking.packagePurchase,
+    $and: [
+      { usage: { $elemMatch: { booking: booking._id, type: 'redeemed' } } },
+      { usage: { $not: { $elemMatch: { booking: booking._id, type: 'returned' } } } }
+    ]
+  },
+  {
+    $inc: { creditsRemaining: 1 },
+    $push: { usage: { booking: booking._id, type: 'returned', at: now, reason } }
+  },
+  { new: true }
+);
+
+module.exports = {
+  grantPurchase,
+  purchasePackage,
+  loadUsableCredit,
+  assertCreditCoversMove,
+  applyCredit,
+  redeemCredit,
+  undoRedeem,
+  shouldReturnCredit,
+  returnCredit
+};
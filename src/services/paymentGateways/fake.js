@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { fake: config } = require('../../config/payments');
+const { createError } = require('../../utils/httpError');
+
+const sign = (payload) => {
+  if (!config.webhookSecret) {
+    throw new Error('PAYMENT_FAKE_WEBHOOK_SECRET is not set');
+  }
+  return crypto
+    .createHmac('sha256', config.webhookSecret)
+    .update(payload)
+    .digest('hex');
+};
+
+// Checkouts kept in memory. Nothing leaves the process: payments are
+// completed or failed on request (see completePayment), and the outcome
+// arrives as a signed webhook like a real gateway's would.
+const checkouts = new Map();
+
+module.exports = {
+  name: 'fake',
+  checkouts,
+
+  async createPayment({ payment }) {
+    const id = `fake_pay_${crypto.randomBytes(8).toString('hex')}`;
+    checkouts.set(id, { id, amount: payment.amount, currency: payment.currency, status: 'pending', refunded: 0 });
+    return {
+      gatewayPaymentId: id,
+      checkoutUrl: `/api/payments/fake/${id}/complete`
+    };
+  },
+
+  async cancelPayment({ gatewayPaymentId }) {
+    const checkout = checkouts.get(gatewayPaymentId);
+    if (checkout && checkout.status === 'pending') checkout.status = 'cancelled';
+  },
+
+  async refundPayment({ gatewayPaymentId }, amount) {
+    const checkout = checkouts.get(gatewayPaymentId);
+    if (checkout) checkout.refunded += amount;
+    return { gatewayRefundId: `fake_ref_${crypto.randomBytes(8).toString('hex')}` };
+  },
+
+  // Settle a checkout and build the webhook the gateway would send for it:
+  // the raw body and its signature header
+  completePayment(gatewayPaymentId, outcome, failureReason = 'Card declined') {
+    const checkout = checkouts.get(gatewayPaymentId);
+    if (!checkout || checkout.status !== 'pending') {
+      throw createError(409, 'This checkout cannot be completed');
+    }
+    checkout.status = outcome;
+
+    const body = JSON.stringify({
+      id: `fake_evt_${crypto.randomBytes(8).toString('hex')}`,
+      type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+      paymentId: gatewayPaymentId,
+      amount: checkout.amount,
+      failureReason: outcome === 'succeeded' ? undefined : failureReason
+    });
+    return { body, headers: { 'x-fake-signature': sign(body) } };
+  },
+
+  parseWebhook(rawBody, headers) {
+    const expected = Buffer.from(sign(rawBody));
+    const given = Buffer.from(String(headers['x-fake-signature'] || ''));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw createError(400, 'Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody);
+    return {
+      id: event.id,
+      type: event.type,
+      gatewayPaymentId: event.paymentId,
+      amount: event.amount,
+      failureReason: event.failureReason
+    };
+  },
+
+  reset() {
+    checkouts.clear();
+  }
+};
@@ -0,0 +1,66 @@
+const config = require('../../config/payments');
+const { createError } = require('../../utils/httpError');
+
+// Every payment gateway implements:
+//   name                                  stored on each payment
+//   createPayment({ payment, booking })   -> { gatewayPaymentId, checkoutUrl }
+//                                         (booking only for booking payments)
+//   cancelPayment(payment)                abandon a checkout not yet paid
+//   refundPayment(payment, amount)        -> { gatewayRefundId }
+//   parseWebhook(rawBody, headers)        verify a callback and return
+//                                         { id, type, gatewayPaymentId, amount, failureReason }
+//                                         where type is payment.succeeded or payment.failed
+const GATEWAYS = {
+  fake: require('./fake')
+};
+
+// Gateway by name, defaulting to the configured one
+const getGateway = (name = config.gateway) => {
+  const gateway = GATEWAYS[name];
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return gateway;
+};
+
+// The fake gateway lets clients confirm their own payments, so it is only
+// ever enabled outside production
+const isFakeEnabled = () => config.gateway === 'fake' && process.env.NODE_ENV !== 'production';
+
+// Why payments cannot be taken with the current settings, or null when they
+// can. A missing or unsafe setting switches payments off instead of keeping
+// the rest of the API from starting.
+const getPaymentConfigProblem = () => {
+  if (!config.gateway) {
+    return 'PAYMENT_GATEWAY is not set';
+  }
+  if (!GATEWAYS[config.gateway]) {
+    return `Unknown payment gateway: ${config.gateway}`;
+  }
+  if (config.gateway === 'fake') {
+    if (!isFakeEnabled()) {
+      return 'The fake payment gateway cannot be used in production';
+    }
+    if (!config.fake.webhookSecret) {
+      return 'PAYMENT_FAKE_WEBHOOK_SECRET is not set';
+    }
+  }
+  return null;
+};
+
+const paymentsEnabled = () => getPaymentConfigProblem() === null;
+
+// Throw a 503 unless new payments can be taken
+const assertPaymentsEnabled = () => {
+  if (!paymentsEnabled()) {
+    throw createError(503, 'Payments are not available at the moment');
+  }
+};
+
+module.exports = {
+  getGateway,
+  isFakeEnabled,
+  getPaymentConfigProblem,
+  paymentsEnabled,
+  assertPaymentsEnabled
+};
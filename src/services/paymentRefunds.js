@@ -0,0 +1,110 @@
+const Booking = require('../models/Booking');
+const GroupSeat = require('../models/GroupSeat');
+const Payment = require('../models/Payment');
+const { getGateway } = require('./paymentGateways');
+const { recordRefund } = require('./ledger');
+const { roundAmount } = require('./pricing');
+const { createError } = require('../utils/httpError');
+
+// Refund up to `amount` of a succeeded payment. The amount is claimed on the
+// payment before the gateway is asked, so concurrent refunds can never give
+// back more than was paid.
+const refundPayment = async (payment, amount, reason, now = new Date()) => {
+  const refund = Math.min(roundAmount(amount), roundAmount(payment.amount - payment.refundedAmount));
+  if (refund <= 0) return null;
+
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'succeeded', refundedAmount: payment.refundedAmount },
+    { $inc: { refundedAmount: refund } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw createError(409, 'The payment changed while it was being refunded, please try again');
+  }
+
+  let refunded, gatewayRefundId;
+  try {
+    ({ gatewayRefundId } = await getGateway(payment.gateway).refundPayment(payment, refund));
+    refunded = await Payment.findByIdAndUpdate(
+      payment._id,
+      { $push: { refunds: { amount: refund, gatewayRefundId, reason, createdAt: now } } },
+      { new: true }
+    );
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refund } });
+    throw error;
+  }
+
+  // The money has already gone back, so a failed posting is only logged
+  const entry = refunded.refunds.find(item => item.gatewayRefundId === gatewayRefundId) ||
+    refunded.refunds[refunded.refunds.length - 1];
+  try {
+    await recordRefund(refunded, entry, now);
+  } catch (error) {
+    console.error(`Ledger posting for refund on payment ${payment._id} failed:`, error);
+  }
+
+  // A booking paid by another payment keeps its status when this one is refunded
+  const paymentStatus = refunded.refundedAmount >= refunded.amount ? 'refunded' : 'partially-refunded';
+  if (refunded.booking) {
+    await Booking.updateOne(
+      { _id: refunded.booking, $or: [{ paidBy: refunded._id }, { paidBy: { $exists: false } }] },
+      { paymentStatus }
+    );
+  } else if (refunded.groupSeat) {
+    await GroupSeat.updateOne({ _id: refunded.groupSeat }, { paymentStatus });
+  }
+  return refunded;
+};
+
+// Abandon the checkouts still open for a booking or seat
+const cancelOpenPayments = async (filter, now) => {
+  const open = await Payment.find({ ...filter, status: 'pending' });
+  for (const payment of open) {
+    const cancelled = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      { status: 'cancelled', cancelledAt: now },
+      { new: true }
+    );
+    if (cancelled && cancelled.gatewayPaymentId) {
+      await getGateway(cancelled.gateway).cancelPayment(cancelled);
+    }
+  }
+};
+
+// Settle the payments of a booking that no longer takes place: checkouts
+// still open are abandoned, and a payment already made is refunded as far as
+// the cancellation terms allow (in full when the booking expired)
+const settleReleasedBooking = async (booking, now = new Date()) => {
+  await cancelOpenPayments({ booking: booking._id }, now);
+  await Booking.updateOne({ _id: booking._id, paymentStatus: 'pending' }, { paymentStatus: 'unpaid' });
+
+  // Only the payment that paid for the booking is left to refund; any other
+  // was refunded as it arrived
+  const current = await Booking.findById(booking._id).select('paidBy');
+  const paid = current && current.paidBy && await Payment.findOne({ _id: current.paidBy, status: 'succeeded' });
+  if (!paid) return null;
+
+  const amount = booking.status === 'expired'
+    ? paid.amount
+    : (booking.cancellation && booking.cancellation.refundAmount) || 0;
+  return refundPayment(paid, amount, `Booking ${booking.status}`, now);
+};
+
+// Settle the payments of a cancelled group seat: open checkouts are
+// abandoned and payments already made are refunded in full
+const settleReleasedSeat = async (seat, reason, now = new Date()) => {
+  await cancelOpenPayments({ groupSeat: seat._id }, now);
+  await GroupSeat.updateOne({ _id: seat._id, paymentStatus: 'pending' }, { paymentStatus: 'unpaid' });
+
+  const paid = await Payment.find({ groupSeat: seat._id, status: 'succeeded' });
+  for (const payment of paid) {
+    await refundPayment(payment, payment.amount, reason, now);
+  }
+};
+
+module.exports = {
+  refundPayment,
+  settleReleasedBooking,
+  settleReleasedSeat
+};
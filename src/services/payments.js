@@ -0,0 +1,354 @@
+const Booking = require('../models/Booking');
+const GroupSeat = require('../models/GroupSeat');
+const GroupSession = require('../models/GroupSession');
+const Package = require('../models/Package');
+const Payment = require('../models/Payment');
+const { getGateway, assertPaymentsEnabled } = require('./paymentGateways');
+const { changeStatus } = require('./bookingStatus');
+const { refundPayment } = require('./paymentRefunds');
+const { grantPurchase } = require('./packages');
+const { recordPayment } = require('./ledger');
+const { roundAmount } = require('./pricing');
+const { getRates, convert } = require('./exchangeRates');
+const { currency: baseCurrency } = require('../config/pricing');
+const { createError } = require('../utils/httpError');
+
+// Create a payment and its checkout at the configured gateway. Returns null
+// when a concurrent request opened the checkout for the same booking or seat
+// first (see the Payment indexes); the gateway checkout made here is dropped.
+const openCheckout = async (fields, context = {}) => {
+  const gateway = getGateway();
+  const payment = new Payment({ ...fields, gateway: gateway.name });
+  await payment.validate();
+
+  const { gatewayPaymentId, checkoutUrl } = await gateway.createPayment({ payment, ...context });
+  payment.gatewayPaymentId = gatewayPaymentId;
+  payment.checkoutUrl = checkoutUrl;
+  try {
+    await payment.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    await gateway.cancelPayment(payment);
+    return null;
+  }
+  return { payment, gateway };
+};
+
+// The checkout another request opened while this one was opening its own
+const findConcurrentCheckout = async (filter, message) => {
+  const open = await Payment.findOne({ ...filter, status: 'pending' });
+  if (!open) {
+    throw createError(409, message);
+  }
+  return open;
+};
+
+// Start paying for a pending booking, or return the checkout already open.
+// The booking's slot is held while the payment is in progress, for at least
+// the payment hold.
+const startCheckout = async (booking, now = new Date()) => {
+  assertPaymentsEnabled();
+  if (booking.status !== 'pending') {
+    throw createError(400, 'Only pending bookings can be paid for');
+  }
+  if (booking.paymentStatus === 'paid') {
+    throw createError(409, 'This booking is already paid');
+  }
+  if (booking.paymentStatus === 'not-required') {
+    throw createError(400, 'This booking does not need to be paid');
+  }
+  if (booking.hold && booking.hold.expiresAt <= now) {
+    throw createError(409, 'The booking was not paid in time and has expired');
+  }
+
+  const open = await Payment.findOne({ booking: booking._id, status: 'pending', gatewayPaymentId: { $exists: true } });
+  if (open) return open;
+
+  const opened = await openCheckout({
+    purpose: 'booking',
+    booking: booking._id,
+    client: booking.client,
+    consultant: booking.consultant,
+    amount: booking.totalAmount,
+    currency: booking.pricing.currency
+  }, { booking });
+  if (!opened) {
+    return findConcurrentCheckout({ booking: booking._id }, 'The booking is no longer pending');
+  }
+  const { payment, gateway } = opened;
+
+  // A checkout started late in the hold still gets the full payment time
+  const previousExpiry = booking.hold && booking.hold.expiresAt;
+  booking.setHold('payment', now);
+  if (previousExpiry && previousExpiry > booking.hold.expiresAt) {
+    booking.hold.expiresAt = previousExpiry;
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'pending' },
+    { hold: booking.hold, paymentStatus: 'pending' },
+    { new: true }
+  );
+  if (!updated) {
+    await Payment.updateOne({ _id: payment._id }, { status: 'cancelled', cancelledAt: now });
+    await gateway.cancelPayment(payment);
+    throw createError(409, 'The booking is no longer pending');
+  }
+
+  return payment;
+};
+
+// Start paying for a pending group seat, or return the checkout already
+// open. The seat stays held until its hold runs out.
+const startSeatCheckout = async (seat, now = new Date()) => {
+  assertPaymentsEnabled();
+  if (seat.status !== 'pending') {
+    throw createError(400, seat.status === 'reserved' ? 'This seat is already confirmed' : 'This seat is no longer held');
+  }
+  if (seat.holdExpiresAt <= now) {
+    throw createError(409, 'The seat was not paid in time and has been released');
+  }
+
+  const open = await Payment.findOne({ groupSeat: seat._id, status: 'pending', gatewayPaymentId: { $exists: true } });
+  if (open) return open;
+
+  const session = await GroupSession.findById(seat.session).select('consultant');
+  const opened = await openCheckout({
+    purpose: 'group-seat',
+    groupSeat: seat._id,
+    client: seat.client,
+    consultant: session.consultant,
+    amount: seat.price,
+    currency: seat.currency
+  });
+  if (!opened) {
+    return findConcurrentCheckout({ groupSeat: seat._id }, 'This seat is no longer held');
+  }
+  const { payment, gateway } = opened;
+
+  const updated = await GroupSeat.findOneAndUpdate(
+    { _id: seat._id, status: 'pending' },
+    { paymentStatus: 'pending' },
+    { new: true }
+  );
+  if (!updated) {
+    await Payment.updateOne({ _id: payment._id }, { status: 'cancelled', cancelledAt: now });
+    await gateway.cancelPayment(payment);
+    throw createError(409, 'This seat is no longer held');
+  }
+
+  return payment;
+};
+
+// A seat's payment went through: confirm the seat. Money that arrives for a
+// seat no longer held, or already paid, is refunded.
+const confirmSeat = async (payment, now) => {
+  const seat = await GroupSeat.findOneAndUpdate(
+    { _id: payment.groupSeat, status: 'pending' },
+    { status: 'reserved', paymentStatus: 'paid', $unset: { holdExpiresAt: 1 } },
+    { new: true }
+  );
+  if (!seat) {
+    await refundPayment(payment, payment.amount, 'Paid for a seat that was no longer held', now);
+  }
+  return payment;
+};
+
+// Start buying a package, or return the client's checkout already open for
+// it. The credits are granted once the payment succeeds.
+const startPackageCheckout = async (pkg, client) => {
+  assertPaymentsEnabled();
+  if (!pkg.isActive) {
+    throw createError(400, 'This package is no longer available');
+  }
+  if (!(pkg.price > 0)) {
+    throw createError(400, 'This package is free and does not need to be paid for');
+  }
+
+  const open = await Payment.findOne({
+    package: pkg._id,
+    client: client._id,
+    status: 'pending',
+    amount: pkg.price,
+    currency: pkg.currency,
+    gatewayPaymentId: { $exists: true }
+  });
+  if (open) return open;
+
+  const opened = await openCheckout({
+    purpose: 'package',
+    package: pkg._id,
+    client: client._id,
+    consultant: pkg.consultant,
+    amount: pkg.price,
+    currency: pkg.currency
+  });
+  return opened.payment;
+};
+
+// A package's payment went through: grant its credits on the package terms
+// of the moment. Earnings are recorded as the credits are used, not here.
+const fulfilPackage = async (payment, now) => {
+  const pkg = await Package.findById(payment.package);
+  if (!pkg) {
+    await refundPayment(payment, payment.amount, 'Paid for a package that no longer exists', now);
+    return payment;
+  }
+  await grantPurchase(pkg, payment.client, { payment, now });
+  return payment;
+};
+
+// The payment went through: confirm its booking. Money that arrives for a
+// booking already released or already paid is refunded. Which payment pays
+// the booking is settled in one conditional update, so of two payments
+// succeeding at once exactly one is kept.
+const markSucceeded = async (payment, now) => {
+  const succeeded = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $ne: 'succeeded' } },
+    { status: 'succeeded', succeededAt: now, $unset: { failureReason: 1 } },
+    { new: true }
+  ) || await Payment.findById(payment._id);
+
+  if (succeeded.purpose === 'package') {
+    return fulfilPackage(succeeded, now);
+  }
+
+  await recordPayment(succeeded, now);
+
+  if (succeeded.purpose === 'group-seat') {
+    return confirmSeat(succeeded, now);
+  }
+
+  // The first payment to claim the booking pays for it. A redelivered event
+  // finds the booking claimed by its own payment.
+  const open = { _id: succeeded.booking, status: { $in: ['pending', 'confirmed'] } };
+  const booking = await Booking.findOneAndUpdate(
+    { ...open, paidBy: { $exists: false } },
+    { paymentStatus: 'paid', paidBy: succeeded._id },
+    { new: true }
+  ) || await Booking.findOne({ ...open, paidBy: succeeded._id });
+  if (!booking) {
+    await refundPayment(succeeded, succeeded.amount, 'Paid for a booking that was no longer open', now);
+    return succeeded;
+  }
+
+  if (booking.status === 'pending') {
+    try {
+      await changeStatus(booking, 'confirmed', { role: 'system', reason: 'Payment received' });
+    } catch (error) {
+      // The hold ran out before the payment arrived. The booking expires on
+      // the next sweep, which refunds the payment.
+      if (!error.statusCode) throw error;
+      console.error(`Paid booking ${booking._id} could not be confirmed:`, error.message);
+    }
+  }
+
+  return succeeded;
+};
+
+// The payment was declined; the client can start a new checkout while the
+// booking or seat is held. A failed package payment changes nothing else.
+const markFailed = async (payment, failureReason, now) => {
+  const failed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    { status: 'failed', failedAt: now, failureReason },
+    { new: true }
+  );
+  if (failed && failed.groupSeat) {
+    await GroupSeat.updateOne({ _id: failed.groupSeat, paymentStatus: 'pending' }, { paymentStatus: 'unpaid' });
+  } else if (failed && failed.booking) {
+    await Booking.updateOne({ _id: failed.booking, paymentStatus: 'pending' }, { paymentStatus: 'unpaid' });
+  }
+  return failed || payment;
+};
+
+// Apply a verified gateway event. Every change is conditional on the current
+// state, and events already applied are skipped, so gateways can deliver an
+// event any number of times.
+const applyGatewayEvent = async (gatewayName, event, now = new Date()) => {
+  const payment = await Payment.findOne({ gateway: gatewayName, gatewayPaymentId: event.gatewayPaymentId });
+  if (!payment) {
+    throw createError(404, 'Payment not found');
+  }
+  if (payment.events.some(applied => applied.eventId === event.id)) {
+    return { payment, duplicate: true };
+  }
+
+  let result = payment;
+  if (event.type === 'payment.succeeded') {
+    result = await markSucceeded(payment, now);
+  } else if (event.type === 'payment.failed') {
+    result = await markFailed(payment, event.failureReason, now);
+  }
+
+  // Recorded last, so an event that failed half way is applied again when
+  // the gateway retries it
+  await Payment.updateOne(
+    { _id: payment._id, 'events.eventId': { $ne: event.id } },
+    { $push: { events: { eventId: event.id, type: event.type, receivedAt: now } } }
+  );
+
+  return { payment: result, duplicate: false };
+};
+
+// Money kept from succeeded payments, net of refunds, overall and for the
+// current and previous calendar month (UTC). Totals are in the base currency
+// at today's exchange rates; `byCurrency` has the amounts as they were paid.
+const getRevenueStats = async (now = new Date()) => {
+  const thisMonthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const lastMonthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+
+  const stats = await Payment.aggregate([
+    { $match: { status: 'succeeded' } },
+    { $project: { currency: 1, succeededAt: 1, net: { $subtract: ['$amount', '$refundedAmount'] } } },
+    {
+      $group: {
+        _id: '$currency',
+        total: { $sum: '$net' },
+        thisMonth: { $sum: { $cond: [{ $gte: ['$succeededAt', thisMonthStart] }, '$net', 0] } },
+        lastMonth: {
+          $sum: {
+            $cond: [
+              { $and: [{ $gte: ['$succeededAt', lastMonthStart] }, { $lt: ['$succeededAt', thisMonthStart] }] },
+              '$net',
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const rates = await getRates();
+  const totals = { total: 0, thisMonth: 0, lastMonth: 0 };
+  const byCurrency = stats.map(({ _id: currency, total, thisMonth, lastMonth }) => {
+    // Currencies whose rate has since been removed are only listed
+    if (rates[currency]) {
+      totals.total += convert(rates, total, currency, baseCurrency);
+      totals.thisMonth += convert(rates, thisMonth, currency, baseCurrency);
+      totals.lastMonth += convert(rates, lastMonth, currency, baseCurrency);
+    }
+    return {
+      currency,
+      total: roundAmount(total),
+      thisMonth: roundAmount(thisMonth),
+      lastMonth: roundAmount(lastMonth)
+    };
+  });
+
+  return {
+    currency: baseCurrency,
+    total: roundAmount(totals.total),
+    thisMonth: roundAmount(totals.thisMonth),
+    lastMonth: roundAmount(totals.lastMonth),
+    byCurrency
+  };
+};
+
+module.exports = {
+  startCheckout,
+  startSeatCheckout,
+  startPackageCheckout,
+  applyGatewayEvent,
+  getRevenueStats
+};
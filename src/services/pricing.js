@@ -0,0 +1,45 @@
+const { currency, meetingTypeAdjustments } = require('../config/pricing');
+
+// Round a money amount to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Itemised price of a session with a consultant. This is the only place
+// booking prices are computed; client-supplied amounts are never trusted.
+// Prices are in the consultant's own currency.
+const calculateQuote = (consultant, { duration, meetingType = 'video' }) => {
+  const quoteCurrency = consultant.currency || currency;
+  const items = [];
+
+  const sessionAmount = roundAmount((consultant.hourlyRate * duration) / 60);
+  items.push({
+    type: 'session',
+    description: `${duration}-minute session at ${quoteCurrency} ${consultant.hourlyRate}/hour`,
+    amount: sessionAmount
+  });
+
+  const adjustment = meetingTypeAdjustments[meetingType] || 0;
+  if (adjustment !== 0) {
+    items.push({
+      type: 'meeting-type',
+      description: `${meetingType} session ${adjustment > 0 ? 'surcharge' : 'discount'} (${Math.abs(adjustment)}%)`,
+      amount: roundAmount((sessionAmount * adjustment) / 100)
+    });
+  }
+
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+  return {
+    currency: quoteCurrency,
+    hourlyRate: consultant.hourlyRate,
+    duration,
+    meetingType,
+    items,
+    subtotal,
+    total: Math.max(0, subtotal)
+  };
+};
+
+module.exports = {
+  roundAmount,
+  calculateQuote
+};
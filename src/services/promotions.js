@@ -0,0 +1,148 @@
+const Booking = require('../models/Booking');
+const Promotion = require('../models/Promotion');
+const PromotionUsage = require('../models/PromotionUsage');
+const { roundAmount } = require('./pricing');
+const { getRates, convert } = require('./exchangeRates');
+const { createError } = require('../utils/httpError');
+
+const includesId = (ids, id) => ids.some(item => item.equals(id));
+
+// Find a code and check it can be used for a session. Usage caps are checked
+// here so clients hear early that a code is used up; they are only enforced
+// when the booking redeems it.
+const loadApplicablePromotion = async (code, { client, consultant, category }, now = new Date()) => {
+  const promotion = await Promotion.findOne({ code: String(code).trim().toUpperCase() });
+  if (!promotion || !promotion.isActive) {
+    throw createError(404, 'Promo code not found');
+  }
+  if (!promotion.isValidAt(now)) {
+    throw createError(400, 'This promo code is not valid at this time');
+  }
+  if (promotion.consultants.length && !includesId(promotion.consultants, consultant._id)) {
+    throw createError(400, 'This promo code does not apply to sessions with this consultant');
+  }
+  if (promotion.categories.length && !(category && includesId(promotion.categories, category))) {
+    throw createError(400, 'This promo code does not apply to this category');
+  }
+  if (promotion.firstBookingOnly &&
+    await Booking.exists({ client: client._id, status: { $nin: ['cancelled', 'expired'] } })) {
+    throw createError(400, 'This promo code is only for a first booking');
+  }
+  if (promotion.maxRedemptions && promotion.redemptionCount >= promotion.maxRedemptions) {
+    throw createError(409, 'This promo code has been fully used');
+  }
+  if (promotion.maxPerClient) {
+    const usage = await PromotionUsage.findOne({ promotion: promotion._id, client: client._id });
+    if (usage && usage.count >= promotion.maxPerClient) {
+      throw createError(409, 'You have already used this promo code');
+    }
+  }
+  return promotion;
+};
+
+// A quote with the promotion's discount added as a line item. Fixed amounts
+// are converted to the quote's currency, and no discount takes the price
+// below zero.
+const applyPromotion = async (quote, promotion) => {
+  const discount = promotion.discountType === 'percentage'
+    ? (quote.subtotal * promotion.amount) / 100
+    : convert(await getRates(), promotion.amount, promotion.currency, quote.currency);
+  const amount = -roundAmount(Math.min(discount, Math.max(0, quote.subtotal)));
+  const subtotal = roundAmount(quote.subtotal + amount);
+
+  return {
+    ...quote,
+    items: [
+      ...quote.items,
+      { type: 'promotion', description: promotion.describe(), amount }
+    ],
+    subtotal,
+    total: Math.max(0, subtotal)
+  };
+};
+
+// Count a use of the booking's code against both caps. The overall count is
+// only raised while below its cap, and the unique (promotion, client) usage
+// document makes the per-client count the same, so concurrent bookings can
+// never use a code more often than allowed. A first-booking code is capped
+// at one use per client the same way, and the client's other bookings are
+// checked again once the use is counted.
+const redeemPromotion = async (booking) => {
+  const promotionId = booking.promotion.promotion;
+  const promotion = await Promotion.findOneAndUpdate(
+    {
+      _id: promotionId,
+      isActive: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!promotion) {
+    throw createError(409, 'This promo code has been fully used');
+  }
+
+  const filter = { promotion: promotionId, client: booking.client };
+  const perClientCap = promotion.firstBookingOnly ? 1 : promotion.maxPerClient;
+  if (perClientCap) {
+    filter.count = { $lt: perClientCap };
+  }
+  const update = { $inc: { count: 1 }, $push: { bookings: booking._id } };
+  let usage;
+  try {
+    usage = await PromotionUsage.findOneAndUpdate(filter, update, { upsert: true, new: true })
+      .catch(error => {
+        // Either another booking by the client created the usage document
+        // first, or the client is at their cap: the filter matched nothing
+        // and the upsert collided with their existing document. Trying once
+        // more without inserting tells the two apart.
+        if (error.code !== 11000) throw error;
+        return PromotionUsage.findOneAndUpdate(filter, update, { new: true });
+      });
+  } catch (error) {
+    await Promotion.updateOne({ _id: promotionId }, { $inc: { redemptionCount: -1 } });
+    throw error;
+  }
+  if (!usage) {
+    await Promotion.updateOne({ _id: promotionId }, { $inc: { redemptionCount: -1 } });
+    throw promotion.firstBookingOnly
+      ? createError(400, 'This promo code is only for a first booking')
+      : createError(409, 'You have already used this promo code');
+  }
+
+  if (promotion.firstBookingOnly && await Booking.exists({
+    _id: { $ne: booking._id },
+    client: booking.client,
+    status: { $nin: ['cancelled', 'expired'] }
+  })) {
+    await releasePromotion(booking);
+    throw createError(400, 'This promo code is only for a first booking');
+  }
+  return promotion;
+};
+
+// Give a booking's use of its code back, at most once: for a booking that
+// was never saved, or one cancelled or expired
+const releasePromotion = async (booking) => {
+  const promotionId = booking.promotion && booking.promotion.promotion;
+  if (!promotionId) return false;
+
+  const usage = await PromotionUsage.findOneAndUpdate(
+    { promotion: promotionId, client: booking.client, bookings: booking._id },
+    { $inc: { count: -1 }, $pull: { bookings: booking._id } }
+  );
+  if (!usage) return false;
+
+  await Promotion.updateOne({ _id: promotionId }, { $inc: { redemptionCount: -1 } });
+  return true;
+};
+
+module.exports = {
+  loadApplicablePromotion,
+  applyPromotion,
+  redeemPromotion,
+  releasePromotion
+};
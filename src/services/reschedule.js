@@ -0,0 +1,69 @@
+const SlotReservation = require('../models/SlotReservation');
+const { reschedule: policy } = require('../config/booking');
+const { assertSlotAvailable, reserveSlot } = require('./bookingSlots');
+const { assertCreditCoversMove } = require('./packages');
+const { createError } = require('../utils/httpError');
+
+// Throw unless the reschedule policy lets this party move the booking now
+const assertCanReschedule = (booking, role, now = new Date()) => {
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    throw createError(400, 'Only pending or confirmed bookings can be rescheduled');
+  }
+
+  // Admins are not bound by the policy
+  if (role === 'admin') return;
+
+  if (!policy.allowedRoles.includes(role)) {
+    throw createError(403, `Bookings cannot be rescheduled by the ${role}`);
+  }
+
+  const hoursUntilStart = (booking.startAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+  if (hoursUntilStart < policy.minNoticeHours) {
+    throw createError(400, `Bookings can only be rescheduled up to ${policy.minNoticeHours} hours before they start`);
+  }
+
+  if (booking.rescheduleHistory.length >= policy.maxReschedules) {
+    throw createError(400, `A booking can be rescheduled at most ${policy.maxReschedules} times`);
+  }
+};
+
+// Move a booking to a new start time, recording the previous time in its
+// history. `entry` describes who asked for the move and why. A booking paid
+// with a package credit can only move to a time the credit still covers.
+const moveBooking = async (booking, consultant, startAt, entry) => {
+  const previous = { startAt: booking.startAt, endAt: booking.endAt, interval: booking.getTimeInterval() };
+  const endAt = new Date(startAt.getTime() + booking.duration * 60000);
+
+  if (booking.packagePurchase) {
+    await assertCreditCoversMove(booking, consultant, startAt);
+  }
+  await assertSlotAvailable(consultant, startAt, endAt, booking._id, booking.location);
+
+  booking.startAt = startAt;
+  await booking.validate();
+  await reserveSlot(booking);
+
+  booking.rescheduleHistory.push({
+    previousStartAt: previous.startAt,
+    previousEndAt: previous.endAt,
+    newStartAt: booking.startAt,
+    newEndAt: booking.endAt,
+    ...entry
+  });
+  booking.rescheduleRequest = undefined;
+
+  try {
+    await booking.save();
+  } catch (error) {
+    // Hand the original time range back to the booking
+    await SlotReservation.reserve(booking.consultant, booking._id, previous.interval.start, previous.interval.end);
+    throw error;
+  }
+
+  return booking;
+};
+
+module.exports = {
+  assertCanReschedule,
+  moveBooking
+};
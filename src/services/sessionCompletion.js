@@ -0,0 +1,49 @@
+const Booking = require('../models/Booking');
+const GroupSession = require('../models/GroupSession');
+const { completion: policy } = require('../config/booking');
+const { changeStatus } = require('./bookingStatus');
+
+// Complete confirmed sessions that ended more than the grace period ago.
+// The consultant can still report a no-show until the booking's deadline.
+const completePastSessions = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - policy.graceMinutes * 60000);
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    endAt: { $lte: cutoff }
+  });
+
+  let completed = 0;
+  for (const booking of bookings) {
+    booking.autoCompletedAt = now;
+    booking.noShowDeadline = new Date(now.getTime() + policy.noShowWindowHours * 60 * 60000);
+    try {
+      await changeStatus(booking, 'completed', {
+        role: 'system',
+        reason: 'Completed automatically after the session ended'
+      });
+      completed++;
+    } catch (error) {
+      console.error(`Could not complete booking ${booking._id}:`, error);
+    }
+  }
+
+  // Group sessions only move on to completed; attendance is marked per seat
+  const groupSessions = await GroupSession.updateMany(
+    { status: 'scheduled', endAt: { $lte: cutoff } },
+    { status: 'completed' }
+  );
+
+  return { completed, groupSessionsCompleted: groupSessions.modifiedCount };
+};
+
+// Automatically completed bookings a consultant can still report as no-shows
+const getNoShowReviews = (consultantId, now = new Date()) => Booking.find({
+  consultant: consultantId,
+  status: 'completed',
+  noShowDeadline: { $gt: now }
+}).sort({ noShowDeadline: 1 });
+
+module.exports = {
+  completePastSessions,
+  getNoShowReviews
+};
@@ -0,0 +1,203 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Consultant = require('../models/Consultant');
+const SlotReservation = require('../models/SlotReservation');
+const { buildBooking, saveNewBooking } = require('./bookings');
+const { assertSlotAvailable } = require('./bookingSlots');
+const { getEffectiveRules } = require('./bookingRules');
+const { waitlist: policy } = require('../config/booking');
+const { createError } = require('../utils/httpError');
+
+// Hold a session's time, buffers included, for a waitlist entry
+const holdSlot = (consultant, entryId, startAt, endAt) => {
+  const rules = getEffectiveRules(consultant);
+  return SlotReservation.reserve(
+    consultant._id,
+    entryId,
+    new Date(startAt.getTime() - rules.bufferBeforeMinutes * 60000),
+    new Date(endAt.getTime() + rules.bufferAfterMinutes * 60000)
+  );
+};
+
+// Offer freed time, from `startAt` up to `freeUntil`, to the first waiting
+// client it suits. The offered session is held for that client under their
+// waitlist entry until the offer expires. Returns the entry, or null when
+// nobody in line can take the time.
+const offerSlot = async (consultantId, startAt, freeUntil, now = new Date()) => {
+  if (startAt <= now) return null;
+
+  const consultant = await Consultant.findById(consultantId);
+  if (!consultant || !consultant.isActive) return null;
+
+  const candidates = await WaitlistEntry.find({
+    consultant: consultantId,
+    status: 'waiting',
+    from: { $lte: startAt },
+    to: { $gt: startAt }
+  }).sort({ createdAt: 1 });
+
+  for (const candidate of candidates) {
+    const endAt = new Date(startAt.getTime() + candidate.duration * 60000);
+    if (endAt > freeUntil || !candidate.accepts(startAt)) continue;
+
+    // Clients are not offered the same time twice
+    if (candidate.offerHistory.some(offer => offer.startAt.getTime() === startAt.getTime())) continue;
+
+    try {
+      await assertSlotAvailable(consultant, startAt, endAt, null, candidate.location);
+    } catch (error) {
+      if (error.statusCode) continue;
+      throw error;
+    }
+
+    // Someone booked the time in the meantime
+    if (!(await holdSlot(consultant, candidate._id, startAt, endAt))) return null;
+
+    const expiresAt = new Date(Math.min(now.getTime() + policy.offerMinutes * 60000, startAt.getTime()));
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: candidate._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offer: { startAt, endAt, freeUntil, offeredAt: now, expiresAt }
+      },
+      { new: true }
+    );
+    if (offered) return offered;
+
+    // The client left the waitlist meanwhile
+    await SlotReservation.release(candidate._id);
+  }
+
+  return null;
+};
+
+// Offer the time of a cancelled booking to the waitlist
+const offerFreedBooking = (booking, now = new Date()) => offerSlot(booking.consultant, booking.startAt, booking.endAt, now);
+
+// Close an entry's open offer with `outcome`, moving the entry to `status`.
+// The held time is released and passed on to the next client in line. Only
+// the first caller closes a given offer; later ones get null.
+const closeOffer = async (entry, outcome, status, now = new Date()) => {
+  const { offer } = entry;
+  const closed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offer.offeredAt': offer.offeredAt },
+    {
+      status,
+      $unset: { offer: 1 },
+      $push: {
+        offerHistory: {
+          startAt: offer.startAt,
+          endAt: offer.endAt,
+          offeredAt: offer.offeredAt,
+          outcome,
+          resolvedAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!closed) return null;
+
+  await SlotReservation.release(entry._id);
+  await offerSlot(entry.consultant, offer.startAt, offer.freeUntil, now);
+  return closed;
+};
+
+// Where an entry goes after passing on an offer: range entries keep waiting
+// while their range lasts, slot entries have missed their only slot
+const statusAfterOffer = (entry, now) => (entry.type === 'range' && entry.to > now ? 'waiting' : 'expired');
+
+const declineOffer = (entry, now = new Date()) => closeOffer(entry, 'declined', statusAfterOffer(entry, now), now);
+
+// Leave the waitlist, handing any held time to the next client
+const leaveWaitlist = async (entry, now = new Date()) => {
+  if (entry.status === 'offered') {
+    return closeOffer(entry, 'withdrawn', 'cancelled', now);
+  }
+  return WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+};
+
+// Book the offered time for the entry's client. The held slots move from the
+// entry to the new booking, so nobody else can take the time in between.
+const claimOffer = async (entry, client, now = new Date()) => {
+  if (entry.status !== 'offered' || entry.offer.expiresAt <= now) {
+    throw createError(409, 'This offer is no longer available');
+  }
+
+  const consultant = await Consultant.findById(entry.consultant);
+  if (!consultant || !consultant.isActive) {
+    throw createError(404, 'Consultant not found');
+  }
+
+  const { offer } = entry;
+  const booking = await buildBooking({
+    client,
+    consultant,
+    category: entry.category,
+    startAt: offer.startAt,
+    duration: entry.duration,
+    meetingType: entry.meetingType,
+    location: entry.location,
+    notes: entry.notes
+  });
+
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offer.expiresAt': { $gt: now } },
+    {
+      status: 'booked',
+      booking: booking._id,
+      $unset: { offer: 1 },
+      $push: {
+        offerHistory: {
+          startAt: offer.startAt,
+          endAt: offer.endAt,
+          offeredAt: offer.offeredAt,
+          outcome: 'claimed',
+          resolvedAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    throw createError(409, 'This offer is no longer available');
+  }
+
+  await SlotReservation.updateMany({ booking: entry._id }, { booking: booking._id });
+  try {
+    await saveNewBooking(booking);
+  } catch (error) {
+    // Reopen the offer so the client can try again until it expires
+    await holdSlot(consultant, entry._id, offer.startAt, offer.endAt);
+    await WaitlistEntry.updateOne(
+      { _id: entry._id },
+      { status: 'offered', offer, $unset: { booking: 1 }, $pop: { offerHistory: 1 } }
+    );
+    throw error;
+  }
+
+  return { entry: claimed, booking };
+};
+
+// Pass on offers that were not claimed in time, and retire entries whose
+// range has ended. Safe to run from several processes at once.
+const expireOffers = async (now = new Date()) => {
+  const expired = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+  for (const entry of expired) {
+    await closeOffer(entry, 'expired', statusAfterOffer(entry, now), now);
+  }
+
+  await WaitlistEntry.updateMany({ status: 'waiting', to: { $lte: now } }, { status: 'expired' });
+};
+
+module.exports = {
+  offerSlot,
+  offerFreedBooking,
+  declineOffer,
+  leaveWaitlist,
+  claimOffer,
+  expireOffers
+};
@@ -0,0 +1,120 @@
+// Helpers for weekly availability schedules, on consultant profiles and
+// locations
+const { TIME_REGEX, END_TIME_REGEX, DAYS, timeToMinutes, minutesToTime } = require('./time');
+const { toZonedDateTime, zonedTimeToUtc, addDays } = require('./timezone');
+
+// Return an error message for an invalid list of windows, or null when valid.
+// Windows must be well-formed, end after they start and not overlap.
+const validateWindows = (windows) => {
+  if (!Array.isArray(windows)) return 'Availability windows must be an array';
+
+  for (const window of windows) {
+    if (!window || !TIME_REGEX.test(window.startTime) || !END_TIME_REGEX.test(window.endTime)) {
+      return 'Availability windows must have start and end times in HH:MM format';
+    }
+    if (timeToMinutes(window.startTime) >= timeToMinutes(window.endTime)) {
+      return 'Availability windows must end after they start';
+    }
+  }
+
+  const sorted = [...windows].sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+  for (let i = 1; i < sorted.length; i++) {
+    if (timeToMinutes(sorted[i].startTime) < timeToMinutes(sorted[i - 1].endTime)) {
+      return 'Availability windows must not overlap';
+    }
+  }
+
+  return null;
+};
+
+// Convert a day in either the current ({ isAvailable, windows }) or the legacy
+// ({ isAvailable, startTime, endTime }) shape to the current shape
+const normalizeDay = (day) => {
+  if (!day) return { isAvailable: false, windows: [] };
+
+  if (Array.isArray(day.windows)) {
+    const windows = day.windows
+      .map(window => ({ startTime: window.startTime, endTime: window.endTime }))
+      .sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+    return { isAvailable: Boolean(day.isAvailable), windows };
+  }
+
+  const hasHours = TIME_REGEX.test(day.startTime) && END_TIME_REGEX.test(day.endTime) &&
+    timeToMinutes(day.startTime) < timeToMinutes(day.endTime);
+
+  return {
+    isAvailable: Boolean(day.isAvailable) && hasHours,
+    windows: hasHours ? [{ startTime: day.startTime, endTime: day.endTime }] : []
+  };
+};
+
+// Normalize a whole weekly schedule, keeping only known weekdays
+const normalizeAvailability = (availability = {}) => {
+  return DAYS.reduce((schedule, dayName) => {
+    if (availability[dayName] !== undefined) {
+      schedule[dayName] = normalizeDay(availability[dayName]);
+    }
+    return schedule;
+  }, {});
+};
+
+// Absolute intervals overlapping a time range, from the windows (minutes
+// since midnight) `getWindows` returns for each "YYYY-MM-DD" day. Windows are
+// read in the time zone, so DST changes shift them correctly, and windows
+// that meet at midnight merge so sessions can run across days.
+const windowsToIntervals = (getWindows, from, to, timeZone) => {
+  const lastDay = toZonedDateTime(to, timeZone).date;
+
+  const intervals = [];
+  for (let day = addDays(toZonedDateTime(from, timeZone).date, -1); day <= lastDay; day = addDays(day, 1)) {
+    getWindows(day).forEach(window => {
+      intervals.push({
+        start: zonedTimeToUtc(day, minutesToTime(window.start), timeZone),
+        end: window.end >= 1440
+          ? zonedTimeToUtc(addDays(day, 1), '00:00', timeZone)
+          : zonedTimeToUtc(day, minutesToTime(window.end), timeZone)
+      });
+    });
+  }
+
+  return intervals
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        if (interval.end > last.end) last.end = interval.end;
+      } else {
+        merged.push(interval);
+      }
+      return merged;
+    }, [])
+    .filter(interval => interval.end > new Date(from) && interval.start < new Date(to));
+};
+
+// Time covered by both of two sorted, non-overlapping interval lists
+const intersectIntervals = (first, second) => {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < first.length && j < second.length) {
+    const start = first[i].start > second[j].start ? first[i].start : second[j].start;
+    const end = first[i].end < second[j].end ? first[i].end : second[j].end;
+    if (start < end) {
+      result.push({ start, end });
+    }
+    if (first[i].end < second[j].end) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  validateWindows,
+  windowsToIntervals,
+  intersectIntervals,
+  normalizeDay,
+  normalizeAvailability
+};
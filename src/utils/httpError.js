@@ -0,0 +1,12 @@
+// Create an Error carrying an HTTP status code. Thrown from route handlers or
+// services, it is turned into a JSON response by the error handler middleware.
+const createError = (statusCode, message, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (data) {
+    error.data = data;
+  }
+  return error;
+};
+
+module.exports = { createError };
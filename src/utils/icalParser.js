@@ -0,0 +1,314 @@
+// Reads busy time out of iCalendar (RFC 5545) data: events, with their
+// recurrence rules, exceptions and all-day dates, expanded into time ranges
+const { isValidTimeZone, zonedTimeToUtc, toZonedDateTime, addDays } = require('./timezone');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bounds that keep a hostile or broken file from running away
+const MAX_ITERATIONS = 50000;
+const MAX_INSTANCES_PER_EVENT = 2000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const dayKey = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Undo line folding and split into "NAME;PARAMS:VALUE" lines
+const unfold = (text) => text
+  .replace(/\r\n/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim() !== '');
+
+// Parse one content line into its name, parameters and value
+const parseLine = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// A DATE or DATE-TIME value as a wall-clock day and time in a time zone.
+// Floating times and unknown zones are read in `defaultTimeZone`.
+const parseDateValue = (value, params, defaultTimeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const day = `${match[1]}-${match[2]}-${match[3]}`;
+  if (params.VALUE === 'DATE' || match[4] === undefined) {
+    return { day, time: null, allDay: true };
+  }
+
+  let timeZone = defaultTimeZone;
+  if (match[7]) {
+    timeZone = 'UTC';
+  } else if (params.TZID && isValidTimeZone(params.TZID)) {
+    timeZone = params.TZID;
+  }
+
+  return { day, time: `${match[4]}:${match[5]}`, allDay: false, timeZone };
+};
+
+// Instant of a parsed date; all-day dates start at midnight in `timeZone`
+const toInstant = (date, timeZone) => (date.allDay
+  ? zonedTimeToUtc(date.day, '00:00', timeZone)
+  : zonedTimeToUtc(date.day, date.time, date.timeZone));
+
+// Length of an ISO 8601 duration such as PT1H30M or P1D, in milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+const parseRule = (value) => value.split(';').reduce((rule, part) => {
+  const [key, rest] = part.split('=');
+  if (key && rest !== undefined) rule[key.toUpperCase()] = rest;
+  return rule;
+}, {});
+
+const numberList = (value) => (value ? value.split(',').map(Number).filter(n => !isNaN(n) && n !== 0) : []);
+
+// BYDAY entries such as "MO", "2TU" or "-1FR"
+const dayList = (value) => (value ? value.split(',') : [])
+  .map(entry => /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(entry.trim().toUpperCase()))
+  .filter(match => match && WEEKDAYS.includes(match[2]))
+  .map(match => ({ ordinal: match[1] ? parseInt(match[1], 10) : 0, day: WEEKDAYS.indexOf(match[2]) }));
+
+// Days of a month matching BYDAY entries. Ordinals pick the nth (or nth from
+// last) matching weekday; entries without one match every such weekday.
+const monthDaysByWeekday = (year, month, byDay) => {
+  const length = daysInMonth(year, month);
+  const days = [];
+  byDay.forEach(({ ordinal, day }) => {
+    const matches = [];
+    for (let date = 1; date <= length; date++) {
+      if (weekday(dayKey(year, month, date)) === day) matches.push(date);
+    }
+    if (ordinal === 0) days.push(...matches);
+    else if (ordinal > 0 && matches[ordinal - 1]) days.push(matches[ordinal - 1]);
+    else if (ordinal < 0 && matches[matches.length + ordinal]) days.push(matches[matches.length + ordinal]);
+  });
+  return days;
+};
+
+// Days of a month matching BYMONTHDAY entries; negative values count back
+// from the last day
+const monthDaysByNumber = (year, month, byMonthDay) => {
+  const length = daysInMonth(year, month);
+  return byMonthDay
+    .map(day => (day > 0 ? day : length + day + 1))
+    .filter(day => day >= 1 && day <= length);
+};
+
+// Candidate days of the nth period of a rule, in order
+const periodDays = (rule, first, index) => {
+  const interval = Math.max(parseInt(rule.INTERVAL, 10) || 1, 1);
+  const byDay = dayList(rule.BYDAY);
+  const byMonthDay = numberList(rule.BYMONTHDAY);
+  const [year, month, date] = first.split('-').map(Number);
+
+  switch (rule.FREQ) {
+    case 'DAILY': {
+      const day = addDays(first, index * interval);
+      return byDay.length === 0 || byDay.some(entry => entry.day === weekday(day)) ? [day] : [];
+    }
+    case 'WEEKLY': {
+      // Weeks start on Monday
+      const weekStart = addDays(first, -((weekday(first) + 6) % 7) + index * interval * 7);
+      const days = byDay.length ? byDay.map(entry => entry.day) : [weekday(first)];
+      return [0, 1, 2, 3, 4, 5, 6]
+        .map(offset => addDays(weekStart, offset))
+        .filter(day => days.includes(weekday(day)));
+    }
+    case 'MONTHLY': {
+      const monthIndex = month - 1 + index * interval;
+      const targetYear = year + Math.floor(monthIndex / 12);
+      const targetMonth = (monthIndex % 12) + 1;
+      let days;
+      if (byMonthDay.length) days = monthDaysByNumber(targetYear, targetMonth, byMonthDay);
+      else if (byDay.length) days = monthDaysByWeekday(targetYear, targetMonth, byDay);
+      else days = date <= daysInMonth(targetYear, targetMonth) ? [date] : [];
+      return [...new Set(days)].sort((a, b) => a - b).map(day => dayKey(targetYear, targetMonth, day));
+    }
+    case 'YEARLY': {
+      const targetYear = year + index * interval;
+      const months = numberList(rule.BYMONTH).filter(m => m >= 1 && m <= 12);
+      const days = [];
+      (months.length ? months : [month]).sort((a, b) => a - b).forEach(targetMonth => {
+        const monthDays = byMonthDay.length
+          ? monthDaysByNumber(targetYear, targetMonth, byMonthDay)
+          : byDay.length
+            ? monthDaysByWeekday(targetYear, targetMonth, byDay)
+            : (date <= daysInMonth(targetYear, targetMonth) ? [date] : []);
+        [...new Set(monthDays)].sort((a, b) => a - b).forEach(day => days.push(dayKey(targetYear, targetMonth, day)));
+      });
+      return days;
+    }
+    default:
+      return null;
+  }
+};
+
+// Start days of the occurrences of an event between `firstDay` and `lastDay`,
+// following its RRULE. The event's own start is always the first occurrence
+// and counts towards COUNT. `startOf(day)` gives an occurrence's start instant.
+const expandDays = (event, { firstDay, lastDay, startOf }) => {
+  const first = event.start.day;
+  const days = [];
+  const keep = (day) => {
+    if (day >= firstDay) days.push(day);
+  };
+
+  keep(first);
+  if (!event.rrule) return days;
+
+  const rule = event.rrule;
+  const count = parseInt(rule.COUNT, 10) || Infinity;
+  const until = rule.UNTIL ? parseDateValue(rule.UNTIL, {}, 'UTC') : null;
+  const isAfterUntil = (day) => {
+    if (!until) return false;
+    return until.allDay ? day > until.day : startOf(day) > toInstant(until, 'UTC');
+  };
+
+  let occurrences = 1;
+  for (let index = 0; index < MAX_ITERATIONS; index++) {
+    const candidates = periodDays(rule, first, index);
+    if (candidates === null) break;
+
+    let done = false;
+    for (const day of candidates) {
+      if (day <= first) continue;
+      if (day > lastDay || occurrences >= count || isAfterUntil(day) || days.length >= MAX_INSTANCES_PER_EVENT) {
+        done = true;
+        break;
+      }
+      occurrences++;
+      keep(day);
+    }
+    if (done) break;
+  }
+
+  return days;
+};
+
+// Parse the VEVENTs of a calendar. Times without a usable zone are read in
+// `defaultTimeZone`.
+const parseEvents = (text, defaultTimeZone) => {
+  const events = [];
+  let current = null;
+
+  unfold(text).forEach(line => {
+    const property = parseLine(line);
+    if (!property) return;
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = { exdates: [] };
+      return;
+    }
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (current && current.start) events.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    switch (name) {
+      case 'UID': current.uid = value; break;
+      case 'SUMMARY': current.summary = value; break;
+      case 'STATUS': current.status = value.toUpperCase(); break;
+      case 'TRANSP': current.transparent = value.toUpperCase() === 'TRANSPARENT'; break;
+      case 'DTSTART': current.start = parseDateValue(value, params, defaultTimeZone); break;
+      case 'DTEND': current.end = parseDateValue(value, params, defaultTimeZone); break;
+      case 'DURATION': current.duration = parseDuration(value); break;
+      case 'RRULE': current.rrule = parseRule(value); break;
+      case 'RECURRENCE-ID': current.recurrenceId = parseDateValue(value, params, defaultTimeZone); break;
+      case 'EXDATE':
+        value.split(',').forEach(item => {
+          const date = parseDateValue(item, params, defaultTimeZone);
+          if (date) current.exdates.push(date);
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+// Busy time ranges from iCalendar text that overlap `from`..`to`. All-day
+// events block whole days in `timeZone`; cancelled and transparent (free)
+// events are skipped. Each range is { start, end, allDay, uid }.
+const extractBusyRanges = (text, { timeZone, from, to }) => {
+  const events = parseEvents(text, timeZone);
+  const firstDay = addDays(toZonedDateTime(from, 'UTC').date, -1);
+  const lastDay = addDays(toZonedDateTime(to, 'UTC').date, 1);
+
+  // Instances moved or cancelled through RECURRENCE-ID replace the generated ones
+  const overridden = new Set(events
+    .filter(event => event.recurrenceId)
+    .map(event => `${event.uid}|${toInstant(event.recurrenceId, timeZone).getTime()}`));
+
+  const ranges = [];
+  events.forEach(event => {
+    if (event.status === 'CANCELLED' || event.transparent) return;
+
+    const { start } = event;
+    const startInstant = toInstant(start, timeZone);
+    let lengthMs;
+    let lengthDays = 1;
+    if (start.allDay) {
+      if (event.end && event.end.allDay) {
+        lengthDays = Math.max(Math.round((Date.parse(event.end.day) - Date.parse(start.day)) / 86400000), 1);
+      } else if (event.duration) {
+        lengthDays = Math.max(Math.round(event.duration / 86400000), 1);
+      }
+    } else if (event.end) {
+      lengthMs = toInstant(event.end, timeZone).getTime() - startInstant.getTime();
+    } else {
+      lengthMs = event.duration || 0;
+    }
+    if (!start.allDay && !(lengthMs > 0)) return;
+
+    const startOf = (day) => (start.allDay
+      ? zonedTimeToUtc(day, '00:00', timeZone)
+      : zonedTimeToUtc(day, start.time, start.timeZone));
+    const excluded = new Set(event.exdates.map(date => toInstant(date, timeZone).getTime()));
+    const days = event.recurrenceId ? [start.day] : expandDays(event, { firstDay, lastDay, startOf });
+
+    days.forEach(day => {
+      const instanceStart = startOf(day);
+      if (excluded.has(instanceStart.getTime())) return;
+      if (!event.recurrenceId && overridden.has(`${event.uid}|${instanceStart.getTime()}`)) return;
+
+      const instanceEnd = start.allDay
+        ? zonedTimeToUtc(addDays(day, lengthDays), '00:00', timeZone)
+        : new Date(instanceStart.getTime() + lengthMs);
+
+      if (instanceStart < to && instanceEnd > from) {
+        ranges.push({ start: instanceStart, end: instanceEnd, allDay: start.allDay, uid: event.uid });
+      }
+    });
+  });
+
+  return ranges.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  parseEvents,
+  extractBusyRanges
+};
@@ -0,0 +1,94 @@
+// Minimal PDF (1.4) writer for simple text documents such as invoices. It
+// only knows the standard Helvetica fonts, so text is limited to Latin-1;
+// other characters are printed as '?'.
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  F1: 'Helvetica',
+  F2: 'Helvetica-Bold'
+};
+
+// Escape a string literal and keep it within the font's encoding
+const escapeText = (value) => String(value)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+// Rough width of Helvetica text in points, enough to right-align amounts
+const textWidth = (text, size) => String(text).length * size * 0.5;
+
+// Content stream for a page. Each element is a text run
+// { x, y, text, size = 10, bold = false, align = 'left' | 'right' } or a rule
+// { line: [x1, y1, x2, y2] }. Coordinates are in points from the top left.
+const pageContent = (elements) => elements.map(element => {
+  if (element.line) {
+    const [x1, y1, x2, y2] = element.line;
+    return `0.5 w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`;
+  }
+
+  const size = element.size || 10;
+  const x = element.align === 'right' ? element.x - textWidth(element.text, size) : element.x;
+  return [
+    'BT',
+    `/${element.bold ? 'F2' : 'F1'} ${size} Tf`,
+    `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - element.y)} Td`,
+    `(${escapeText(element.text)}) Tj`,
+    'ET'
+  ].join('\n');
+}).join('\n');
+
+// A complete document, one page per element list
+const buildPdf = ({ title, pages }) => {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontIds = Object.entries(FONTS).map(([key, name]) => [
+    key,
+    add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`)
+  ]);
+  const fontResources = fontIds.map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+
+  const pageIds = pages.map(elements => {
+    const content = Buffer.from(pageContent(elements), 'latin1');
+    const contentId = add(`<< /Length ${content.length} >>\nstream\n${content.toString('latin1')}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = add(`<< /Title (${escapeText(title || '')}) /Producer (Zentro) >>`);
+
+  // Byte offsets of every object make up the cross-reference table
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  buildPdf
+};
@@ -0,0 +1,122 @@
+// Fetch text from URLs supplied by users without letting them reach the
+// server's own network: every address a request connects to, on every
+// redirect hop, must be a public one.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createError } = require('./httpError');
+
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT,
+// multicast and other reserved ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return !blocked.check(address, 'ipv4');
+  if (family === 6) {
+    // IPv4-mapped addresses are judged by the IPv4 address they carry
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPublicAddress(mapped[1]);
+    return !blocked.check(address, 'ipv6');
+  }
+  return false;
+};
+
+const notAllowed = () => createError(400, 'Calendar feed address is not allowed');
+
+// DNS lookup for http(s).request that refuses non-public addresses. Checking
+// at connect time means a name cannot resolve differently afterwards.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+      return callback(notAllowed());
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// One request without following redirects
+const requestOnce = (url, { maxBytes, signal }) => new Promise((resolve, reject) => {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  // Literal addresses never go through the lookup
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    return reject(notAllowed());
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.get(url, { lookup: publicLookup, signal }, (response) => {
+    const { statusCode, headers } = response;
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      return resolve({ redirect: headers.location });
+    }
+    if (statusCode < 200 || statusCode >= 300) {
+      response.resume();
+      return reject(createError(502, `Calendar feed responded with ${statusCode}`));
+    }
+
+    const tooLarge = () => createError(400, 'Calendar feed is too large');
+    if (parseInt(headers['content-length'], 10) > maxBytes) {
+      response.destroy();
+      return reject(tooLarge());
+    }
+
+    // Stop reading as soon as the body passes the limit
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        return reject(tooLarge());
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve({ text: Buffer.concat(chunks).toString('utf8') }));
+    response.on('error', reject);
+  });
+  request.on('error', reject);
+});
+
+// Read a public http(s) URL as text, at most `maxBytes` long. Redirects are
+// followed by hand so each hop is checked like the first.
+const fetchPublicText = async (source, { maxBytes, timeoutMs }) => {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let url = new URL(source);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw notAllowed();
+    }
+
+    let result;
+    try {
+      result = await requestOnce(url, { maxBytes, signal });
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw createError(502, `Calendar feed could not be read: ${error.message}`);
+    }
+    if (!result.redirect) return result.text;
+    url = new URL(result.redirect, url);
+  }
+  throw createError(502, 'Calendar feed redirected too many times');
+};
+
+module.exports = {
+  isPublicAddress,
+  fetchPublicText
+};
@@ -0,0 +1,44 @@
+// Occurrence dates for recurring booking series
+const { toZonedDateTime, zonedTimeToUtc, addDays } = require('./timezone');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const MAX_OCCURRENCES = 52;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Calendar day of the nth occurrence after a "YYYY-MM-DD" day. Monthly
+// occurrences keep the day of the month, or use the last day of shorter months.
+const occurrenceDay = (firstDay, frequency, index) => {
+  if (frequency === 'weekly') return addDays(firstDay, index * 7);
+  if (frequency === 'biweekly') return addDays(firstDay, index * 14);
+
+  const [year, month, day] = firstDay.split('-').map(Number);
+  const monthIndex = month - 1 + index;
+  const targetYear = year + Math.floor(monthIndex / 12);
+  const targetMonth = monthIndex % 12;
+  const lastDay = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+  return `${targetYear}-${pad(targetMonth + 1)}-${pad(Math.min(day, lastDay))}`;
+};
+
+// Start instants of a series. Occurrences keep the wall-clock time of the
+// first one in `timeZone`, so they do not drift across DST changes. The series
+// stops after `count` occurrences or after the `until` day, whichever is first.
+const generateOccurrences = (firstStart, { frequency, count, until, timeZone }) => {
+  const first = toZonedDateTime(firstStart, timeZone);
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const occurrences = [];
+
+  for (let index = 0; index < limit; index++) {
+    const day = occurrenceDay(first.date, frequency, index);
+    if (until && day > until) break;
+    occurrences.push(zonedTimeToUtc(day, first.time, timeZone));
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  generateOccurrences
+};
@@ -0,0 +1,45 @@
+// Helpers for working with "HH:MM" time strings and calendar days
+
+const TIME_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+// End times may also be "24:00" so a window can run to the end of the day
+const END_TIME_REGEX = /^(([01]?[0-9]|2[0-3]):[0-5][0-9]|24:00)$/;
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Convert "HH:MM" to minutes since midnight
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since midnight to "HH:MM" (wraps past midnight)
+const minutesToTime = (totalMinutes) => {
+  const minutesInDay = ((totalMinutes % 1440) + 1440) % 1440;
+  const hours = Math.floor(minutesInDay / 60);
+  const minutes = minutesInDay % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Add a number of minutes to a "HH:MM" time
+const addMinutes = (time, minutes) => minutesToTime(timeToMinutes(time) + minutes);
+
+// "YYYY-MM-DD" for the UTC calendar day of a date
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// UTC midnight of the calendar day of a date
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+module.exports = {
+  TIME_REGEX,
+  END_TIME_REGEX,
+  DAYS,
+  DAY_MS,
+  toDateKey,
+  startOfDay,
+  timeToMinutes,
+  minutesToTime,
+  addMinutes
+};
@@ -0,0 +1,99 @@
+// Time zone helpers built on the Intl API (IANA zone names, DST aware)
+const { DAY_MS, minutesToTime, timeToMinutes } = require('./time');
+
+const formatters = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatters[timeZone];
+};
+
+// Check that a string is a time zone name the runtime knows
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+};
+
+// Offset of a time zone from UTC at an instant, in minutes
+const getOffsetMinutes = (date, timeZone) => {
+  const time = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const parts = getZonedParts(time, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return (asUtc - time) / 60000;
+};
+
+// Local calendar day ("YYYY-MM-DD") and time ("HH:MM") of an instant
+const toZonedDateTime = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`
+  };
+};
+
+// Instant for a local calendar day and "HH:MM" time in a time zone.
+// Times skipped by a DST change resolve to the same distance past the change;
+// times repeated by a DST change resolve to their first occurrence.
+const zonedTimeToUtc = (dateKey, time, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + timeToMinutes(time) * 60000;
+
+  const offsetBefore = getOffsetMinutes(wallClock - DAY_MS / 2, timeZone);
+  const offsetAfter = getOffsetMinutes(wallClock + DAY_MS / 2, timeZone);
+  const candidates = [wallClock - offsetBefore * 60000, wallClock - offsetAfter * 60000]
+    .filter(candidate => {
+      const local = toZonedDateTime(candidate, timeZone);
+      return local.date === dateKey && local.time === minutesToTime(timeToMinutes(time));
+    });
+
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+  return new Date(wallClock - offsetBefore * 60000);
+};
+
+// Shift a "YYYY-MM-DD" calendar day by a number of days
+const addDays = (dateKey, days) => {
+  return new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getOffsetMinutes,
+  toZonedDateTime,
+  zonedTimeToUtc,
+  addDays
+};
@@ -0,0 +1,428 @@
+// Keeps Mongoose models in memory so services can be tested without a
+// database. Each query and update runs on its own turn of the event loop and
+// applies in one step, like a single MongoDB operation, so concurrent calls
+// interleave the way they would against a server. Unique indexes, sparse
+// and partial ones included, are enforced with duplicate key errors (code
+// 11000).
+//
+// Supported: equality and $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+// $exists, $elemMatch, $not, $or, $and and comparison $expr filters;
+// $set, $unset, $inc, $push, $pull, $addToSet and $setOnInsert updates.
+// Only validation runs when documents are saved; other middleware does not.
+const mongoose = require('mongoose');
+
+// Calls that reach the real driver fail at once instead of waiting for a
+// connection that never comes
+mongoose.set('bufferCommands', false);
+
+// Documents as stored: no virtuals, getters or schema transforms
+const STORED = { depopulate: true, virtuals: false, getters: false, transform: false };
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !isObjectId(value) && !(value instanceof Date);
+
+const isOperatorObject = (value) => isPlainObject(value) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+// Copy of a value as it would be stored; documents become plain objects
+const clone = (value) => {
+  if (value && typeof value.toObject === 'function' && !isObjectId(value)) {
+    return clone(value.toObject(STORED));
+  }
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+// Comparable form of a value: IDs as strings, dates as numbers
+const normalize = (value) => {
+  if (isObjectId(value)) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  if (value === undefined) return null;
+  if (Array.isArray(value)) return value.map(normalize);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+  }
+  return value;
+};
+
+const same = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const compare = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === null || right === null) return null;
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// Every value a dotted path reaches, looking into arrays on the way. An
+// array at the end of the path is matched both whole and by element.
+const resolve = (value, parts) => {
+  if (parts.length === 0) return Array.isArray(value) ? [value, ...value] : [value];
+  if (Array.isArray(value)) return value.flatMap(item => resolve(item, parts));
+  if (!isPlainObject(value)) return [undefined];
+  return resolve(value[parts[0]], parts.slice(1));
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((object, key) => {
+    if (!isPlainObject(object[key])) object[key] = {};
+    return object[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const parent = getPath(doc, parts.join('.')) || (parts.length ? undefined : doc);
+  if (isPlainObject(parent)) delete parent[last];
+};
+
+const evaluate = (doc, operand) => (typeof operand === 'string' && operand.startsWith('$')
+  ? getPath(doc, operand.slice(1))
+  : operand);
+
+const EXPRESSIONS = {
+  $lt: (a, b) => compare(a, b) !== null && compare(a, b) < 0,
+  $lte: (a, b) => compare(a, b) !== null && compare(a, b) <= 0,
+  $gt: (a, b) => compare(a, b) !== null && compare(a, b) > 0,
+  $gte: (a, b) => compare(a, b) !== null && compare(a, b) >= 0,
+  $eq: (a, b) => same(a, b),
+  $ne: (a, b) => !same(a, b)
+};
+
+const matchesExpression = (doc, expression) => Object.entries(expression).every(([operator, operands]) => {
+  if (!EXPRESSIONS[operator]) throw new Error(`Unsupported $expr operator ${operator}`);
+  const [a, b] = operands.map(operand => evaluate(doc, operand));
+  return EXPRESSIONS[operator](a, b);
+});
+
+let matches;
+
+const matchesCondition = (values, condition) => {
+  if (!isOperatorObject(condition)) {
+    return values.some(value => same(value, condition));
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return values.some(value => same(value, operand));
+      case '$ne': return !values.some(value => same(value, operand));
+      case '$in': return values.some(value => operand.some(item => same(value, item)));
+      case '$nin': return !values.some(value => operand.some(item => same(value, item)));
+      case '$exists': return values.some(value => value !== undefined) === Boolean(operand);
+      case '$lt': return values.some(value => compare(value, operand) !== null && compare(value, operand) < 0);
+      case '$lte': return values.some(value => compare(value, operand) !== null && compare(value, operand) <= 0);
+      case '$gt': return values.some(value => compare(value, operand) !== null && compare(value, operand) > 0);
+      case '$gte': return values.some(value => compare(value, operand) !== null && compare(value, operand) >= 0);
+      case '$elemMatch': return values.some(value => isPlainObject(value) && matches(value, operand));
+      case '$not': return !matchesCondition(values, operand);
+      default: throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+};
+
+matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+  if (key === '$and') return condition.every(branch => matches(doc, branch));
+  if (key === '$expr') return matchesExpression(doc, condition);
+  return matchesCondition(resolve(doc, key.split('.')), condition);
+});
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  // Plain fields are set, as Mongoose does, next to any operators
+  const operators = { $set: {} };
+  Object.entries(update).forEach(([key, value]) => {
+    if (key.startsWith('$')) operators[key] = { ...operators[key], ...value };
+    else operators.$set[key] = value;
+  });
+  Object.entries(operators).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (operator) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, clone(value)); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+        case '$push': setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]); break;
+        case '$addToSet': {
+          const list = getPath(doc, path) || [];
+          setPath(doc, path, list.some(item => same(item, value)) ? list : [...list, clone(value)]);
+          break;
+        }
+        case '$pull': {
+          const list = getPath(doc, path) || [];
+          setPath(doc, path, list.filter(item => !(isPlainObject(value) && isPlainObject(item)
+            ? matches(item, value)
+            : matchesCondition([item], value))));
+          break;
+        }
+        default: throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+  return doc;
+};
+
+// Fields of a filter that an upsert copies into the new document
+const equalityFields = (filter) => Object.entries(filter)
+  .filter(([key, condition]) => !key.startsWith('$') && !isOperatorObject(condition))
+  .reduce((fields, [key, condition]) => {
+    setPath(fields, key, clone(condition));
+    return fields;
+  }, {});
+
+const duplicateKeyError = (model, fields, doc) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${model.collection.name} index: ${Object.keys(fields).join('_')}`),
+  {
+    code: 11000,
+    keyPattern: fields,
+    keyValue: Object.fromEntries(Object.keys(fields).map(path => [path, getPath(doc, path)]))
+  }
+);
+
+// A query that runs once, when awaited. Projections and population are
+// ignored; the whole stored document comes back.
+class MemoryQuery {
+  constructor(run, { many = false, model } = {}) {
+    this.run = run;
+    this.many = many;
+    this.model = model;
+    this.options = {};
+  }
+
+  select() { return this; }
+  populate() { return this; }
+  session() { return this; }
+  lean() { this.options.lean = true; return this; }
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(count) { this.options.skip = count; return this; }
+  limit(count) { this.options.limit = count; return this; }
+
+  async exec() {
+    let result = await this.run(this.options);
+    if (!this.many || !Array.isArray(result)) return this.hydrate(result);
+
+    if (this.options.sort) {
+      const keys = Object.entries(this.options.sort);
+      result = [...result].sort((a, b) => {
+        for (const [key, direction] of keys) {
+          const order = compare(getPath(a, key), getPath(b, key)) || 0;
+          if (order !== 0) return order * (direction === -1 || direction === 'desc' ? -1 : 1);
+        }
+        return 0;
+      });
+    }
+    const start = this.options.skip || 0;
+    result = result.slice(start, this.options.limit ? start + this.options.limit : undefined);
+    return result.map(doc => this.hydrate(doc));
+  }
+
+  hydrate(doc) {
+    if (!doc || !this.model) return doc;
+    return this.options.lean ? clone(doc) : this.model.hydrate(clone(doc));
+  }
+
+  then(onFulfilled, onRejected) {
+    if (!this.promise) this.promise = this.exec();
+    return this.promise.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+
+  finally(onFinally) {
+    return this.then().finally(onFinally);
+  }
+}
+
+// Replace the persistence of `models` with in-memory collections until
+// jest.restoreAllMocks() is called. Returns the collections and helpers to
+// seed and inspect them.
+const useMemoryStore = (...models) => {
+  const collections = new Map(models.map(model => [model.modelName, []]));
+  const collectionOf = (model) => {
+    const docs = collections.get(model.modelName);
+    if (!docs) throw new Error(`${model.modelName} is not kept in memory`);
+    return docs;
+  };
+
+  const checkUnique = (model, doc) => {
+    const docs = collectionOf(model);
+    model.schema.indexes()
+      .filter(([, options]) => options && options.unique)
+      .forEach(([fields, options]) => {
+        const paths = Object.keys(fields);
+        const key = paths.map(path => normalize(getPath(doc, path)));
+        if (options.sparse && key.every(value => value === null)) return;
+        const partial = options.partialFilterExpression;
+        if (partial && !matches(doc, partial)) return;
+        const taken = docs.some(other => !same(other._id, doc._id) &&
+          (!partial || matches(other, partial)) &&
+          same(paths.map(path => normalize(getPath(other, path))), key));
+        if (taken) throw duplicateKeyError(model, fields, doc);
+      });
+  };
+
+  const insert = (model, doc) => {
+    checkUnique(model, doc);
+    collectionOf(model).push(doc);
+    return doc;
+  };
+
+  const replace = (model, doc) => {
+    checkUnique(model, doc);
+    const docs = collectionOf(model);
+    const index = docs.findIndex(other => same(other._id, doc._id));
+    if (index === -1) docs.push(doc);
+    else docs[index] = doc;
+    return doc;
+  };
+
+  const touch = (model, doc, now = new Date()) => {
+    if (!model.schema.options.timestamps) return doc;
+    if (!doc.createdAt) doc.createdAt = now;
+    doc.updatedAt = now;
+    return doc;
+  };
+
+  // Update the first match in one step; returns [before, after]
+  const updateFirst = (model, filter, update, { upsert = false } = {}) => {
+    const docs = collectionOf(model);
+    const found = docs.find(doc => matches(doc, filter));
+    if (found) {
+      const updated = touch(model, applyUpdate(clone(found), update));
+      replace(model, updated);
+      return [found, updated];
+    }
+    if (!upsert) return [null, null];
+
+    const created = new model(equalityFields(filter)).toObject(STORED);
+    const updated = touch(model, applyUpdate(created, update, { inserting: true }));
+    insert(model, updated);
+    return [null, updated];
+  };
+
+  const query = (model, run, many = false) => new MemoryQuery(async (options) => {
+    await tick();
+    return run(options);
+  }, { many, model });
+
+  const find = (model, filter) => collectionOf(model).filter(doc => matches(doc, filter));
+
+  models.forEach(model => {
+    jest.spyOn(model, 'find').mockImplementation((filter = {}) => query(model, () => find(model, filter), true));
+    jest.spyOn(model, 'findOne').mockImplementation((filter = {}) => query(model, () => find(model, filter)[0] || null));
+    jest.spyOn(model, 'findById').mockImplementation(id => query(model, () => find(model, { _id: id })[0] || null));
+    jest.spyOn(model, 'exists').mockImplementation(filter => new MemoryQuery(async () => {
+      await tick();
+      const doc = find(model, filter)[0];
+      return doc ? { _id: doc._id } : null;
+    }));
+    jest.spyOn(model, 'countDocuments').mockImplementation((filter = {}) => new MemoryQuery(async () => {
+      await tick();
+      return find(model, filter).length;
+    }));
+
+    jest.spyOn(model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => query(model, () => {
+      const [before, after] = updateFirst(model, filter, update, options);
+      return options.new || options.returnDocument === 'after' ? after : before;
+    }));
+    jest.spyOn(model, 'findByIdAndUpdate').mockImplementation((id, update, options) => model.findOneAndUpdate({ _id: id }, update, options));
+    jest.spyOn(model, 'updateOne').mockImplementation((filter, update, options = {}) => new MemoryQuery(async () => {
+      await tick();
+      const [before, after] = updateFirst(model, filter, update, options);
+      return {
+        acknowledged: true,
+        matchedCount: before ? 1 : 0,
+        modifiedCount: before ? 1 : 0,
+        upsertedCount: !before && after ? 1 : 0
+      };
+    }));
+    jest.spyOn(model, 'updateMany').mockImplementation((filter, update) => new MemoryQuery(async () => {
+      await tick();
+      const found = find(model, filter);
+      found.forEach(doc => replace(model, touch(model, applyUpdate(clone(doc), update))));
+      return { acknowledged: true, matchedCount: found.length, modifiedCount: found.length };
+    }));
+
+    jest.spyOn(model, 'deleteMany').mockImplementation((filter = {}) => new MemoryQuery(async () => {
+      await tick();
+      const docs = collectionOf(model);
+      const kept = docs.filter(doc => !matches(doc, filter));
+      const deletedCount = docs.length - kept.length;
+      docs.splice(0, docs.length, ...kept);
+      return { acknowledged: true, deletedCount };
+    }));
+    jest.spyOn(model, 'deleteOne').mockImplementation((filter = {}) => new MemoryQuery(async () => {
+      await tick();
+      const docs = collectionOf(model);
+      const index = docs.findIndex(doc => matches(doc, filter));
+      if (index !== -1) docs.splice(index, 1);
+      return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+    }));
+
+    // Ordered inserts stop at the first duplicate, keeping what went before
+    jest.spyOn(model, 'insertMany').mockImplementation(async (items) => {
+      await tick();
+      const docs = [];
+      for (const item of items) {
+        const doc = new model(item);
+        await doc.validate();
+        insert(model, touch(model, doc.toObject(STORED)));
+        doc.isNew = false;
+        docs.push(doc);
+      }
+      return docs;
+    });
+    jest.spyOn(model, 'create').mockImplementation(async (fields) => {
+      if (Array.isArray(fields)) return Promise.all(fields.map(item => model.create(item)));
+      return new model(fields).save();
+    });
+  });
+
+  // Documents of every model share Model.prototype.save
+  const saveOriginal = mongoose.Model.prototype.save;
+  jest.spyOn(mongoose.Model.prototype, 'save').mockImplementation(async function() {
+    const model = this.constructor;
+    if (!collections.has(model.modelName)) return saveOriginal.apply(this, arguments);
+
+    await this.validate();
+    await tick();
+    const doc = touch(model, this.toObject(STORED));
+    if (this.isNew) insert(model, doc);
+    else replace(model, doc);
+    this.set({ createdAt: doc.createdAt, updatedAt: doc.updatedAt });
+    this.isNew = false;
+    return this;
+  });
+
+  return {
+    // Store a document as is, without validation or middleware
+    seed(model, fields) {
+      const doc = new model(fields);
+      insert(model, doc.toObject(STORED));
+      return model.hydrate(clone(doc.toObject(STORED)));
+    },
+
+    // The stored documents of a model, as plain objects
+    all(model) {
+      return clone(collectionOf(model));
+    }
+  };
+};
+
+module.exports = {
+  useMemoryStore
+};
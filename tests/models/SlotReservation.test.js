@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const SlotReservation = require('../../src/models/SlotReservation');
+const { reserveSlot } = require('../../src/services/bookingSlots');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+let store;
+
+beforeEach(() => {
+  store = useMemoryStore(SlotReservation);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const at = (time) => new Date(`2026-11-02T${time}:00Z`);
+const consultant = new mongoose.Types.ObjectId();
+const newId = () => new mongoose.Types.ObjectId();
+
+// Slot start times held by each booking, as HH:MM
+const holdings = () => store.all(SlotReservation).reduce((held, { booking, slot }) => {
+  const key = booking.toString();
+  held[key] = [...(held[key] || []), slot.toISOString().slice(11, 16)].sort();
+  return held;
+}, {});
+
+describe('SlotReservation.getSlots', () => {
+  it('lists every five-minute slot a range touches', () => {
+    expect(SlotReservation.getSlots(at('09:00'), at('09:20')).map(slot => slot.toISOString().slice(11, 16)))
+      .toEqual(['09:00', '09:05', '09:10', '09:15']);
+    expect(SlotReservation.getSlots(at('09:03'), at('09:07')).map(slot => slot.toISOString().slice(11, 16)))
+      .toEqual(['09:00', '09:05']);
+  });
+});
+
+describe('SlotReservation.reserve', () => {
+  it('lets exactly one of many concurrent requests for the same time win', async () => {
+    const bookings = Array.from({ length: 5 }, newId);
+
+    const results = await Promise.all(bookings.map(booking => SlotReservation.reserve(consultant, booking, at('09:00'), at('10:00'))));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    const winner = bookings[results.indexOf(true)].toString();
+    expect(Object.keys(holdings())).toEqual([winner]);
+    expect(holdings()[winner]).toHaveLength(12);
+  });
+
+  it('never lets partly overlapping requests both win, and the loser holds nothing', async () => {
+    const first = newId();
+    const second = newId();
+
+    const results = await Promise.all([
+      SlotReservation.reserve(consultant, first, at('09:00'), at('10:00')),
+      SlotReservation.reserve(consultant, second, at('09:55'), at('11:00'))
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(Object.keys(holdings())).toHaveLength(1);
+  });
+
+  it('lets back-to-back bookings and other consultants through', async () => {
+    const results = await Promise.all([
+      SlotReservation.reserve(consultant, newId(), at('09:00'), at('10:00')),
+      SlotReservation.reserve(consultant, newId(), at('10:00'), at('11:00')),
+      SlotReservation.reserve(newId(), newId(), at('09:00'), at('10:00'))
+    ]);
+
+    expect(results).toEqual([true, true, true]);
+  });
+
+  it('moves a booking to a new range, freeing the old slots', async () => {
+    const moved = newId();
+    await SlotReservation.reserve(consultant, moved, at('09:00'), at('09:30'));
+
+    await expect(SlotReservation.reserve(consultant, moved, at('09:15'), at('09:45'))).resolves.toBe(true);
+    expect(holdings()[moved.toString()]).toEqual(['09:15', '09:20', '09:25', '09:30', '09:35', '09:40']);
+
+    await expect(SlotReservation.reserve(consultant, newId(), at('09:00'), at('09:15'))).resolves.toBe(true);
+  });
+
+  it('keeps a booking where it was when the new range is taken', async () => {
+    const moved = newId();
+    const other = newId();
+    await SlotReservation.reserve(consultant, moved, at('09:00'), at('09:15'));
+    await SlotReservation.reserve(consultant, other, at('09:30'), at('09:45'));
+
+    await expect(SlotReservation.reserve(consultant, moved, at('09:10'), at('09:40'))).resolves.toBe(false);
+    expect(holdings()).toEqual({
+      [moved.toString()]: ['09:00', '09:05', '09:10'],
+      [other.toString()]: ['09:30', '09:35', '09:40']
+    });
+  });
+
+  it('frees every slot of a released booking', async () => {
+    const released = newId();
+    await SlotReservation.reserve(consultant, released, at('09:00'), at('10:00'));
+
+    await SlotReservation.release(released);
+
+    expect(store.all(SlotReservation)).toEqual([]);
+    await expect(SlotReservation.reserve(consultant, newId(), at('09:00'), at('10:00'))).resolves.toBe(true);
+  });
+});
+
+describe('reserveSlot', () => {
+  const booking = (startAt, endAt, buffer) => new Booking({
+    consultant,
+    client: newId(),
+    startAt,
+    endAt,
+    duration: (endAt - startAt) / 60000,
+    buffer
+  });
+
+  it('holds the buffers around a booking too', async () => {
+    await reserveSlot(booking(at('09:00'), at('10:00'), { before: 0, after: 15 }));
+
+    await expect(reserveSlot(booking(at('10:10'), at('11:00')))).rejects.toMatchObject({
+      statusCode: 409, message: 'The consultant already has a booking at this time'
+    });
+    await expect(reserveSlot(booking(at('10:15'), at('11:00')))).resolves.toBeUndefined();
+  });
+});
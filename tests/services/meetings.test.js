@@ -0,0 +1,177 @@
+process.env.MEETING_PROVIDER = 'builtin';
+process.env.MEETING_BASE_URL = 'https://meet.example.test/rooms/';
+process.env.MEETING_SIGNING_SECRET = 'test-signing-secret';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Booking = require('../../src/models/Booking');
+const config = require('../../src/config/meetings');
+const builtin = require('../../src/services/meetingProviders/builtin');
+const { getMeetingConfigProblem } = require('../../src/services/meetingProviders');
+const meetingRoutes = require('../../src/routes/meetings');
+const { createMeetingLink, revokeMeetingLink, verifyRoom } = require('../../src/services/meetings');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+let store;
+
+beforeEach(() => {
+  store = useMemoryStore(Booking);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const seedBooking = (fields = {}) => store.seed(Booking, {
+  client: new mongoose.Types.ObjectId(),
+  consultant: new mongoose.Types.ObjectId(),
+  startAt: new Date('2026-11-02T09:00:00Z'),
+  endAt: new Date('2026-11-02T10:00:00Z'),
+  duration: 60,
+  totalAmount: 100,
+  status: 'confirmed',
+  meetingType: 'video',
+  ...fields
+});
+
+// Room ID and token of a join link
+const parseJoinUrl = (joinUrl) => {
+  const url = new URL(joinUrl);
+  return { roomId: url.pathname.split('/').pop(), token: url.searchParams.get('token') };
+};
+
+const storedBooking = (booking) => store.all(Booking).find(item => item._id.equals(booking._id));
+
+describe('createMeetingLink', () => {
+  it('gives a confirmed video booking a signed room URL', async () => {
+    const booking = await createMeetingLink(seedBooking());
+    const { roomId, token } = parseJoinUrl(booking.meetingLink);
+
+    expect(booking.meetingLink).toMatch(/^https:\/\/meet\.example\.test\/rooms\/[0-9a-f]{32}\?token=/);
+    expect(booking.meeting).toMatchObject({ provider: 'builtin', externalId: roomId });
+    expect(storedBooking(booking).meetingLink).toBe(booking.meetingLink);
+
+    const room = await verifyRoom(roomId, token);
+    expect(room._id.equals(booking._id)).toBe(true);
+  });
+
+  it('refuses bookings that are not confirmed or not held online', async () => {
+    await expect(createMeetingLink(seedBooking({ status: 'pending' }))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(createMeetingLink(seedBooking({ meetingType: 'in-person' }))).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('revokes the previous link when a new one is made', async () => {
+    const booking = seedBooking();
+    const first = parseJoinUrl((await createMeetingLink(booking)).meetingLink);
+    const second = parseJoinUrl((await createMeetingLink(booking)).meetingLink);
+
+    expect(second.roomId).not.toBe(first.roomId);
+    await expect(verifyRoom(first.roomId, first.token)).resolves.toBeNull();
+    await expect(verifyRoom(second.roomId, second.token)).resolves.not.toBeNull();
+  });
+
+  it('does not leave a link on a booking cancelled while the meeting was created', async () => {
+    const booking = seedBooking();
+    const createMeeting = builtin.createMeeting.bind(builtin);
+    jest.spyOn(builtin, 'createMeeting').mockImplementation(async (target) => {
+      await Booking.updateOne({ _id: target._id }, { status: 'cancelled' });
+      return createMeeting(target);
+    });
+
+    await expect(createMeetingLink(booking)).rejects.toMatchObject({ statusCode: 409 });
+    expect(storedBooking(booking).meetingLink).toBeUndefined();
+  });
+});
+
+describe('verifyRoom', () => {
+  it('rejects tokens that were not signed for the room', async () => {
+    const one = parseJoinUrl((await createMeetingLink(seedBooking())).meetingLink);
+    const other = parseJoinUrl((await createMeetingLink(seedBooking())).meetingLink);
+
+    await expect(verifyRoom(one.roomId, other.token)).resolves.toBeNull();
+    await expect(verifyRoom(one.roomId, `${one.token.slice(0, -1)}A`)).resolves.toBeNull();
+    await expect(verifyRoom(one.roomId, '')).resolves.toBeNull();
+    await expect(verifyRoom(one.roomId, undefined)).resolves.toBeNull();
+  });
+
+  it('closes the room once the link is revoked', async () => {
+    const booking = await createMeetingLink(seedBooking());
+    const { roomId, token } = parseJoinUrl(booking.meetingLink);
+
+    await revokeMeetingLink(booking);
+
+    await expect(verifyRoom(roomId, token)).resolves.toBeNull();
+    expect(storedBooking(booking).meetingLink).toBeUndefined();
+    expect(storedBooking(booking).meeting.revokedAt).toBeInstanceOf(Date);
+  });
+
+  it('closes the room when the booking is no longer confirmed', async () => {
+    const booking = await createMeetingLink(seedBooking());
+    const { roomId, token } = parseJoinUrl(booking.meetingLink);
+
+    await Booking.updateOne({ _id: booking._id }, { status: 'cancelled' });
+
+    await expect(verifyRoom(roomId, token)).resolves.toBeNull();
+  });
+});
+
+describe('GET /api/meetings/rooms/:roomId', () => {
+  const app = express().use('/api/meetings', meetingRoutes);
+
+  it('answers for an open room and refuses a revoked one', async () => {
+    const booking = await createMeetingLink(seedBooking());
+    const { roomId, token } = parseJoinUrl(booking.meetingLink);
+
+    const open = await request(app).get(`/api/meetings/rooms/${roomId}`).query({ token });
+    expect(open.status).toBe(200);
+    expect(open.body.data).toMatchObject({ room: roomId, meetingType: 'video', startAt: '2026-11-02T09:00:00.000Z' });
+
+    await revokeMeetingLink(booking);
+
+    const revoked = await request(app).get(`/api/meetings/rooms/${roomId}`).query({ token });
+    expect(revoked.status).toBe(404);
+  });
+
+  it('requires a token', async () => {
+    const response = await request(app).get('/api/meetings/rooms/abc');
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('meeting settings', () => {
+  const saved = { provider: config.provider, signingSecret: config.builtin.signingSecret };
+  const environment = process.env.NODE_ENV;
+
+  afterEach(() => {
+    config.provider = saved.provider;
+    config.builtin.signingSecret = saved.signingSecret;
+    process.env.NODE_ENV = environment;
+  });
+
+  it('need a signing secret for the built-in rooms', async () => {
+    const booking = await createMeetingLink(seedBooking());
+    const { roomId, token } = parseJoinUrl(booking.meetingLink);
+    config.builtin.signingSecret = undefined;
+
+    expect(getMeetingConfigProblem()).toBe('MEETING_SIGNING_SECRET is not set');
+    await expect(createMeetingLink(seedBooking())).rejects.toMatchObject({ statusCode: 503 });
+    await expect(verifyRoom(roomId, token)).resolves.toBeNull();
+  });
+
+  it('refuse the stub provider in production', async () => {
+    config.provider = 'stub';
+    const booking = await createMeetingLink(seedBooking());
+    const roomId = booking.meeting.externalId;
+    await expect(verifyRoom(roomId)).resolves.not.toBeNull();
+
+    process.env.NODE_ENV = 'production';
+
+    expect(getMeetingConfigProblem()).toBe('The stub meeting provider cannot be used in production');
+    await expect(createMeetingLink(seedBooking())).rejects.toMatchObject({ statusCode: 503 });
+    await expect(verifyRoom(roomId)).resolves.toBeNull();
+  });
+
+  it('refuse unknown providers', () => {
+    config.provider = 'nope';
+    expect(getMeetingConfigProblem()).toBe('Unknown meeting provider: nope');
+  });
+});
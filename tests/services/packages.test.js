@@ -0,0 +1,181 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+process.env.PAYMENT_FAKE_WEBHOOK_SECRET = 'test-webhook-secret';
+
+jest.mock('../../src/services/ledger');
+jest.mock('../../src/services/bookingStatus');
+
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const Package = require('../../src/models/Package');
+const PackagePurchase = require('../../src/models/PackagePurchase');
+const Payment = require('../../src/models/Payment');
+const fake = require('../../src/services/paymentGateways/fake');
+const { startPackageCheckout, applyGatewayEvent } = require('../../src/services/payments');
+const { purchasePackage, loadUsableCredit, redeemCredit } = require('../../src/services/packages');
+const { moveBooking } = require('../../src/services/reschedule');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+const now = new Date('2026-11-01T10:00:00Z');
+
+let store;
+
+beforeEach(() => {
+  store = useMemoryStore(Booking, Package, PackagePurchase, Payment);
+  fake.reset();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const client = { _id: new mongoose.Types.ObjectId() };
+
+const seedPackage = (fields = {}) => store.seed(Package, {
+  consultant: new mongoose.Types.ObjectId(),
+  name: 'Five sessions',
+  sessionCount: 5,
+  duration: 60,
+  price: 400,
+  currency: 'EUR',
+  validityDays: 90,
+  ...fields
+});
+
+const deliver = (payment, outcome = 'succeeded') => {
+  const { body, headers } = fake.completePayment(payment.gatewayPaymentId, outcome);
+  return fake.parseWebhook(body, headers);
+};
+
+describe('buying a package', () => {
+  it('grants nothing for a priced package until it is paid for', async () => {
+    const pkg = seedPackage();
+
+    await expect(purchasePackage(pkg, client, now)).rejects.toMatchObject({ statusCode: 400 });
+    const payment = await startPackageCheckout(pkg, client);
+
+    expect(payment).toMatchObject({ purpose: 'package', amount: 400, currency: 'EUR', status: 'pending' });
+    expect(store.all(PackagePurchase)).toEqual([]);
+    await expect(startPackageCheckout(pkg, client)).resolves.toMatchObject({ _id: payment._id });
+  });
+
+  it('grants the credits once the payment succeeds, however often it is reported', async () => {
+    const pkg = seedPackage();
+    const payment = await startPackageCheckout(pkg, client);
+    const event = deliver(payment);
+
+    await Promise.all([applyGatewayEvent('fake', event, now), applyGatewayEvent('fake', event, now)]);
+    await applyGatewayEvent('fake', event, now);
+
+    const purchases = store.all(PackagePurchase);
+    expect(purchases).toHaveLength(1);
+    expect(purchases[0]).toMatchObject({ price: 400, currency: 'EUR', creditsRemaining: 5, purchasedAt: now });
+    expect(purchases[0].payment.equals(payment._id)).toBe(true);
+  });
+
+  it('grants nothing when the payment fails', async () => {
+    const payment = await startPackageCheckout(seedPackage(), client);
+
+    await applyGatewayEvent('fake', deliver(payment, 'failed'), now);
+
+    expect(store.all(PackagePurchase)).toEqual([]);
+  });
+
+  it('refunds a payment for a package that no longer exists', async () => {
+    const pkg = seedPackage();
+    const payment = await startPackageCheckout(pkg, client);
+    await Package.deleteOne({ _id: pkg._id });
+
+    await applyGatewayEvent('fake', deliver(payment), now);
+
+    expect(store.all(PackagePurchase)).toEqual([]);
+    expect(store.all(Payment)[0]).toMatchObject({ status: 'succeeded', refundedAmount: 400 });
+  });
+
+  it('grants a free package straight away', async () => {
+    const purchase = await purchasePackage(seedPackage({ price: 0 }), client, now);
+
+    expect(purchase).toMatchObject({ price: 0, creditsRemaining: 5 });
+    expect(store.all(Payment)).toEqual([]);
+  });
+});
+
+describe('using credits', () => {
+  const session = (purchase) => ({
+    consultant: { _id: purchase.consultant },
+    duration: 60,
+    startAt: new Date('2026-11-10T09:00:00Z')
+  });
+
+  it('refuses to record a priced purchase without its payment', async () => {
+    const pkg = seedPackage();
+    const unpaid = new PackagePurchase({
+      client: client._id,
+      package: pkg._id,
+      consultant: pkg.consultant,
+      name: pkg.name,
+      duration: 60,
+      sessionCount: 5,
+      price: 400,
+      currency: 'EUR',
+      creditsRemaining: 5,
+      purchasedAt: now,
+      expiresAt: new Date('2027-01-01T00:00:00Z')
+    });
+
+    await expect(unpaid.validate()).rejects.toMatchObject({
+      errors: { payment: expect.objectContaining({ message: 'A package with a price is only granted once paid for' }) }
+    });
+    unpaid.price = 0;
+    await expect(unpaid.validate()).resolves.toBeUndefined();
+  });
+
+  it('never spends more credits than a paid purchase holds', async () => {
+    const pkg = seedPackage({ sessionCount: 2 });
+    const payment = await startPackageCheckout(pkg, client);
+    await applyGatewayEvent('fake', deliver(payment), now);
+    const [purchase] = store.all(PackagePurchase);
+    await expect(loadUsableCredit(purchase._id, client, session(purchase), now)).resolves.toMatchObject({ _id: purchase._id });
+
+    const results = await Promise.allSettled(Array.from({ length: 4 }, () => (
+      redeemCredit({ _id: new mongoose.Types.ObjectId(), packagePurchase: purchase._id }, now)
+    )));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(store.all(PackagePurchase)[0]).toMatchObject({ creditsRemaining: 0 });
+    expect(store.all(PackagePurchase)[0].usage).toHaveLength(2);
+  });
+});
+
+describe('rescheduling a booking paid with a credit', () => {
+  // A booking that took a credit from a paid purchase valid until 2027-01-01
+  const bookedWithCredit = async () => {
+    const pkg = seedPackage({ validityDays: 61 });
+    const payment = await startPackageCheckout(pkg, client);
+    await applyGatewayEvent('fake', deliver(payment), now);
+    const [purchase] = store.all(PackagePurchase);
+    const booking = store.seed(Booking, {
+      client: client._id,
+      consultant: pkg.consultant,
+      startAt: new Date('2026-11-10T09:00:00Z'),
+      endAt: new Date('2026-11-10T10:00:00Z'),
+      duration: 60,
+      totalAmount: 0,
+      status: 'confirmed',
+      packagePurchase: purchase._id
+    });
+    return { booking, consultant: { _id: pkg.consultant } };
+  };
+
+  it('refuses a move past the expiry of the credit', async () => {
+    const { booking, consultant } = await bookedWithCredit();
+
+    await expect(moveBooking(booking, consultant, new Date('2027-01-05T09:00:00Z'), { role: 'client' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Credits from this package have expired or expire before the session' });
+    expect(booking.startAt).toEqual(new Date('2026-11-10T09:00:00Z'));
+  });
+
+  it('refuses a move to another consultant', async () => {
+    const { booking } = await bookedWithCredit();
+
+    await expect(moveBooking(booking, { _id: new mongoose.Types.ObjectId() }, new Date('2026-11-12T09:00:00Z'), { role: 'admin' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,392 @@
+process.env.PAYMENT_GATEWAY = 'fake';
+process.env.PAYMENT_FAKE_WEBHOOK_SECRET = 'test-webhook-secret';
+
+jest.mock('../../src/services/ledger');
+jest.mock('../../src/services/bookingStatus');
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Booking = require('../../src/models/Booking');
+const GroupSeat = require('../../src/models/GroupSeat');
+const Payment = require('../../src/models/Payment');
+const config = require('../../src/config/payments');
+const fake = require('../../src/services/paymentGateways/fake');
+const paymentRoutes = require('../../src/routes/payments');
+const { getPaymentConfigProblem } = require('../../src/services/paymentGateways');
+const { startCheckout, applyGatewayEvent } = require('../../src/services/payments');
+const { refundPayment } = require('../../src/services/paymentRefunds');
+const { recordPayment, recordRefund } = require('../../src/services/ledger');
+const { changeStatus } = require('../../src/services/bookingStatus');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+const now = new Date('2026-11-01T10:00:00Z');
+
+let store;
+
+beforeEach(() => {
+  store = useMemoryStore(Booking, GroupSeat, Payment);
+  fake.reset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+const seedBooking = (fields = {}) => store.seed(Booking, {
+  client: new mongoose.Types.ObjectId(),
+  consultant: new mongoose.Types.ObjectId(),
+  startAt: new Date('2026-11-05T09:00:00Z'),
+  endAt: new Date('2026-11-05T10:00:00Z'),
+  duration: 60,
+  totalAmount: 120,
+  pricing: { currency: 'EUR' },
+  status: 'pending',
+  paymentStatus: 'unpaid',
+  hold: { type: 'confirmation', expiresAt: new Date('2026-11-02T10:00:00Z') },
+  ...fields
+});
+
+const stored = (model, id) => store.all(model).find(doc => doc._id.equals(id));
+
+// The webhook the fake gateway sends once a checkout is settled
+const settle = (payment, outcome = 'succeeded') => {
+  const webhook = fake.completePayment(payment.gatewayPaymentId, outcome);
+  return { ...webhook, event: fake.parseWebhook(webhook.body, webhook.headers) };
+};
+
+// A booking paid through the fake gateway
+const paidBooking = async () => {
+  const booking = seedBooking();
+  const payment = await startCheckout(booking, now);
+  await applyGatewayEvent('fake', settle(payment).event, now);
+  return { booking, payment: await Payment.findById(payment._id) };
+};
+
+describe('startCheckout', () => {
+  it('opens a checkout and holds the booking for the payment', async () => {
+    const booking = seedBooking();
+
+    const payment = await startCheckout(booking, now);
+
+    expect(payment).toMatchObject({ status: 'pending', amount: 120, currency: 'EUR', gateway: 'fake', purpose: 'booking' });
+    expect(payment.checkoutUrl).toBe(`/api/payments/fake/${payment.gatewayPaymentId}/complete`);
+    expect(fake.checkouts.get(payment.gatewayPaymentId)).toMatchObject({ amount: 120, status: 'pending' });
+    expect(stored(Booking, booking._id)).toMatchObject({
+      paymentStatus: 'pending',
+      hold: { type: 'payment', expiresAt: new Date('2026-11-02T10:00:00Z') }
+    });
+  });
+
+  it('returns the checkout already open', async () => {
+    const booking = seedBooking();
+
+    const first = await startCheckout(booking, now);
+    const second = await startCheckout(booking, now);
+
+    expect(second._id.equals(first._id)).toBe(true);
+    expect(store.all(Payment)).toHaveLength(1);
+  });
+
+  it('opens a single checkout for concurrent requests', async () => {
+    const booking = seedBooking();
+
+    const payments = await Promise.all([startCheckout(booking, now), startCheckout(booking, now), startCheckout(booking, now)]);
+
+    expect(new Set(payments.map(payment => payment._id.toString())).size).toBe(1);
+    expect(store.all(Payment)).toHaveLength(1);
+    const checkouts = [...fake.checkouts.values()];
+    expect(checkouts.filter(checkout => checkout.status === 'pending')).toHaveLength(1);
+    expect(checkouts.filter(checkout => checkout.status === 'cancelled')).toHaveLength(checkouts.length - 1);
+  });
+
+  it('refuses bookings that cannot be paid for', async () => {
+    await expect(startCheckout(seedBooking({ status: 'confirmed' }), now)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(startCheckout(seedBooking({ paymentStatus: 'paid' }), now)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(startCheckout(seedBooking({ paymentStatus: 'not-required' }), now)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(startCheckout(seedBooking({ hold: { type: 'confirmation', expiresAt: now } }), now))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(store.all(Payment)).toHaveLength(0);
+  });
+
+  it('abandons the checkout when the booking stops being pending meanwhile', async () => {
+    const booking = seedBooking();
+    const createPayment = fake.createPayment.bind(fake);
+    jest.spyOn(fake, 'createPayment').mockImplementation(async (context) => {
+      await Booking.updateOne({ _id: booking._id }, { status: 'cancelled' });
+      return createPayment(context);
+    });
+
+    await expect(startCheckout(booking, now)).rejects.toMatchObject({ statusCode: 409 });
+    const [payment] = store.all(Payment);
+    expect(payment.status).toBe('cancelled');
+    expect(fake.checkouts.get(payment.gatewayPaymentId).status).toBe('cancelled');
+  });
+});
+
+describe('fake gateway webhooks', () => {
+  it('are signed over the raw body', () => {
+    const payment = { gatewayPaymentId: 'unused' };
+    fake.checkouts.set('unused', { id: 'unused', amount: 10, status: 'pending', refunded: 0 });
+    const { body, headers } = fake.completePayment(payment.gatewayPaymentId, 'succeeded');
+
+    expect(fake.parseWebhook(body, headers)).toMatchObject({ type: 'payment.succeeded', gatewayPaymentId: 'unused', amount: 10 });
+    expect(() => fake.parseWebhook(body.replace('"amount":10', '"amount":1000'), headers))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Invalid webhook signature' }));
+    expect(() => fake.parseWebhook(body, {})).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('applyGatewayEvent', () => {
+  it('confirms a booking once its payment succeeds', async () => {
+    const booking = seedBooking();
+    const payment = await startCheckout(booking, now);
+
+    const result = await applyGatewayEvent('fake', settle(payment).event, now);
+
+    expect(result.duplicate).toBe(false);
+    expect(stored(Payment, payment._id)).toMatchObject({ status: 'succeeded', succeededAt: now });
+    expect(stored(Booking, booking._id).paymentStatus).toBe('paid');
+    expect(recordPayment).toHaveBeenCalledTimes(1);
+    expect(changeStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: booking._id }),
+      'confirmed',
+      expect.objectContaining({ role: 'system' })
+    );
+  });
+
+  it('applies a redelivered event only once', async () => {
+    const payment = await startCheckout(seedBooking(), now);
+    const { event } = settle(payment);
+
+    await applyGatewayEvent('fake', event, now);
+    const again = await applyGatewayEvent('fake', event, now);
+
+    expect(again.duplicate).toBe(true);
+    expect(recordPayment).toHaveBeenCalledTimes(1);
+    expect(changeStatus).toHaveBeenCalledTimes(1);
+    expect(stored(Payment, payment._id).events).toEqual([
+      expect.objectContaining({ eventId: event.id, type: 'payment.succeeded' })
+    ]);
+  });
+
+  it('records an event delivered twice at once a single time', async () => {
+    const payment = await startCheckout(seedBooking(), now);
+    const { event } = settle(payment);
+
+    await Promise.all([applyGatewayEvent('fake', event, now), applyGatewayEvent('fake', event, now)]);
+
+    expect(stored(Payment, payment._id).status).toBe('succeeded');
+    expect(stored(Payment, payment._id).events).toHaveLength(1);
+  });
+
+  it('lets the client pay again after a failed payment', async () => {
+    const booking = seedBooking();
+    const payment = await startCheckout(booking, now);
+
+    await applyGatewayEvent('fake', settle(payment, 'failed').event, now);
+
+    expect(stored(Payment, payment._id)).toMatchObject({ status: 'failed', failureReason: 'Card declined' });
+    expect(stored(Booking, booking._id).paymentStatus).toBe('unpaid');
+    const retry = await startCheckout(await Booking.findById(booking._id), now);
+    expect(retry._id.equals(payment._id)).toBe(false);
+  });
+
+  it('refunds money that arrives for a booking no longer open', async () => {
+    const booking = seedBooking();
+    const payment = await startCheckout(booking, now);
+    await Booking.updateOne({ _id: booking._id }, { status: 'expired' });
+
+    await applyGatewayEvent('fake', settle(payment).event, now);
+
+    expect(stored(Payment, payment._id)).toMatchObject({ status: 'succeeded', refundedAmount: 120 });
+    expect(stored(Booking, booking._id).paymentStatus).toBe('refunded');
+    expect(fake.checkouts.get(payment.gatewayPaymentId).refunded).toBe(120);
+    expect(changeStatus).not.toHaveBeenCalled();
+  });
+
+  it('keeps exactly one of two payments that succeed for a booking at once', async () => {
+    const booking = seedBooking();
+    const abandoned = await startCheckout(booking, now);
+    // The client gave up on the first checkout, but paid it after all
+    await Payment.updateOne({ _id: abandoned._id }, { status: 'cancelled', cancelledAt: now });
+    const retried = await startCheckout(booking, now);
+    const succeeded = (payment, id) => ({ id, type: 'payment.succeeded', gatewayPaymentId: payment.gatewayPaymentId });
+
+    await Promise.all([
+      applyGatewayEvent('fake', succeeded(abandoned, 'evt_1'), now),
+      applyGatewayEvent('fake', succeeded(retried, 'evt_2'), now)
+    ]);
+
+    const payments = [stored(Payment, abandoned._id), stored(Payment, retried._id)];
+    expect(payments.map(payment => payment.status)).toEqual(['succeeded', 'succeeded']);
+    expect(payments.map(payment => payment.refundedAmount).sort()).toEqual([0, 120]);
+    const kept = payments.find(payment => payment.refundedAmount === 0);
+    expect(stored(Booking, booking._id)).toMatchObject({ paymentStatus: 'paid', paidBy: kept._id });
+    expect(changeStatus).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects events for unknown payments', async () => {
+    await expect(applyGatewayEvent('fake', { id: 'evt', type: 'payment.succeeded', gatewayPaymentId: 'missing' }, now))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('refundPayment', () => {
+  it('refunds in parts up to the amount paid', async () => {
+    const { booking, payment } = await paidBooking();
+
+    const partial = await refundPayment(payment, 50, 'Goodwill', now);
+    expect(partial.refundedAmount).toBe(50);
+    expect(stored(Booking, booking._id).paymentStatus).toBe('partially-refunded');
+
+    const rest = await refundPayment(partial, 500, 'Cancelled', now);
+    expect(rest.refundedAmount).toBe(120);
+    expect(rest.refunds.map(refund => refund.amount)).toEqual([50, 70]);
+    expect(stored(Booking, booking._id).paymentStatus).toBe('refunded');
+    expect(fake.checkouts.get(payment.gatewayPaymentId).refunded).toBe(120);
+    expect(recordRefund).toHaveBeenCalledTimes(2);
+
+    await expect(refundPayment(rest, 10, 'Again', now)).resolves.toBeNull();
+  });
+
+  it('never gives back more than was paid when refunds race', async () => {
+    const { payment } = await paidBooking();
+
+    const results = await Promise.allSettled([
+      refundPayment(payment, 120, 'Cancelled by client', now),
+      refundPayment(payment, 120, 'Cancelled by consultant', now)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+    expect(stored(Payment, payment._id).refundedAmount).toBe(120);
+    expect(fake.checkouts.get(payment.gatewayPaymentId).refunded).toBe(120);
+  });
+
+  it('gives the claimed amount back when the gateway refuses', async () => {
+    const { payment } = await paidBooking();
+    jest.spyOn(fake, 'refundPayment').mockRejectedValue(new Error('Gateway down'));
+
+    await expect(refundPayment(payment, 120, 'Cancelled', now)).rejects.toThrow('Gateway down');
+    expect(stored(Payment, payment._id)).toMatchObject({ refundedAmount: 0, refunds: [] });
+  });
+
+  it('only refunds succeeded payments', async () => {
+    const payment = await startCheckout(seedBooking(), now);
+
+    await expect(refundPayment(payment, 120, 'Cancelled', now)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('POST /api/payments/webhooks/:gateway', () => {
+  const app = express()
+    .use(express.json({
+      verify: (req, res, buffer) => {
+        req.rawBody = buffer.toString('utf8');
+      }
+    }))
+    .use('/api/payments', paymentRoutes)
+    .use(errorHandler);
+
+  const deliver = (gateway, { body, headers }) => request(app)
+    .post(`/api/payments/webhooks/${gateway}`)
+    .set('Content-Type', 'application/json')
+    .set(headers)
+    .send(body);
+
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+
+  it('applies a signed event once', async () => {
+    const payment = await startCheckout(seedBooking(), now);
+    const webhook = settle(payment);
+
+    const first = await deliver('fake', webhook);
+    const second = await deliver('fake', webhook);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toEqual({ received: webhook.event.id, duplicate: false });
+    expect(second.body.data).toEqual({ received: webhook.event.id, duplicate: true });
+    expect(stored(Payment, payment._id).status).toBe('succeeded');
+  });
+
+  it('rejects a bad signature', async () => {
+    const payment = await startCheckout(seedBooking(), now);
+    const webhook = settle(payment);
+
+    const response = await deliver('fake', { ...webhook, headers: { 'x-fake-signature': 'f'.repeat(64) } });
+
+    expect(response.status).toBe(400);
+    expect(stored(Payment, payment._id).status).toBe('pending');
+  });
+
+  it('only answers for the configured gateway', async () => {
+    const payment = await startCheckout(seedBooking(), now);
+
+    const response = await deliver('stripe', settle(payment));
+
+    expect(response.status).toBe(404);
+  });
+
+  it('does not accept fake events in production', async () => {
+    const payment = await startCheckout(seedBooking(), now);
+    const webhook = settle(payment);
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      const response = await deliver('fake', webhook);
+      expect(response.status).toBe(404);
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+    expect(stored(Payment, payment._id).status).toBe('pending');
+  });
+});
+
+describe('payment settings', () => {
+  const saved = { ...config, fake: { ...config.fake } };
+  const environment = process.env.NODE_ENV;
+
+  afterEach(() => {
+    config.gateway = saved.gateway;
+    config.fake.webhookSecret = saved.fake.webhookSecret;
+    process.env.NODE_ENV = environment;
+  });
+
+  it('accept the fake gateway with a secret outside production', () => {
+    expect(getPaymentConfigProblem()).toBeNull();
+  });
+
+  it('need a gateway to be chosen', () => {
+    config.gateway = undefined;
+    expect(getPaymentConfigProblem()).toBe('PAYMENT_GATEWAY is not set');
+  });
+
+  it('refuse unknown gateways', () => {
+    config.gateway = 'nope';
+    expect(getPaymentConfigProblem()).toBe('Unknown payment gateway: nope');
+  });
+
+  it('refuse the fake gateway in production', () => {
+    process.env.NODE_ENV = 'production';
+    expect(getPaymentConfigProblem()).toBe('The fake payment gateway cannot be used in production');
+  });
+
+  it('need a webhook secret', () => {
+    config.fake.webhookSecret = undefined;
+    expect(getPaymentConfigProblem()).toBe('PAYMENT_FAKE_WEBHOOK_SECRET is not set');
+    expect(() => fake.parseWebhook('{}', {})).toThrow('PAYMENT_FAKE_WEBHOOK_SECRET is not set');
+  });
+
+  it('refuse checkouts with 503 while payments are switched off', async () => {
+    config.gateway = undefined;
+    const booking = seedBooking();
+
+    await expect(startCheckout(booking, now)).rejects.toMatchObject({ statusCode: 503 });
+    expect(store.all(Payment)).toEqual([]);
+    expect(stored(Booking, booking._id).paymentStatus).toBe('unpaid');
+  });
+});
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const Promotion = require('../../src/models/Promotion');
+const PromotionUsage = require('../../src/models/PromotionUsage');
+const { loadApplicablePromotion, redeemPromotion, releasePromotion } = require('../../src/services/promotions');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+let store;
+
+beforeEach(() => {
+  store = useMemoryStore(Booking, Promotion, PromotionUsage);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const seedPromotion = (fields = {}) => store.seed(Promotion, {
+  code: 'LAUNCH10',
+  discountType: 'percentage',
+  amount: 10,
+  ...fields
+});
+
+// The parts of a booking redeeming a code
+const bookingWith = (promotion, client = newId()) => ({
+  _id: newId(),
+  client,
+  promotion: { promotion: promotion._id }
+});
+
+const redemptionCount = () => store.all(Promotion)[0].redemptionCount;
+
+describe('redeemPromotion', () => {
+  it('lets no more bookings use a code than its overall cap, however many arrive at once', async () => {
+    const promotion = seedPromotion({ maxRedemptions: 3 });
+
+    const results = await Promise.allSettled(Array.from({ length: 10 }, () => redeemPromotion(bookingWith(promotion))));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+    results.filter(result => result.status === 'rejected').forEach(({ reason }) => {
+      expect(reason).toMatchObject({ statusCode: 409, message: 'This promo code has been fully used' });
+    });
+    expect(redemptionCount()).toBe(3);
+    expect(store.all(PromotionUsage)).toHaveLength(3);
+  });
+
+  it('holds a client to the per-client cap across concurrent bookings', async () => {
+    const promotion = seedPromotion({ maxPerClient: 2 });
+    const client = newId();
+
+    const results = await Promise.allSettled(Array.from({ length: 5 }, () => redeemPromotion(bookingWith(promotion, client))));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    results.filter(result => result.status === 'rejected').forEach(({ reason }) => {
+      expect(reason).toMatchObject({ statusCode: 409, message: 'You have already used this promo code' });
+    });
+    // Uses turned away by the per-client cap do not count overall
+    expect(redemptionCount()).toBe(2);
+    const [usage] = store.all(PromotionUsage);
+    expect(usage.count).toBe(2);
+    expect(usage.bookings).toHaveLength(2);
+  });
+
+  it('lets only one of the concurrent first bookings of a client use a first-booking code', async () => {
+    const promotion = seedPromotion({ firstBookingOnly: true });
+    const client = newId();
+
+    const results = await Promise.allSettled(Array.from({ length: 3 }, () => redeemPromotion(bookingWith(promotion, client))));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    results.filter(result => result.status === 'rejected').forEach(({ reason }) => {
+      expect(reason).toMatchObject({ statusCode: 400, message: 'This promo code is only for a first booking' });
+    });
+    expect(redemptionCount()).toBe(1);
+    expect(store.all(PromotionUsage)[0].count).toBe(1);
+  });
+
+  it('refuses a first-booking code to a client who booked meanwhile', async () => {
+    const promotion = seedPromotion({ firstBookingOnly: true });
+    const client = newId();
+    store.seed(Booking, {
+      client,
+      consultant: newId(),
+      startAt: new Date('2026-11-02T09:00:00Z'),
+      endAt: new Date('2026-11-02T10:00:00Z'),
+      duration: 60,
+      totalAmount: 100,
+      status: 'pending'
+    });
+
+    await expect(redeemPromotion(bookingWith(promotion, client))).rejects.toMatchObject({
+      statusCode: 400, message: 'This promo code is only for a first booking'
+    });
+    expect(redemptionCount()).toBe(0);
+    expect(store.all(PromotionUsage)[0]).toMatchObject({ count: 0, bookings: [] });
+  });
+
+  it('counts uses without a cap', async () => {
+    const promotion = seedPromotion();
+
+    await Promise.all(Array.from({ length: 4 }, () => redeemPromotion(bookingWith(promotion))));
+
+    expect(redemptionCount()).toBe(4);
+  });
+
+  it('refuses an inactive code', async () => {
+    const promotion = seedPromotion({ isActive: false });
+
+    await expect(redeemPromotion(bookingWith(promotion))).rejects.toMatchObject({ statusCode: 409 });
+    expect(redemptionCount()).toBe(0);
+  });
+});
+
+describe('releasePromotion', () => {
+  it('gives a use back once, so it can be taken again', async () => {
+    const promotion = seedPromotion({ maxRedemptions: 1, maxPerClient: 1 });
+    const client = newId();
+    const booking = bookingWith(promotion, client);
+    await redeemPromotion(booking);
+    await expect(redeemPromotion(bookingWith(promotion, client))).rejects.toMatchObject({ statusCode: 409 });
+
+    const released = await Promise.all([releasePromotion(booking), releasePromotion(booking)]);
+
+    expect(released.sort()).toEqual([false, true]);
+    expect(redemptionCount()).toBe(0);
+    expect(store.all(PromotionUsage)[0]).toMatchObject({ count: 0, bookings: [] });
+    await expect(redeemPromotion(bookingWith(promotion, client))).resolves.toMatchObject({ redemptionCount: 1 });
+  });
+
+  it('does nothing for a booking without a code', async () => {
+    await expect(releasePromotion({ _id: newId(), client: newId() })).resolves.toBe(false);
+  });
+});
+
+describe('loadApplicablePromotion', () => {
+  const context = (client = { _id: newId() }) => ({ client, consultant: { _id: newId() } });
+
+  it('tells clients early that a code is used up', async () => {
+    const promotion = seedPromotion({ maxRedemptions: 1, maxPerClient: 1 });
+    const client = { _id: newId() };
+    await redeemPromotion(bookingWith(promotion, client._id));
+
+    await expect(loadApplicablePromotion(' launch10 ', context())).rejects.toMatchObject({
+      statusCode: 409, message: 'This promo code has been fully used'
+    });
+    await Promotion.updateOne({ _id: promotion._id }, { maxRedemptions: 5 });
+    await expect(loadApplicablePromotion('LAUNCH10', context(client))).rejects.toMatchObject({
+      statusCode: 409, message: 'You have already used this promo code'
+    });
+    await expect(loadApplicablePromotion('LAUNCH10', context())).resolves.toMatchObject({ code: 'LAUNCH10' });
+  });
+
+  it('rejects unknown codes and codes outside their dates', async () => {
+    seedPromotion({ endsAt: new Date('2026-01-01T00:00:00Z') });
+
+    await expect(loadApplicablePromotion('NOPE', context())).rejects.toMatchObject({ statusCode: 404 });
+    await expect(loadApplicablePromotion('LAUNCH10', context(), new Date('2026-02-01T00:00:00Z')))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
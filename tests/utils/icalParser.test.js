@@ -0,0 +1,159 @@
+const { parseEvents, extractBusyRanges } = require('../../src/utils/icalParser');
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const window = (from, to) => ({ timeZone: 'Europe/Berlin', from: new Date(from), to: new Date(to) });
+
+const starts = (ranges) => ranges.map(range => range.start.toISOString());
+
+describe('parseEvents', () => {
+  it('reads folded lines, zones and exceptions', () => {
+    const [event] = parseEvents(calendar([
+      'UID:one',
+      'SUMMARY:Long',
+      '  title',
+      'DTSTART;TZID=America/New_York:20260105T090000',
+      'DTEND;TZID=America/New_York:20260105T100000',
+      'RRULE:FREQ=WEEKLY;COUNT=3',
+      'EXDATE;TZID=America/New_York:20260112T090000,20260119T090000'
+    ]), 'UTC');
+
+    expect(event.summary).toBe('Long title');
+    expect(event.start).toEqual({ day: '2026-01-05', time: '09:00', allDay: false, timeZone: 'America/New_York' });
+    expect(event.rrule).toEqual({ FREQ: 'WEEKLY', COUNT: '3' });
+    expect(event.exdates).toHaveLength(2);
+  });
+
+  it('reads unknown zones in the default zone', () => {
+    const [event] = parseEvents(calendar([
+      'UID:one',
+      'DTSTART;TZID=Not/AZone:20260105T090000'
+    ]), 'Europe/Berlin');
+
+    expect(event.start.timeZone).toBe('Europe/Berlin');
+  });
+});
+
+describe('extractBusyRanges', () => {
+  it('expands a weekly rule with COUNT', () => {
+    const ranges = extractBusyRanges(calendar([
+      'UID:weekly',
+      'DTSTART:20260105T090000Z',
+      'DTEND:20260105T100000Z',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4'
+    ]), window('2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z'));
+
+    expect(starts(ranges)).toEqual([
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-07T09:00:00.000Z',
+      '2026-01-12T09:00:00.000Z',
+      '2026-01-14T09:00:00.000Z'
+    ]);
+    expect(ranges[0].end.toISOString()).toBe('2026-01-05T10:00:00.000Z');
+  });
+
+  it('stops a rule at UNTIL and picks nth weekdays of a month', () => {
+    const ranges = extractBusyRanges(calendar([
+      'UID:monthly',
+      'DTSTART:20260130T120000Z',
+      'DURATION:PT30M',
+      'RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20260430T000000Z'
+    ]), window('2026-01-01T00:00:00Z', '2026-12-31T00:00:00Z'));
+
+    expect(starts(ranges)).toEqual([
+      '2026-01-30T12:00:00.000Z',
+      '2026-02-27T12:00:00.000Z',
+      '2026-03-27T12:00:00.000Z',
+      '2026-04-24T12:00:00.000Z'
+    ]);
+    expect(ranges[0].end.toISOString()).toBe('2026-01-30T12:30:00.000Z');
+  });
+
+  it('leaves out EXDATE occurrences and moved instances', () => {
+    const ranges = extractBusyRanges(calendar([
+      'UID:daily',
+      'DTSTART;TZID=Europe/Berlin:20260105T090000',
+      'DTEND;TZID=Europe/Berlin:20260105T093000',
+      'RRULE:FREQ=DAILY;COUNT=5',
+      'EXDATE;TZID=Europe/Berlin:20260106T090000'
+    ], [
+      'UID:daily',
+      'RECURRENCE-ID;TZID=Europe/Berlin:20260107T090000',
+      'DTSTART;TZID=Europe/Berlin:20260107T150000',
+      'DTEND;TZID=Europe/Berlin:20260107T153000'
+    ]), window('2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z'));
+
+    expect(starts(ranges)).toEqual([
+      '2026-01-05T08:00:00.000Z',
+      '2026-01-07T14:00:00.000Z',
+      '2026-01-08T08:00:00.000Z',
+      '2026-01-09T08:00:00.000Z'
+    ]);
+  });
+
+  it('blocks whole days in the calendar zone for all-day events', () => {
+    const ranges = extractBusyRanges(calendar([
+      'UID:holiday',
+      'DTSTART;VALUE=DATE:20260210',
+      'DTEND;VALUE=DATE:20260212'
+    ]), window('2026-02-01T00:00:00Z', '2026-03-01T00:00:00Z'));
+
+    expect(ranges).toHaveLength(1);
+    expect(ranges[0]).toMatchObject({ allDay: true, uid: 'holiday' });
+    expect(ranges[0].start.toISOString()).toBe('2026-02-09T23:00:00.000Z');
+    expect(ranges[0].end.toISOString()).toBe('2026-02-11T23:00:00.000Z');
+  });
+
+  it('keeps the wall-clock time of a recurring event across a DST change', () => {
+    const ranges = extractBusyRanges(calendar([
+      'UID:standup',
+      'DTSTART;TZID=Europe/Berlin:20260326T090000',
+      'DTEND;TZID=Europe/Berlin:20260326T100000',
+      'RRULE:FREQ=DAILY;COUNT=4'
+    ]), window('2026-03-20T00:00:00Z', '2026-04-05T00:00:00Z'));
+
+    expect(starts(ranges)).toEqual([
+      '2026-03-26T08:00:00.000Z',
+      '2026-03-27T08:00:00.000Z',
+      '2026-03-28T08:00:00.000Z',
+      '2026-03-29T07:00:00.000Z'
+    ]);
+    expect(ranges.map(range => range.end - range.start)).toEqual(Array(4).fill(60 * 60 * 1000));
+  });
+
+  it('skips cancelled and free events and anything outside the window', () => {
+    const ranges = extractBusyRanges(calendar([
+      'UID:cancelled',
+      'STATUS:CANCELLED',
+      'DTSTART:20260105T090000Z',
+      'DTEND:20260105T100000Z'
+    ], [
+      'UID:free',
+      'TRANSP:TRANSPARENT',
+      'DTSTART:20260105T090000Z',
+      'DTEND:20260105T100000Z'
+    ], [
+      'UID:later',
+      'DTSTART:20260305T090000Z',
+      'DTEND:20260305T100000Z'
+    ]), window('2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z'));
+
+    expect(ranges).toEqual([]);
+  });
+
+  it('caps the instances of an unbounded rule', () => {
+    const ranges = extractBusyRanges(calendar([
+      'UID:forever',
+      'DTSTART:20000101T090000Z',
+      'DTEND:20000101T091500Z',
+      'RRULE:FREQ=DAILY'
+    ]), window('2000-01-01T00:00:00Z', '2030-01-01T00:00:00Z'));
+
+    expect(ranges.length).toBeLessThanOrEqual(2000);
+  });
+});
@@ -0,0 +1,105 @@
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const http = require('http');
+const { isPublicAddress, fetchPublicText } = require('../../src/utils/publicFetch');
+
+// Answers http.get with the given responses, one per call, without touching
+// the network
+const respondWith = (...responses) => {
+  const requested = [];
+  jest.spyOn(http, 'get').mockImplementation((url, options, callback) => {
+    requested.push(String(url));
+    const { statusCode = 200, headers = {}, body = '' } = responses.shift();
+    const response = Readable.from([Buffer.from(body)]);
+    Object.assign(response, { statusCode, headers });
+    process.nextTick(() => callback(response));
+    return new EventEmitter();
+  });
+  return requested;
+};
+
+const options = { maxBytes: 64, timeoutMs: 5000 };
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('isPublicAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'localhost'
+  ])('rejects %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  it.each(['93.184.216.34', '2606:4700::1111', '::ffff:8.8.8.8'])('accepts %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('fetchPublicText', () => {
+  it.each([
+    'http://127.0.0.1/feed.ics', 'http://[::1]/feed.ics', 'http://169.254.169.254/latest', 'ftp://example.com/feed.ics'
+  ])('refuses %s', async (source) => {
+    await expect(fetchPublicText(source, options)).rejects.toMatchObject({
+      statusCode: 400, message: 'Calendar feed address is not allowed'
+    });
+  });
+
+  it('refuses names that resolve to private addresses', async () => {
+    await expect(fetchPublicText('http://localhost/feed.ics', options)).rejects.toMatchObject({
+      statusCode: 400, message: 'Calendar feed address is not allowed'
+    });
+  });
+
+  it('follows redirects and checks every hop', async () => {
+    const requested = respondWith(
+      { statusCode: 302, headers: { location: '/moved.ics' } },
+      { statusCode: 301, headers: { location: 'http://10.0.0.5/internal' } }
+    );
+
+    await expect(fetchPublicText('http://feeds.example.com/feed.ics', options)).rejects.toMatchObject({
+      statusCode: 400, message: 'Calendar feed address is not allowed'
+    });
+    expect(requested).toEqual(['http://feeds.example.com/feed.ics', 'http://feeds.example.com/moved.ics']);
+  });
+
+  it('returns the body of the final hop', async () => {
+    respondWith(
+      { statusCode: 302, headers: { location: '/moved.ics' } },
+      { body: 'BEGIN:VCALENDAR' }
+    );
+
+    await expect(fetchPublicText('http://feeds.example.com/feed.ics', options)).resolves.toBe('BEGIN:VCALENDAR');
+  });
+
+  it('gives up after too many redirects', async () => {
+    respondWith(...Array(6).fill({ statusCode: 302, headers: { location: '/again' } }));
+
+    await expect(fetchPublicText('http://feeds.example.com/feed.ics', options)).rejects.toMatchObject({
+      statusCode: 502, message: 'Calendar feed redirected too many times'
+    });
+  });
+
+  it('rejects a declared length over the limit', async () => {
+    respondWith({ headers: { 'content-length': '65' }, body: 'x' });
+
+    await expect(fetchPublicText('http://feeds.example.com/feed.ics', options)).rejects.toMatchObject({
+      statusCode: 400, message: 'Calendar feed is too large'
+    });
+  });
+
+  it('stops reading a body that grows past the limit', async () => {
+    respondWith({ body: 'x'.repeat(65) });
+
+    await expect(fetchPublicText('http://feeds.example.com/feed.ics', options)).rejects.toMatchObject({
+      statusCode: 400, message: 'Calendar feed is too large'
+    });
+  });
+
+  it('reports error responses as a bad gateway', async () => {
+    respondWith({ statusCode: 404 });
+
+    await expect(fetchPublicText('http://feeds.example.com/feed.ics', options)).rejects.toMatchObject({
+      statusCode: 502, message: 'Calendar feed responded with 404'
+    });
+  });
+});